@@ -4,62 +4,29 @@
 // score (0–1) and category to each, and returns a summary object
 // with safe defaults.
 //
-// - Uses OpenAI chat.completions.create() (no response_format).
+// - Uses chat.completions.create() (no response_format) through the
+//   "analysis" task of ./lib/llm.js; `modelId` overrides its model.
 // - Robust JSON extraction (handles extra prose around JSON).
 // - Returns a predictable shape for the frontend.
+//
+// Source-grounded verification: when the request carries `sources` (the
+// same array /api/generate takes, cited as S1..Sn), the draft is split
+// into statements deterministically (api/lib/statements.js) and the model
+// is asked, per statement, for a verdict, the source ID and a verbatim
+// evidence quote. Every quote is then located in the cited source; a
+// verdict whose evidence cannot be found there is downgraded to
+// "not_found", and the score comes from the verified verdict
+// (VERDICT_SCORES) rather than from the model's impression.
+//
+// Figure check: when `sources` or `notes` are sent, the response also
+// carries `figures`, the deterministic amount/date consistency check from
+// helpers/figures.js (the same result as /api/figure-check).
 
-import OpenAI from "openai";
-
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-// --- CORS helper --------------------------------------------------
-function setCorsHeaders(req, res) {
-  const origin = req.headers.origin || "*";
-  res.setHeader("Access-Control-Allow-Origin", origin === "null" ? "*" : origin);
-  res.setHeader("Vary", "Origin");
-  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-}
-// ------------------------------------------------------------------
-
-function extractAssistantText(message) {
-  if (!message) return "";
-  const c = message.content;
-  if (typeof c === "string") return c;
-
-  if (Array.isArray(c)) {
-    const parts = c
-      .map((p) => {
-        if (!p) return "";
-        if (typeof p === "string") return p;
-        if (typeof p === "object") {
-          if (typeof p.text === "string") return p.text;
-          if (typeof p.content === "string") return p.content;
-        }
-        return "";
-      })
-      .filter(Boolean);
-    return parts.join("\n");
-  }
-
-  return "";
-}
-
-function safeJsonFromText(text) {
-  if (!text || typeof text !== "string") return null;
-
-  // Find the first JSON object block
-  const start = text.indexOf("{");
-  const end = text.lastIndexOf("}");
-  if (start === -1 || end === -1 || end <= start) return null;
-
-  const candidate = text.slice(start, end + 1);
-  try {
-    return JSON.parse(candidate);
-  } catch {
-    return null;
-  }
-}
+import { withPipeline, HttpError } from "./lib/pipeline.js";
+import { resolveLlm, llmRequiredEnv } from "./lib/llm.js";
+import { splitStatements, findQuote } from "./lib/statements.js";
+import { extractAssistantText, safeJsonFromText } from "./lib/modelOutput.js";
+import { checkFigures, figureReferences } from "../helpers/figures.js";
 
 function normaliseResult(obj) {
   const rawStatements = Array.isArray(obj?.statements) ? obj.statements : [];
@@ -88,6 +55,7 @@ function normaliseResult(obj) {
 
   const out = {
     ok: true,
+    mode: "model",
     statements,
     summary: {
       note:
@@ -102,23 +70,230 @@ function normaliseResult(obj) {
   return out;
 }
 
-export default async function handler(req, res) {
-  setCorsHeaders(req, res);
+export const VERDICTS = ["supported", "partially_supported", "contradicted", "not_found"];
+
+// Score per verified verdict. "not_found" sits above "contradicted": the
+// statement is unsupported, but nothing in the sources says it is wrong.
+export const VERDICT_SCORES = {
+  supported: 1,
+  partially_supported: 0.5,
+  not_found: 0.25,
+  contradicted: 0,
+};
+
+const CATEGORIES = ["Fact", "Estimate", "Opinion", "Forward-looking", "Other"];
+
+const MAX_VERIFIED_STATEMENTS = 40;
+const MAX_SOURCE_CHARS = 8000;
+
+function normaliseSources(sources) {
+  return sources.map((s, idx) => ({
+    id: `S${idx + 1}`,
+    name: s?.name || s?.kind || `Source ${idx + 1}`,
+    url: s?.url || null,
+    text: typeof s?.text === "string" ? s.text : "",
+  }));
+}
+
+function verificationPrompts(statements, sources) {
+  const system = [
+    `You are a fact-checker. For each numbered statement from a draft, decide whether the source excerpts support it.`,
+    `Judge only against the sources; ignore anything you know from elsewhere.`,
+    `Return ONLY valid JSON. No markdown, no commentary.`,
+    ``,
+    `Verdicts:`,
+    `- supported: a source states the same thing.`,
+    `- partially_supported: a source backs part of the statement, but not all of it (e.g. the figure but not the date).`,
+    `- contradicted: a source states something incompatible with the statement.`,
+    `- not_found: no source addresses the statement.`,
+    ``,
+    `For every verdict except not_found, give the ID of one source and copy the evidence from it word for word (one sentence or clause, at most 40 words). Do not paraphrase: the quote is checked against the source text.`,
+    `Categories: choose one of: ${CATEGORIES.join(", ")}.`,
+    ``,
+    `JSON schema:`,
+    `{`,
+    `  "statements": [`,
+    `    { "id": "s1", "verdict": "${VERDICTS.join("|")}", "sourceId": "S1", "evidence": "…", "category": "${CATEGORIES.join("|")}" }`,
+    `  ]`,
+    `}`,
+  ].join("\n");
+
+  const user = [
+    `SOURCES:`,
+    ...sources.map((s) =>
+      [
+        `SOURCE ${s.id}: ${s.name}${s.url ? ` (${s.url})` : ""}`,
+        s.text.trim().slice(0, MAX_SOURCE_CHARS) || "[no text excerpt provided]",
+        ``,
+      ].join("\n")
+    ),
+    `STATEMENTS:`,
+    ...statements.map((st) => `${st.id}: ${st.text}`),
+    ``,
+    `INSTRUCTIONS:`,
+    `Return exactly one entry per statement ID above.`,
+  ].join("\n");
+
+  return { system, user };
+}
+
+/**
+ * Merge the model's verdicts into the deterministic statements and check
+ * each evidence quote against the cited source.
+ */
+function verifyStatements(statements, sources, parsed) {
+  const byId = new Map(sources.map((s) => [s.id, s]));
+  const answers = new Map(
+    (Array.isArray(parsed?.statements) ? parsed.statements : [])
+      .filter((a) => a && typeof a.id === "string")
+      .map((a) => [a.id.trim(), a])
+  );
+
+  return statements.map((st) => {
+    const answer = answers.get(st.id) || {};
+    const modelVerdict = VERDICTS.includes(answer.verdict) ? answer.verdict : "not_found";
+    const sourceId = typeof answer.sourceId === "string" ? answer.sourceId.trim() : null;
+    const quote = typeof answer.evidence === "string" ? answer.evidence.trim() : "";
+    const source = sourceId ? byId.get(sourceId) : null;
+
+    let evidence = null;
+    if (modelVerdict !== "not_found" && source && quote) {
+      const span = findQuote(source.text, quote);
+      if (span) {
+        evidence = {
+          sourceId,
+          quote: source.text.slice(span.start, span.end),
+          start: span.start,
+          end: span.end,
+        };
+      }
+    }
+
+    const verdict = evidence ? modelVerdict : "not_found";
+    const category = CATEGORIES.includes(answer.category) ? answer.category : "Other";
+
+    return {
+      id: st.id,
+      text: st.text,
+      start: st.start,
+      end: st.end,
+      category,
+      verdict,
+      // What the model claimed, when its evidence could not be verified.
+      modelVerdict: verdict === modelVerdict ? null : modelVerdict,
+      sourceId: evidence ? sourceId : null,
+      evidence,
+      score: VERDICT_SCORES[verdict],
+    };
+  });
+}
 
-  if (req.method === "OPTIONS") return res.status(200).end();
-  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+function verificationSummary(statements, skipped) {
+  const verdicts = Object.fromEntries(VERDICTS.map((v) => [v, 0]));
+  statements.forEach((s) => (verdicts[s.verdict] += 1));
 
-  if (!process.env.OPENAI_API_KEY) {
-    return res.status(500).json({ error: "Missing OPENAI_API_KEY environment variable" });
+  const score =
+    statements.length > 0
+      ? Math.round((statements.reduce((sum, s) => sum + s.score, 0) / statements.length) * 100) /
+        100
+      : null;
+  const unverified = statements.filter((s) => s.modelVerdict).length;
+
+  const notes = [];
+  if (statements.length === 0) {
+    notes.push("No statements were found in this draft.");
+  }
+  if (unverified > 0) {
+    notes.push(
+      `${unverified} verdict(s) were downgraded to not_found because the quoted evidence does not appear in the cited source.`
+    );
+  }
+  if (skipped > 0) {
+    notes.push(
+      `Only the first ${MAX_VERIFIED_STATEMENTS} statements were verified; ${skipped} were skipped.`
+    );
+  }
+
+  return {
+    score,
+    verdicts,
+    unverified,
+    skipped,
+    note: notes.length > 0 ? notes.join(" ") : null,
+  };
+}
+
+async function verifyAgainstSources({ draftText, sources, modelId }) {
+  const all = splitStatements(draftText);
+  const statements = all.slice(0, MAX_VERIFIED_STATEMENTS);
+  const normalised = normaliseSources(sources);
+
+  let parsed = null;
+  if (statements.length > 0) {
+    const { system, user } = verificationPrompts(statements, normalised);
+    const { client, model } = resolveLlm("analysis", { model: modelId });
+    const completion = await client.chat.completions.create({
+      model,
+      temperature: 0,
+      max_completion_tokens: Math.min(4000, 300 + statements.length * 120),
+      messages: [
+        { role: "system", content: system },
+        { role: "user", content: user },
+      ],
+    });
+
+    const msg = completion.choices?.[0]?.message || null;
+    parsed = safeJsonFromText(extractAssistantText(msg).trim());
   }
 
-  try {
-    const body = typeof req.body === "string" ? JSON.parse(req.body || "{}") : req.body || {};
+  const verified = verifyStatements(statements, normalised, parsed);
+  const summary = verificationSummary(verified, all.length - statements.length);
+  if (statements.length > 0 && !parsed) {
+    summary.note = [
+      "Verification ran but returned an unexpected format, so every statement is marked not_found. Try again.",
+      summary.note,
+    ]
+      .filter(Boolean)
+      .join(" ");
+  }
+
+  return {
+    ok: true,
+    mode: "sources",
+    sources: normalised.map(({ id, name, url }) => ({ id, name, url })),
+    statements: verified,
+    summary,
+  };
+}
 
-    const { draftText, modelId } = body;
+export default withPipeline(
+  {
+    name: "/api/analyse-statements",
+    requiredEnv: llmRequiredEnv("analysis"),
+    errorMessage: "Failed to analyse statements",
+  },
+  async function handler(req, res, { body }) {
+    const { draftText, modelId, sources, notes } = body;
 
     if (!draftText || typeof draftText !== "string") {
-      return res.status(400).json({ error: "Missing or invalid 'draftText' in request body" });
+      throw new HttpError(400, "invalid_request", "Missing or invalid 'draftText' in request body");
+    }
+    if (sources !== undefined && !Array.isArray(sources)) {
+      throw new HttpError(400, "invalid_request", "'sources' must be an array");
+    }
+    if (notes !== undefined && typeof notes !== "string") {
+      throw new HttpError(400, "invalid_request", "'notes' must be a string");
+    }
+
+    const references = figureReferences({ sources, notes });
+    const figures =
+      references.length > 0
+        ? checkFigures(draftText, references, { statements: splitStatements(draftText) })
+        : undefined;
+
+    if (Array.isArray(sources) && sources.length > 0) {
+      const result = await verifyAgainstSources({ draftText, sources, modelId });
+      return res.status(200).json({ ...result, figures });
     }
 
     const system = [
@@ -145,8 +320,9 @@ export default async function handler(req, res) {
       `Extract up to 25 atomic statements. If there are none, return "statements": [] and include a short summary.note.`,
     ].join("\n");
 
+    const { client, model } = resolveLlm("analysis", { model: modelId });
     const completion = await client.chat.completions.create({
-      model: modelId || "gpt-4o-mini",
+      model,
       temperature: 0.2,
       max_completion_tokens: 900,
       messages: [
@@ -162,21 +338,18 @@ export default async function handler(req, res) {
 
     if (!parsed) {
       // Fail soft: return empty statements but keep UX sane
-      return res.status(200).json(
-        normaliseResult({
+      return res.status(200).json({
+        ...normaliseResult({
           statements: [],
           summary: {
             note:
               "Analysis ran but returned an unexpected format. Try again, or reduce the draft length if very large.",
           },
-        })
-      );
+        }),
+        figures,
+      });
     }
 
-    return res.status(200).json(normaliseResult(parsed));
-  } catch (err) {
-    console.error("analyse-statements error:", err);
-    const message = err && typeof err === "object" && "message" in err ? err.message : "Unknown error";
-    return res.status(500).json({ error: "Failed to analyse statements", details: message });
+    return res.status(200).json({ ...normaliseResult(parsed), figures });
   }
-}
+);
@@ -0,0 +1,221 @@
+// api/compliance-check.js
+//
+// Compliance flagging for investor communications: forward-looking
+// statements without hedging, performance claims, unattributed
+// superlatives, selective disclosure and non-public metrics.
+//
+// The draft is split into statements (api/lib/statements.js, shared with
+// /api/analyse-statements). Deterministic pattern rules
+// (helpers/complianceRules.js) run first; a model pass then reviews every
+// statement against the same rule catalogue, catching what the patterns
+// miss and proposing compliant wording. Model flags are tied back to the
+// draft by locating their quote in the statement.
+//
+// GET  -> the rule catalogue
+// POST { text, ruleIds?, llm?, modelId? }
+//      -> { flags, statements, summary }. Each flag carries severity, the
+//         rule, offsets into `text`, the matched text and a suggested
+//         compliant rewording of its statement (null when neither pass
+//         produced one). `llm: false` runs the pattern rules only. The
+//         model pass uses the "analysis" task of ./lib/llm.js; `modelId`
+//         overrides its model.
+
+import { withPipeline, HttpError } from "./lib/pipeline.js";
+import { resolveLlm, llmRequiredEnv } from "./lib/llm.js";
+import { splitStatements, findQuote } from "./lib/statements.js";
+import { extractAssistantText, safeJsonFromText } from "./lib/modelOutput.js";
+import {
+  COMPLIANCE_RULES,
+  describeComplianceRules,
+  checkCompliance,
+} from "../helpers/complianceRules.js";
+
+const MAX_REVIEWED_STATEMENTS = 60;
+
+function reviewPrompts(statements, rules, patternFlags) {
+  const system = [
+    `You are a compliance reviewer for investor communications from an asset manager.`,
+    `Check each numbered statement against the rules below and flag every breach.`,
+    `Return ONLY valid JSON. No markdown, no commentary.`,
+    ``,
+    `RULES:`,
+    ...rules.map((r) => `- ${r.id} (${r.severity}): ${r.description}`),
+    ``,
+    `For each breach give the statement ID, the rule ID, the offending words copied exactly from the statement, a one-sentence explanation, and a compliant rewording of the whole statement that keeps its facts.`,
+    `Some breaches were already found by pattern matching and are listed with the statements; confirm them with a better rewording if you can, and add any the patterns missed. Do not flag statements that comply.`,
+    ``,
+    `JSON schema:`,
+    `{`,
+    `  "flags": [`,
+    `    { "statementId": "s1", "ruleId": "${rules[0]?.id || "rule.id"}", "quote": "…", "message": "…", "suggestion": "…" }`,
+    `  ]`,
+    `}`,
+  ].join("\n");
+
+  const user = [
+    `STATEMENTS:`,
+    ...statements.map((st) => {
+      const found = patternFlags
+        .filter((f) => f.statementId === st.id)
+        .map((f) => `    already flagged: ${f.ruleId} on "${f.match}"`);
+      return [`${st.id}: ${st.text}`, ...found].join("\n");
+    }),
+  ].join("\n");
+
+  return { system, user };
+}
+
+/**
+ * Merge model flags into the pattern flags. A model flag for the same
+ * rule and statement as a pattern flag (overlapping, or without a
+ * locatable quote) confirms it and supplies the suggestion; any other
+ * model flag is added on its own.
+ */
+function mergeModelFlags(patternFlags, parsed, statements, rules) {
+  const byStatement = new Map(statements.map((s) => [s.id, s]));
+  const byRule = new Map(rules.map((r) => [r.id, r]));
+  const flags = patternFlags.map((f) => ({ ...f }));
+
+  for (const raw of Array.isArray(parsed?.flags) ? parsed.flags : []) {
+    const statement = byStatement.get(raw?.statementId);
+    const rule = byRule.get(raw?.ruleId);
+    if (!statement || !rule) continue;
+
+    const quote = typeof raw.quote === "string" ? raw.quote : "";
+    const span = findQuote(statement.text, quote);
+    const start = statement.start + (span ? span.start : 0);
+    const end = statement.start + (span ? span.end : statement.text.length);
+    const suggestion =
+      typeof raw.suggestion === "string" && raw.suggestion.trim()
+        ? raw.suggestion.trim()
+        : null;
+
+    const existing = flags.find(
+      (f) =>
+        f.ruleId === rule.id &&
+        f.statementId === statement.id &&
+        (!span || (f.start < end && f.end > start))
+    );
+    if (existing) {
+      existing.source = "pattern+model";
+      if (suggestion) existing.suggestion = suggestion;
+      continue;
+    }
+
+    flags.push({
+      ruleId: rule.id,
+      severity: rule.severity,
+      source: "model",
+      statementId: statement.id,
+      start,
+      end,
+      match: span ? statement.text.slice(span.start, span.end) : statement.text,
+      message:
+        typeof raw.message === "string" && raw.message.trim()
+          ? raw.message.trim()
+          : rule.description,
+      suggestion,
+    });
+  }
+
+  return flags.sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+function summarise(flags) {
+  const bySeverity = { error: 0, warning: 0 };
+  const byRule = {};
+  for (const f of flags) {
+    bySeverity[f.severity] = (bySeverity[f.severity] || 0) + 1;
+    byRule[f.ruleId] = (byRule[f.ruleId] || 0) + 1;
+  }
+  return { total: flags.length, bySeverity, byRule };
+}
+
+export default withPipeline(
+  {
+    name: "/api/compliance-check",
+    methods: ["GET", "POST"],
+    errorMessage: "Failed to check compliance",
+  },
+  async function handler(req, res, { body }) {
+    if (req.method === "GET") {
+      return res.status(200).json({ ok: true, rules: describeComplianceRules() });
+    }
+
+    const { text, ruleIds, llm, modelId } = body;
+
+    if (typeof text !== "string" || !text.trim()) {
+      throw new HttpError(400, "invalid_request", "Missing or invalid 'text' in request body");
+    }
+
+    if (ruleIds !== undefined) {
+      const known = new Set(COMPLIANCE_RULES.map((r) => r.id));
+      const unknown = Array.isArray(ruleIds)
+        ? ruleIds.filter((id) => !known.has(id))
+        : ["(ruleIds must be an array)"];
+      if (unknown.length > 0) {
+        throw new HttpError(400, "invalid_request", "Unknown rule IDs", { unknown });
+      }
+    }
+
+    const useModel = llm !== false;
+    const missingEnv = useModel ? llmRequiredEnv("analysis").filter((key) => !process.env[key]) : [];
+    if (missingEnv.length > 0) {
+      throw new HttpError(
+        500,
+        "missing_config",
+        `Missing ${missingEnv.join(", ")} environment variable (or send llm: false)`
+      );
+    }
+
+    const rules = Array.isArray(ruleIds)
+      ? COMPLIANCE_RULES.filter((r) => ruleIds.includes(r.id))
+      : COMPLIANCE_RULES;
+    const statements = splitStatements(text);
+    const patternFlags = checkCompliance(text, statements, { rules });
+
+    let flags = patternFlags;
+    let modelPass = { status: "skipped", reviewed: 0 };
+
+    const reviewed = statements.slice(0, MAX_REVIEWED_STATEMENTS);
+    if (useModel && reviewed.length > 0 && rules.length > 0) {
+      const { client, model } = resolveLlm("analysis", { model: modelId });
+      const { system, user } = reviewPrompts(reviewed, describeComplianceRules(rules), patternFlags);
+
+      const completion = await client.chat.completions.create({
+        model,
+        temperature: 0,
+        max_completion_tokens: Math.min(4000, 400 + reviewed.length * 80),
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: user },
+        ],
+      });
+
+      const parsed = safeJsonFromText(
+        extractAssistantText(completion.choices?.[0]?.message).trim()
+      );
+      if (parsed) {
+        flags = mergeModelFlags(patternFlags, parsed, reviewed, rules);
+        modelPass = { status: "completed", reviewed: reviewed.length };
+      } else {
+        // Fail soft: the pattern flags still stand.
+        modelPass = { status: "failed", reviewed: 0 };
+      }
+    }
+
+    return res.status(200).json({
+      ok: true,
+      flags: flags.map((f, idx) => ({ id: `f${idx + 1}`, ...f })),
+      statements: statements.map(({ id, text: t, start, end }) => ({ id, text: t, start, end })),
+      summary: {
+        ...summarise(flags),
+        patternFlags: patternFlags.length,
+        modelPass: {
+          ...modelPass,
+          skipped: useModel ? Math.max(0, statements.length - reviewed.length) : 0,
+        },
+      },
+    });
+  }
+);
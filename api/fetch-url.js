@@ -1,85 +1,87 @@
 // /api/fetch-url.js
 //
-// Fetches a public URL and returns a readable text blob + a sensible title.
-// Also sets CORS headers so it works from your Vercel frontend.
+// Fetches a public URL and returns the main article text (Readability) +
+// a sensible title and page metadata. Paragraphs and headings are kept
+// as separate blocks in `text`.
+//
+// The fetch itself goes through ./lib/safeFetch.js. Rejections come back
+// in the usual error envelope with one of these codes:
+//
+//   invalid_url               400  not a parseable absolute URL
+//   unsupported_scheme        400  anything other than http / https
+//   blocked_address           403  host resolves to a private, loopback,
+//                                  link-local or reserved address (checked
+//                                  on every redirect hop)
+//   unsupported_content_type  415  not HTML / XHTML / plain text
+//   dns_failed                502  host did not resolve
+//   too_many_redirects        502  more than FETCH_URL_MAX_REDIRECTS hops (5)
+//   response_too_large        502  body over FETCH_URL_MAX_BYTES (2 MB)
+//   upstream_status           502  remote returned a non-2xx status
+//   fetch_failed              502  any other network error
+//   fetch_timeout             504  over FETCH_URL_TIMEOUT_MS (10 s)
 
-// --- CORS helper --------------------------------------------------
-function setCorsHeaders(req, res) {
-  const origin = req.headers.origin || "*";
+import { withPipeline, HttpError } from "./lib/pipeline.js";
+import { extractArticle } from "./lib/extractArticle.js";
+import { safeFetch } from "./lib/safeFetch.js";
 
-  res.setHeader(
-    "Access-Control-Allow-Origin",
-    origin === "null" ? "*" : origin
-  );
-  res.setHeader("Vary", "Origin");
-  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+function envNumber(name) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : undefined;
 }
 
-export default async function handler(req, res) {
-  setCorsHeaders(req, res);
-
-  if (req.method === "OPTIONS") {
-    return res.status(200).end();
-  }
-
-  if (req.method !== "POST") {
-    return res.status(405).json({ error: "Method not allowed" });
-  }
-
-  try {
-    const { url } = req.body || {};
+export default withPipeline(
+  {
+    name: "/api/fetch-url",
+    errorMessage: "Failed to process URL",
+  },
+  async function handler(req, res, { body }) {
+    const { url } = body;
 
     if (!url || typeof url !== "string") {
-      return res.status(400).json({ error: "Missing or invalid url" });
+      throw new HttpError(400, "invalid_request", "Missing or invalid url");
     }
 
     let response;
     try {
-      response = await fetch(url, {
-        method: "GET",
-        redirect: "follow",
+      response = await safeFetch(url, {
+        maxRedirects: envNumber("FETCH_URL_MAX_REDIRECTS"),
+        timeoutMs: envNumber("FETCH_URL_TIMEOUT_MS"),
+        maxBytes: envNumber("FETCH_URL_MAX_BYTES"),
       });
     } catch (err) {
-      console.error("Error fetching remote URL:", url, err);
-      return res
-        .status(502)
-        .json({ error: "Failed to fetch remote URL", details: String(err) });
+      console.error("Error fetching remote URL:", url, err.code || err);
+      throw err;
     }
 
     if (!response.ok) {
-      const text = await response.text().catch(() => "");
       console.error(
         "Remote URL returned non-OK status:",
         url,
         response.status,
-        text.slice(0, 500)
+        response.body.slice(0, 500)
+      );
+      throw new HttpError(
+        502,
+        "upstream_status",
+        "Remote URL returned an error status",
+        { status: response.status }
       );
-      return res.status(502).json({
-        error: "Remote URL returned an error status",
-        status: response.status,
-      });
     }
 
-    const html = await response.text();
-
-    // Very simple title extraction
-    const titleMatch = html.match(/<title>([^<]+)<\/title>/i);
-    const title = titleMatch ? titleMatch[1].trim() : url;
-
-    // Naive "readable text": strip scripts/styles/tags and compress whitespace
-    const text = html
-      .replace(/<script[\s\S]*?<\/script>/gi, " ")
-      .replace(/<style[\s\S]*?<\/style>/gi, " ")
-      .replace(/<!--[\s\S]*?-->/g, " ")
-      .replace(/<[^>]+>/g, " ")
-      .replace(/\s+/g, " ")
-      .trim();
+    // Plain text needs no extraction; keep it as-is.
+    const article =
+      response.contentType === "text/plain"
+        ? { title: null, text: response.body, metadata: null }
+        : extractArticle(response.body, response.url);
+    const title = article.title || url;
+    const text = article.text.trim();
 
     if (!text) {
-      return res.status(500).json({
-        error: "Could not extract readable text from URL",
-      });
+      throw new HttpError(
+        500,
+        "no_readable_text",
+        "Could not extract readable text from URL"
+      );
     }
 
     // Keep it bounded so we don’t blow up token counts downstream
@@ -90,12 +92,8 @@ export default async function handler(req, res) {
       title,
       text: clipped,
       sourceUrl: url,
-    });
-  } catch (err) {
-    console.error("Error in /api/fetch-url:", err);
-    return res.status(500).json({
-      error: "Failed to process URL",
-      details: err.message || String(err),
+      finalUrl: response.url,
+      metadata: article.metadata,
     });
   }
-}
+);
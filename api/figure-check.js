@@ -0,0 +1,47 @@
+// api/figure-check.js
+//
+// Deterministic figure consistency check (no model calls). Extracts every
+// amount, currency, percentage, date, period and year from a draft and
+// from its sources and notes (helpers/figures.js), and flags draft figures
+// that appear in none of them.
+//
+// POST { draftText, sources?, notes? }
+//      -> { figures, references, summary }. Figures carry offsets into
+//         draftText, the statement they fall in, a status ("matched",
+//         "currency_mismatch", "unmatched") and the reference figures they
+//         matched (referenceId: S1..Sn for sources, N for notes).
+
+import { withPipeline, HttpError } from "./lib/pipeline.js";
+import { splitStatements } from "./lib/statements.js";
+import { checkFigures, figureReferences } from "../helpers/figures.js";
+
+export default withPipeline(
+  {
+    name: "/api/figure-check",
+    errorMessage: "Failed to check figures",
+  },
+  function handler(req, res, { body }) {
+    const { draftText, sources, notes } = body;
+
+    if (typeof draftText !== "string" || !draftText.trim()) {
+      throw new HttpError(400, "invalid_request", "Missing or invalid 'draftText' in request body");
+    }
+    if (sources !== undefined && !Array.isArray(sources)) {
+      throw new HttpError(400, "invalid_request", "'sources' must be an array");
+    }
+    if (notes !== undefined && typeof notes !== "string") {
+      throw new HttpError(400, "invalid_request", "'notes' must be a string");
+    }
+
+    const references = figureReferences({ sources, notes });
+    const result = checkFigures(draftText, references, {
+      statements: splitStatements(draftText),
+    });
+
+    return res.status(200).json({
+      ok: true,
+      ...result,
+      references: references.map(({ id }) => id),
+    });
+  }
+);
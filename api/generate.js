@@ -1,147 +1,234 @@
 // api/generate.js
 //
 // Generates a new draft based on title, notes, scenario, output types,
-// and attached sources. Uses OpenAI chat.completions.create() with no
-// tools, no web-search, and no experimental APIs.
+// and attached sources. Uses chat.completions.create() with no tools and
+// no experimental APIs, through the "drafting" task of ./lib/llm.js
+// (provider and default model are configured there; `model` overrides).
+//
+// Each entry of `selectedTypes` must name a prompt recipe
+// (helpers/promptRecipes.js). In single-draft mode the first one supplies
+// the system prompt, user prompt template, default length and
+// temperature, and every selected type contributes its structure
+// expectations. Unknown types are a 400.
+//
+// `scenario` must name a scenario from helpers/scenarios.js (default
+// "general"). `scenarioFields` is validated against the scenario's field
+// definitions (required fields, types) and rendered into the prompt as a
+// KEY FACTS table, together with the scenario's drafting guidance and
+// disclosure reminders. Required fields are enforced whenever a scenario
+// that has them is selected, also when `scenarioFields` is left out;
+// notes-only callers opt out with `allowMissingFields: true`, which leaves
+// the missing key facts to the free-text notes.
+//
+// When `publicSearch` is true, we build a couple of search queries from
+// the title, notes and scenario, run them through the configured web
+// search provider (./lib/webSearch.js) and add the top results to
+// SOURCE EXCERPTS as labelled web sources. The response lists the web
+// results that were used under `webSources`.
+//
+// Send `stream: true` (or `Accept: text/event-stream`) to receive the
+// draft as SSE `token` events followed by a `done` event carrying the
+// usual JSON payload.
+//
+// With `multiOutput: true` every selected output type gets its own draft,
+// generated in parallel from the same fact base (notes, key facts,
+// sources and one shared web search). The response carries
+// `drafts: [{ outputType, label, draftText, score, maxWords, model, usage }]`
+// instead of `draftText`, with `usage` summed across drafts. Per-type
+// `outputOptions: { [outputType]: { maxWords, model } }` override the
+// request-level maxWords / model, which override the recipe defaults.
+// Streamed `token` events carry the `outputType` they belong to.
+//
+// With `citations: true` the model marks every sentence with the inputs
+// it came from (S1..Sn sources, W1..Wn web sources, F key facts, N notes;
+// see ./lib/citations.js). `draftText` comes back without markers and
+// `citations` carries the marked text plus the source contribution table,
+// with unsupported sentences flagged.
+//
+// Style instructions come only from the resolved style guide
+// (`styleGuideId`, default "default"; see helpers/styleGuides.js), which
+// also post-processes the draft. The `done` event carries the
+// post-processed text, so clients should replace the streamed preview.
+//
+// Every draft carries `score`: a 0-100 quality score with a per-dimension
+// breakdown and the reasons behind each component, or status "unscored"
+// when the scoring pass fails (helpers/scoring.js). Scoring is one extra
+// model call per draft; send `score: false` to skip it (drafts then have
+// no `score`).
+
+import { withPipeline, HttpError } from "./lib/pipeline.js";
+import { resolveLlm, llmRequiredEnv } from "./lib/llm.js";
+import { ReplayMissError } from "./lib/replay.js";
+import { webSearch } from "./lib/webSearch.js";
+import { resolveStyleGuide, applyStyleGuide } from "../helpers/styleGuides.js";
+import { resolvePromptRecipes } from "../helpers/promptRecipes.js";
+import { resolveScenario, validateScenarioFields } from "../helpers/scenarios.js";
+import { fillTemplate } from "../helpers/template.js";
+import {
+  wantsEventStream,
+  respondWithEventStream,
+  streamChatCompletion,
+} from "./lib/sse.js";
+import {
+  buildCitationSources,
+  citationInstructions,
+  parseCitations,
+} from "./lib/citations.js";
+import { scoreDraftQuality } from "../helpers/scoring.js";
 
-import OpenAI from "openai";
+const MAX_WEB_QUERIES = 2;
+const MAX_WEB_SOURCES = 4;
+const MAX_QUERY_CHARS = 200;
 
-// --- CORS helper --------------------------------------------------
-function setCorsHeaders(req, res) {
-  const origin = req.headers.origin || "*";
+/**
+ * Build up to MAX_WEB_QUERIES search queries from title, notes and the
+ * scenario's search hint.
+ */
+function buildWebSearchQueries({ title, notes, scenario }) {
+  const queries = [];
+  const safeTitle = (title || "").trim();
+  const hint = scenario.searchHint || "";
+
+  if (safeTitle) {
+    queries.push(`${safeTitle} ${hint}`.trim());
+  }
 
-  res.setHeader("Access-Control-Allow-Origin", origin === "null" ? "*" : origin);
-  res.setHeader("Vary", "Origin");
-  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  // First sentence of the notes tends to carry the key entities.
+  const firstNote = (notes || "")
+    .trim()
+    .split(/(?<=[.!?])\s+|\n+/)[0]
+    ?.trim();
+  if (firstNote) {
+    queries.push(firstNote);
+  }
+
+  return [...new Set(queries.map((q) => q.slice(0, MAX_QUERY_CHARS)))]
+    .filter(Boolean)
+    .slice(0, MAX_WEB_QUERIES);
 }
-// ------------------------------------------------------------------
-
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Shared style-guide text (keep in sync with /api/query if you change it)
-const STYLE_GUIDE_INSTRUCTIONS = `
-You are part of an internal writing tool called "Content Engine".
-Follow this style guide in all draft outputs:
-
-- Currency:
-  - Use "USD" followed by a space and a number with standard English thousand separators.
-    Example: USD 1,500,000 (not USD1.5m, USD1,500,000 or US$1.5m).
-- Years:
-  - Do NOT insert thousand separators into years: 2025, 1999.
-- Quotation marks:
-  - Prefer straight double quotes "like this" for titles, terms, and citations.
-  - Use single quotes only for quotes-within-quotes.
-- Tone:
-  - Clear, concise, neutral, professional.
-`;
 
 /**
- * Try to make the scenario description a bit more human-readable.
+ * Run the queries and return up to MAX_WEB_SOURCES de-duplicated results,
+ * labelled W1..Wn. Search failures never fail the draft: they are
+ * reported back in `errors` and the draft is generated without web context.
  */
-function describeScenario(scenarioId) {
-  switch (scenarioId) {
-    case "new_investment":
-      return "New direct investment announcement or description.";
-    case "exit_realisation":
-      return "Direct investment exit or realisation update.";
-    case "revaluation":
-      return "Direct investment valuation or revaluation update.";
-    case "new_fund_commitment":
-      return "New fund commitment (LP committing capital to a fund).";
-    case "fund_capital_call":
-      return "Fund capital call notice.";
-    case "fund_distribution":
-      return "Fund distribution or proceeds notice.";
-    default:
-      return scenarioId || "General private markets communication.";
+async function fetchWebSources(queries) {
+  const settled = await Promise.allSettled(
+    queries.map((q) => webSearch(q, { maxResults: MAX_WEB_SOURCES }))
+  );
+
+  const perQuery = [];
+  const errors = [];
+
+  settled.forEach((outcome, idx) => {
+    if (outcome.status === "rejected") {
+      // A missing recording must fail the request, not just drop sources.
+      if (outcome.reason instanceof ReplayMissError) throw outcome.reason;
+      console.error("publicSearch query failed:", queries[idx], outcome.reason);
+      errors.push(outcome.reason?.message || String(outcome.reason));
+      return;
+    }
+    perQuery.push(
+      outcome.value.results.map((r) => ({ ...r, query: queries[idx] }))
+    );
+  });
+
+  // Interleave so every query contributes its top results.
+  const seen = new Set();
+  const webSources = [];
+  const depth = Math.max(0, ...perQuery.map((list) => list.length));
+  for (let rank = 0; rank < depth; rank++) {
+    for (const list of perQuery) {
+      const r = list[rank];
+      if (!r || !r.url || seen.has(r.url)) continue;
+      seen.add(r.url);
+      webSources.push(r);
+    }
   }
+
+  return {
+    webSources: webSources
+      .slice(0, MAX_WEB_SOURCES)
+      .map((s, idx) => ({ id: `W${idx + 1}`, ...s })),
+    errors,
+  };
 }
 
 /**
- * Build the system prompt passed to the model.
+ * Build the system prompt passed to the model. The first selected output
+ * type's recipe sets the voice; the style guide is appended.
  */
-function buildSystemPrompt() {
+function buildSystemPrompt(recipe, styleGuide, { multiOutput = false } = {}) {
   return [
-    `You are a specialist writer for private markets and asset management.`,
-    `You write investor-facing text based on structured inputs: scenario, title, notes, output types, and attached source excerpts.`,
-    `If there is any ambiguity, prioritise being accurate and transparent over sounding promotional.`,
-    STYLE_GUIDE_INSTRUCTIONS,
-  ].join("\n\n");
+    `You are part of an internal writing tool called "Content Engine".`,
+    recipe.systemPrompt,
+    multiOutput
+      ? `Other formats are being drafted in parallel from the same key facts, notes and sources. Use every figure, date and name exactly as given there so all formats agree.`
+      : null,
+    `Follow this style guide in all draft outputs:\n\n${styleGuide.instructions}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
 }
 
 /**
- * Build the user prompt from the payload.
+ * Build the user prompt by filling the primary recipe's template. Recipe
+ * templates are validated at registration, so strict mode only trips on
+ * a bug in the values below.
  */
-function buildUserPrompt(payload) {
+function buildUserPrompt(recipes, payload) {
   const {
     title,
     notes,
     scenario,
-    selectedTypes,
+    facts,
     versionType,
     maxWords,
     sources,
+    webSources,
   } = payload || {};
 
-  const safeTitle = (title || "").trim();
-  const safeNotes = (notes || "").trim();
-  const safeScenario = describeScenario(scenario);
-  const typesList =
-    Array.isArray(selectedTypes) && selectedTypes.length > 0
-      ? selectedTypes.join(", ")
-      : "unspecified";
-
-  const maxWordsHint =
-    typeof maxWords === "number" && maxWords > 0
-      ? `Aim for approximately ${maxWords} words, but prefer clarity over hitting the exact word count.`
-      : `Aim for a concise but complete draft.`;
-
-  let sourcesSection = "[no source excerpts were provided]";
-  if (Array.isArray(sources) && sources.length > 0) {
-    const lines = sources.map((s, idx) => {
-      const name = s.name || s.kind || `Source ${idx + 1}`;
-      const url = s.url ? ` (${s.url})` : "";
-      const text = (s.text || "").slice(0, 1500); // limit per-source text
-      return [
-        `SOURCE ${idx + 1}: ${name}${url}`,
-        text ? text : "[no text excerpt provided]",
-      ].join("\n");
-    });
-    sourcesSection = lines.join("\n\n");
-  }
-
-  const notesSection = safeNotes || "[no additional drafting notes provided]";
-  const titleLine = safeTitle || "[no explicit title provided]";
+  const [recipe] = recipes;
+  const structured = recipes.filter((r) => r.structure.length > 0);
 
-  return [
-    `SCENARIO DESCRIPTION:`,
-    safeScenario,
-    "",
-    `OUTPUT TYPES:`,
-    typesList,
-    "",
-    `VERSION TYPE:`,
-    versionType || "[not specified]",
-    "",
-    `TITLE / HEADING:`,
-    titleLine,
-    "",
-    `DRAFTING NOTES FROM USER:`,
-    notesSection,
-    "",
-    `SOURCE EXCERPTS:`,
-    sourcesSection,
-    "",
-    `INSTRUCTIONS:`,
-    maxWordsHint,
-    `Use the information above to draft a single coherent piece of text that fits the scenario and output types.`,
-    `Do not invent specific numbers, dates, valuations or party names that are not mentioned in the notes or sources.`,
-    `If you need to generalise (for example, about performance or pipeline), keep the language high-level and clearly non-specific.`,
-    `Write in polished, professional business English suitable for sophisticated institutional investors.`,
-  ].join("\n");
+  return fillTemplate(
+    recipe.template,
+    {
+      scenario: scenario.description,
+      facts: (facts || []).map((f) => ({
+        label: f.label,
+        value: f.value.replace(/\|/g, "/"), // keep the facts table intact
+      })),
+      guidance: scenario.guidance,
+      disclosures: scenario.disclosures,
+      outputType: recipe.label,
+      outputTypes: recipes.map((r) => r.label),
+      versionType: versionType || "",
+      title: (title || "").trim(),
+      notes: (notes || "").trim(),
+      task: recipe.task,
+      maxWords: maxWords || null,
+      sources: (Array.isArray(sources) ? sources : []).map((s, idx) => ({
+        id: `S${idx + 1}`,
+        number: idx + 1,
+        name: s.name || s.kind || `Source ${idx + 1}`,
+        url: s.url || null,
+        text: s.text || "",
+      })),
+      webSources: (webSources || []).map((s) => ({
+        id: s.id,
+        title: s.title,
+        url: s.url,
+        snippet: s.snippet || "",
+      })),
+      structure: structured.map((r) => ({
+        label: r.label,
+        heading: structured.length > 1 ? r.label : null,
+        lines: r.structure,
+      })),
+    },
+    { strict: true }
+  );
 }
 
 /**
@@ -160,27 +247,218 @@ function coerceDraftText(rawContent) {
   return trimmed;
 }
 
-export default async function handler(req, res) {
-  setCorsHeaders(req, res);
+/**
+ * Check multi-output `outputOptions` ({ [outputType]: { maxWords?, model? } }).
+ * Returns a list of problems (empty when valid).
+ */
+function validateOutputOptions(outputOptions, recipes) {
+  if (!outputOptions || typeof outputOptions !== "object" || Array.isArray(outputOptions)) {
+    return ["'outputOptions' must be an object keyed by output type"];
+  }
+
+  const selected = new Set(recipes.map((r) => r.id));
+  const problems = [];
+  for (const [type, options] of Object.entries(outputOptions)) {
+    if (!selected.has(type)) {
+      problems.push(`${type}: not one of the selected output types`);
+      continue;
+    }
+    if (!options || typeof options !== "object") {
+      problems.push(`${type}: must be an object`);
+      continue;
+    }
+    if (options.maxWords !== undefined && !positiveNumber(options.maxWords)) {
+      problems.push(`${type}: maxWords must be a positive number`);
+    }
+    if (options.model !== undefined && (typeof options.model !== "string" || !options.model.trim())) {
+      problems.push(`${type}: model must be a non-empty string`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Completion parameters for one draft. `recipes` is the full selection in
+ * single-draft mode and just the draft's own recipe in multi-output mode;
+ * `factBase` (title, notes, scenario, facts, sources, web sources) is the
+ * same for every draft of a request.
+ */
+function buildCompletionParams(recipes, factBase, { styleGuide, targetWords, model, multiOutput }) {
+  const [recipe] = recipes;
 
-  if (req.method === "OPTIONS") {
-    return res.status(200).end();
+  // Rough max completion tokens heuristic based on the target length
+  let maxCompletionTokens = 2048;
+  if (targetWords) {
+    const est = targetWords * 4 + 256; // ~4 tokens per word + buffer
+    maxCompletionTokens = Math.min(4096, est);
   }
 
-  if (req.method !== "POST") {
-    return res.status(405).json({ error: "Method not allowed" });
+  return {
+    model,
+    temperature: recipe.temperature,
+    max_completion_tokens: maxCompletionTokens,
+    messages: [
+      {
+        role: "system",
+        content: buildSystemPrompt(recipe, styleGuide, { multiOutput }),
+      },
+      {
+        role: "user",
+        content: [
+          buildUserPrompt(recipes, { ...factBase, maxWords: targetWords }),
+          factBase.citationSources
+            ? citationInstructions(factBase.citationSources)
+            : null,
+        ]
+          .filter(Boolean)
+          .join("\n\n"),
+      },
+    ],
+  };
+}
+
+/**
+ * Run one completion, streamed through `onDelta` when given; `signal`
+ * cancels a stream whose client went away.
+ */
+async function runCompletion(client, params, onDelta, signal) {
+  if (onDelta) {
+    return streamChatCompletion(client, params, onDelta, { signal });
   }
+  const completion = await client.chat.completions.create(params);
+  return {
+    content: completion.choices?.[0]?.message?.content || "",
+    model: completion.model,
+    usage: completion.usage,
+  };
+}
+
+function mapUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens ?? null,
+    completionTokens: usage?.completion_tokens ?? null,
+    totalTokens: usage?.total_tokens ?? null,
+  };
+}
+
+function sumUsage(usages) {
+  const total = (key) =>
+    usages.every((u) => u[key] === null)
+      ? null
+      : usages.reduce((sum, u) => sum + (u[key] || 0), 0);
+  return {
+    promptTokens: total("promptTokens"),
+    completionTokens: total("completionTokens"),
+    totalTokens: total("totalTokens"),
+  };
+}
+
+function positiveNumber(value) {
+  return typeof value === "number" && value > 0 ? value : null;
+}
 
-  if (!process.env.OPENAI_API_KEY) {
-    return res
-      .status(500)
-      .json({ error: "Missing OPENAI_API_KEY environment variable" });
+/**
+ * Fields shared by single and multi-output payloads.
+ */
+function withRequestContext(payload, { webContext, styleGuide, recipes, scenario }) {
+  Object.assign(payload, {
+    outputTypes: recipes.map((r) => r.id),
+    scenario: { id: scenario.id, label: scenario.label },
+    styleGuide: { id: styleGuide.id, name: styleGuide.name },
+  });
+
+  if (webContext) {
+    payload.webSources = webContext.webSources;
+    payload.webSearch = {
+      queries: webContext.queries,
+      errors: webContext.errors,
+    };
   }
 
-  try {
-    const body =
-      typeof req.body === "string" ? JSON.parse(req.body || "{}") : req.body || {};
+  return payload;
+}
+
+/**
+ * Post-process the model text: style guide first, then (when requested)
+ * split off the citation markers into the contribution table.
+ */
+function finishDraftText(content, { styleGuide, citationSources }) {
+  const styled = applyStyleGuide(coerceDraftText(content), styleGuide);
+  if (!citationSources) return { draftText: styled };
+
+  const citations = parseCitations(styled, citationSources);
+  return { draftText: citations.text || styled, citations };
+}
+
+/**
+ * Quality score for one finished draft (helpers/scoring.js), or null when
+ * the request turned scoring off.
+ */
+async function scoreFinishedDraft(draftText, outputType, { scenario, versionType, scoreDrafts }) {
+  if (!scoreDrafts) return null;
+  return scoreDraftQuality(draftText, {
+    scenario: scenario.id,
+    outputType,
+    versionType,
+  });
+}
 
+/**
+ * Shape the final response payload (shared by JSON and SSE modes).
+ */
+async function buildDraftPayload({ content, model, usage }, context) {
+  const finished = finishDraftText(content, context);
+  const score = await scoreFinishedDraft(finished.draftText, context.recipes[0].id, context);
+  return withRequestContext(
+    {
+      ok: true,
+      ...finished,
+      ...(score ? { score } : {}),
+      model: model || null,
+      usage: mapUsage(usage),
+    },
+    context
+  );
+}
+
+/**
+ * Multi-output payload: one entry per output type, in selection order,
+ * plus usage summed over all drafts.
+ */
+async function buildMultiDraftPayload(drafts, context) {
+  const shaped = await Promise.all(
+    drafts.map(async ({ recipe, targetWords, result }) => {
+      const finished = finishDraftText(result.content, context);
+      const score = await scoreFinishedDraft(finished.draftText, recipe.id, context);
+      return {
+        outputType: recipe.id,
+        label: recipe.label,
+        ...finished,
+        ...(score ? { score } : {}),
+        maxWords: targetWords || null,
+        model: result.model || null,
+        usage: mapUsage(result.usage),
+      };
+    })
+  );
+
+  return withRequestContext(
+    {
+      ok: true,
+      drafts: shaped,
+      usage: sumUsage(shaped.map((d) => d.usage)),
+    },
+    context
+  );
+}
+
+export default withPipeline(
+  {
+    name: "/api/generate",
+    requiredEnv: llmRequiredEnv("drafting"),
+    errorMessage: "Failed to generate draft",
+  },
+  async function handler(req, res, { body }) {
     const {
       title,
       notes,
@@ -189,81 +467,166 @@ export default async function handler(req, res) {
       versionType,
       maxWords,
       model,
-      // We accept but ignore publicSearch & sources for now:
       publicSearch,
       sources,
+      styleGuideId,
+      scenarioFields,
+      allowMissingFields,
+      multiOutput,
+      outputOptions,
+      citations,
+      score: scoreDrafts,
     } = body;
 
-    // Basic validation: we at least want scenario OR title OR notes or sources
+    let scenarioDef;
+    try {
+      scenarioDef = resolveScenario(scenario);
+    } catch (err) {
+      throw new HttpError(400, "invalid_request", err.message);
+    }
+
+    const checked = validateScenarioFields(scenarioDef, scenarioFields, {
+      allowMissingFields: allowMissingFields === true,
+    });
+    if (checked.errors.length > 0) {
+      throw new HttpError(
+        400,
+        "invalid_request",
+        `Invalid fields for scenario "${scenarioDef.id}"`,
+        { errors: checked.errors }
+      );
+    }
+    const facts = checked.facts;
+
+    // Basic validation: we at least want title OR notes OR facts OR sources
     if (
       !title &&
       !notes &&
+      facts.length === 0 &&
       (!Array.isArray(sources) || sources.length === 0)
     ) {
-      return res.status(400).json({
-        error:
-          "Missing content to generate from. Provide at least a title, notes, or one source excerpt.",
+      throw new HttpError(
+        400,
+        "invalid_request",
+        "Missing content to generate from. Provide at least a title, notes, scenario fields, or one source excerpt."
+      );
+    }
+
+    let styleGuide;
+    try {
+      styleGuide = resolveStyleGuide(styleGuideId);
+    } catch (err) {
+      throw new HttpError(400, "invalid_request", err.message);
+    }
+
+    if (selectedTypes !== undefined && !Array.isArray(selectedTypes)) {
+      throw new HttpError(
+        400,
+        "invalid_request",
+        "'selectedTypes' must be an array of output type IDs"
+      );
+    }
+
+    let recipes;
+    try {
+      recipes = resolvePromptRecipes(selectedTypes);
+    } catch (err) {
+      throw new HttpError(400, "invalid_request", err.message, {
+        unknown: err.unknown,
+        available: err.available,
+      });
+    }
+    if (multiOutput === true && outputOptions !== undefined) {
+      const problems = validateOutputOptions(outputOptions, recipes);
+      if (problems.length > 0) {
+        throw new HttpError(400, "invalid_request", "Invalid 'outputOptions'", {
+          errors: problems,
+        });
+      }
+    }
+
+    let webContext = null;
+    if (publicSearch === true) {
+      const queries = buildWebSearchQueries({
+        title,
+        notes,
+        scenario: scenarioDef,
       });
+      webContext = queries.length
+        ? { queries, ...(await fetchWebSources(queries)) }
+        : { queries, webSources: [], errors: [] };
     }
 
-    const systemPrompt = buildSystemPrompt();
-    const userPrompt = buildUserPrompt({
+    // Everything the drafts are written from; shared by all drafts so the
+    // figures stay consistent across formats.
+    const factBase = {
       title,
       notes,
-      scenario,
-      selectedTypes,
+      scenario: scenarioDef,
+      facts,
       versionType,
-      maxWords,
       sources,
-    });
-
-    // Rough max completion tokens heuristic based on requested maxWords
-    let maxCompletionTokens = 2048;
-    if (typeof maxWords === "number" && maxWords > 0) {
-      const est = maxWords * 4 + 256; // ~4 tokens per word + buffer
-      maxCompletionTokens = Math.min(4096, est);
+      webSources: webContext?.webSources,
+    };
+    if (citations === true) {
+      factBase.citationSources = buildCitationSources(factBase);
     }
+    const context = {
+      webContext,
+      styleGuide,
+      recipes,
+      scenario: scenarioDef,
+      versionType,
+      citationSources: factBase.citationSources,
+      scoreDrafts: scoreDrafts !== false,
+    };
 
-    const completion = await client.chat.completions.create({
-      model: model || "gpt-4o-mini",
-      temperature: 0.4,
-      max_completion_tokens: maxCompletionTokens,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt },
-      ],
-    });
+    const produce = async (sendToken, signal) => {
+      if (multiOutput !== true) {
+        // An explicit maxWords wins over the recipe's default length.
+        const llm = resolveLlm("drafting", { model });
+        const params = buildCompletionParams(recipes, factBase, {
+          styleGuide,
+          targetWords: positiveNumber(maxWords) ?? recipes[0].maxWords,
+          model: llm.model,
+        });
+        return buildDraftPayload(
+          await runCompletion(llm.client, params, sendToken, signal),
+          context
+        );
+      }
 
-    const message = completion.choices?.[0]?.message;
-    const rawContent = message?.content || "";
+      const drafts = await Promise.all(
+        recipes.map(async (recipe) => {
+          const options = outputOptions?.[recipe.id] || {};
+          const targetWords =
+            positiveNumber(options.maxWords) ??
+            positiveNumber(maxWords) ??
+            recipe.maxWords;
+          const llm = resolveLlm("drafting", { model: options.model || model });
+          const params = buildCompletionParams([recipe], factBase, {
+            styleGuide,
+            targetWords,
+            model: llm.model,
+            multiOutput: true,
+          });
+          const result = await runCompletion(
+            llm.client,
+            params,
+            sendToken && ((delta) => sendToken(delta, { outputType: recipe.id })),
+            signal
+          );
+          return { recipe, targetWords, result };
+        })
+      );
+      return buildMultiDraftPayload(drafts, context);
+    };
 
-    // Make sure we always return some non-empty draftText:
-    const draftText = coerceDraftText(rawContent);
+    if (wantsEventStream(req, body)) {
+      return respondWithEventStream(res, produce);
+    }
 
-    // We let the frontend's scoreDraft() function compute a score if needed.
-    return res.status(200).json({
-      ok: true,
-      draftText,
-      score: null,
-      model: completion.model || null,
-      usage: {
-        promptTokens: completion.usage?.prompt_tokens ?? null,
-        completionTokens: completion.usage?.completion_tokens ?? null,
-        totalTokens: completion.usage?.total_tokens ?? null,
-      },
-    });
-  } catch (err) {
-    console.error("/api/generate error:", err);
-    const message =
-      err && typeof err === "object" && "message" in err
-        ? err.message
-        : "Unknown error";
-
-    // For unexpected failures (network, OpenAI error, bad JSON, etc.),
-    // we still return a 500 so the client knows it truly failed.
-    return res.status(500).json({
-      error: "Failed to generate draft",
-      details: message,
-    });
+    // The payload builders make sure we always return some non-empty draftText.
+    return res.status(200).json(await produce(null));
   }
-}
+);
@@ -1,23 +1,13 @@
 // api/health.js
- 
-function setCorsHeaders(req, res) {
-  const origin = req.headers.origin || "*";
 
-  res.setHeader(
-    "Access-Control-Allow-Origin",
-    origin === "null" ? "*" : origin
-  );
-  res.setHeader("Vary", "Origin");
-  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-}
+import { withPipeline } from "./lib/pipeline.js";
 
-export default function handler(req, res) {
-  setCorsHeaders(req, res);
-
-  if (req.method === "OPTIONS") {
-    return res.status(200).end();
+export default withPipeline(
+  {
+    name: "/api/health",
+    methods: ["GET"],
+  },
+  function handler(req, res) {
+    return res.status(200).json({ ok: true, status: "healthy" });
   }
-
-  return res.status(200).json({ ok: true, status: "healthy" });
-}
+);
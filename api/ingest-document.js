@@ -0,0 +1,110 @@
+// api/ingest-document.js
+//
+// Upload endpoint for document sources: investment committee memos, term
+// sheets, fund reports. Accepts a PDF, DOCX, XLSX or PPTX file and returns
+// cleaned text in the same shape /api/fetch-url returns ({ title, text }),
+// plus `name` and `kind` so the result can go straight into the `sources`
+// array that /api/generate consumes.
+//
+// Request body (JSON):
+//   { "filename": "IC memo.pdf", "data": "<base64 file contents>" }
+//
+// Text keeps "--- Page N ---", "--- Slide N ---" or "--- Sheet: Name ---"
+// markers; spreadsheet rows come out as "cell | cell | cell" lines.
+
+import path from "node:path";
+import { withPipeline, HttpError } from "./lib/pipeline.js";
+import { extractDocument, DocumentError } from "./lib/extractDocument.js";
+
+// Base64 inflates files by ~4/3; 8 MB of JSON is a ~6 MB file.
+const MAX_BODY_BYTES = 8 * 1024 * 1024;
+
+// Keep it bounded so we don't blow up token counts downstream
+const MAX_TEXT_CHARS = 50000;
+
+const DOCUMENT_ERROR_STATUS = {
+  unsupported_document_type: 415,
+  document_encrypted: 422,
+  document_unreadable: 422,
+  document_too_large: 413,
+};
+
+function decodeBase64(data) {
+  // Accept data URLs ("data:application/pdf;base64,....") as well.
+  const payload = data.replace(/^data:[^,]*;base64,/, "").replace(/\s+/g, "");
+  if (!payload || !/^[A-Za-z0-9+/]+={0,2}$/.test(payload)) return null;
+  return Buffer.from(payload, "base64");
+}
+
+export default withPipeline(
+  {
+    name: "/api/ingest-document",
+    maxBodyBytes: Number(process.env.INGEST_MAX_BODY_BYTES) || MAX_BODY_BYTES,
+    errorMessage: "Failed to ingest document",
+  },
+  async function handler(req, res, { body }) {
+    const { filename, data } = body;
+
+    if (!data || typeof data !== "string") {
+      throw new HttpError(
+        400,
+        "invalid_request",
+        "Missing or invalid 'data' (base64 file contents) in request body"
+      );
+    }
+
+    const buffer = decodeBase64(data);
+    if (!buffer || buffer.length === 0) {
+      throw new HttpError(400, "invalid_request", "'data' is not valid base64");
+    }
+
+    let extracted;
+    try {
+      extracted = await extractDocument(buffer, { filename });
+    } catch (err) {
+      if (err instanceof DocumentError) {
+        throw new HttpError(
+          DOCUMENT_ERROR_STATUS[err.code] || 422,
+          err.code,
+          err.message
+        );
+      }
+      throw err;
+    }
+
+    if (!extracted.text) {
+      throw new HttpError(
+        422,
+        "no_readable_text",
+        extracted.format === "pdf"
+          ? "No text found in PDF. Scanned documents need OCR, which is not supported yet."
+          : "Could not extract readable text from document"
+      );
+    }
+
+    const safeName =
+      typeof filename === "string" && filename.trim()
+        ? path.basename(filename.trim())
+        : null;
+    const title =
+      extracted.title || (safeName ? safeName.replace(/\.[^.]+$/, "") : "Uploaded document");
+
+    const truncated = extracted.text.length > MAX_TEXT_CHARS;
+    const text = truncated ? extracted.text.slice(0, MAX_TEXT_CHARS) : extracted.text;
+
+    return res.status(200).json({
+      title,
+      text,
+      name: title,
+      kind: extracted.format,
+      filename: safeName,
+      metadata: {
+        format: extracted.format,
+        pageCount: extracted.pageCount ?? null,
+        slideCount: extracted.slideCount ?? null,
+        sheetCount: extracted.sheetCount ?? null,
+        truncated,
+      },
+    });
+  }
+);
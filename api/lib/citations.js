@@ -0,0 +1,132 @@
+// api/lib/citations.js
+//
+// Inline citations for generated and rewritten drafts.
+//
+// Every input a draft can draw on gets a citation ID:
+//   S1..Sn  attached source excerpts
+//   W1..Wn  web search results (publicSearch)
+//   F       key facts (structured scenario fields)
+//   N       the writer's drafting notes
+//
+// The model is asked to end each sentence with markers such as [S1][W2].
+// parseCitations() then splits the draft into sentences and builds the
+// source contribution table: which inputs each sentence came from, and
+// which sentences have no support at all.
+
+import { splitStatements } from "./statements.js";
+
+const MARKER_SOURCE = String.raw`\s*\[(?:[SW]\d+|[FN])(?:\s*,\s*(?:[SW]\d+|[FN]))*\]`;
+const MARKER_RE = /\s*\[((?:[SW]\d+|[FN])(?:\s*,\s*(?:[SW]\d+|[FN]))*)\]/g;
+
+/**
+ * Citation IDs for a request's inputs.
+ *
+ * Returns [{ id, kind: "source" | "web" | "facts" | "notes", label, url }].
+ */
+export function buildCitationSources({ sources, webSources, facts, notes }) {
+  const list = [];
+
+  (Array.isArray(sources) ? sources : []).forEach((s, idx) => {
+    list.push({
+      id: `S${idx + 1}`,
+      kind: "source",
+      label: s.name || s.kind || `Source ${idx + 1}`,
+      url: s.url || null,
+    });
+  });
+
+  (Array.isArray(webSources) ? webSources : []).forEach((s, idx) => {
+    list.push({
+      id: s.id || `W${idx + 1}`,
+      kind: "web",
+      label: s.title || s.url,
+      url: s.url || null,
+    });
+  });
+
+  if (Array.isArray(facts) && facts.length > 0) {
+    list.push({ id: "F", kind: "facts", label: "Key facts", url: null });
+  }
+  if (typeof notes === "string" && notes.trim()) {
+    list.push({ id: "N", kind: "notes", label: "Drafting notes", url: null });
+  }
+
+  return list;
+}
+
+/**
+ * Prompt section asking the model for inline markers.
+ */
+export function citationInstructions(citationSources) {
+  const ids = citationSources.map((s) => `- ${s.id}: ${s.label}`).join("\n");
+
+  return [
+    "CITATIONS:",
+    'End every sentence with markers for the inputs that support it, placed after the final punctuation, e.g. "The company was founded in 2004. [S1][W2]".',
+    "Use only these IDs:",
+    ids || "- (no inputs were provided)",
+    "If no input supports a sentence, add no marker. Never invent IDs, and do not add a reference list at the end.",
+  ].join("\n");
+}
+
+function markerIds(text) {
+  const ids = [];
+  for (const m of text.matchAll(MARKER_RE)) {
+    for (const id of m[1].split(",")) ids.push(id.trim());
+  }
+  return ids;
+}
+
+/**
+ * Remove citation markers from text.
+ */
+export function stripCitationMarkers(text) {
+  return (text || "").replace(MARKER_RE, "").replace(/[ \t]+$/gm, "");
+}
+
+/**
+ * Split a marked-up draft into sentences and map them to citation IDs.
+ *
+ * Returns {
+ *   text,         // draft without markers
+ *   markedText,   // draft as returned, with markers
+ *   sources,      // citationSources, each with `sentences`: indexes citing it
+ *   sentences,    // [{ index, paragraph, text, sourceIds, supported }]
+ *   unsupported,  // number of sentences without any valid citation
+ *   unknownIds,   // IDs the model cited that were not offered
+ * }
+ */
+export function parseCitations(markedText, citationSources) {
+  const known = new Map(citationSources.map((s) => [s.id, { ...s, sentences: [] }]));
+  const unknownIds = new Set();
+  const sentences = [];
+
+  // Markers after the full stop stay with their sentence.
+  for (const statement of splitStatements(markedText, { trailing: MARKER_SOURCE })) {
+    const cited = [...new Set(markerIds(statement.text))];
+    const sourceIds = cited.filter((id) => known.has(id));
+    cited.filter((id) => !known.has(id)).forEach((id) => unknownIds.add(id));
+
+    const text = stripCitationMarkers(statement.text).trim();
+    if (!text) continue;
+
+    const index = sentences.length;
+    sourceIds.forEach((id) => known.get(id).sentences.push(index));
+    sentences.push({
+      index,
+      paragraph: statement.paragraph,
+      text,
+      sourceIds,
+      supported: sourceIds.length > 0,
+    });
+  }
+
+  return {
+    text: stripCitationMarkers(markedText).trim(),
+    markedText: markedText || "",
+    sources: [...known.values()],
+    sentences,
+    unsupported: sentences.filter((s) => !s.supported).length,
+    unknownIds: [...unknownIds],
+  };
+}
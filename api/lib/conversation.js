@@ -0,0 +1,127 @@
+// api/lib/conversation.js
+//
+// Conversation history for multi-turn endpoints (Ask AI). A history is
+// the list of earlier turns, oldest first, as the client received them:
+//
+//   [{ question, answer, references?: [{ title, url, snippet }] }]
+//
+// normaliseHistory() validates it; fitHistory() keeps the most recent
+// turns that fit a token budget and returns the older ones separately so
+// the caller can summarise or drop them. Turns keep their position in the
+// submitted history as `index`, which is what response metadata reports.
+//
+// Token counts are estimates (about 4 characters per token): close enough
+// to budget a prompt, not to bill one.
+
+const CHARS_PER_TOKEN = 4;
+
+// Per-field caps applied while normalising, so one pasted answer cannot
+// dominate the prompt.
+const MAX_QUESTION_CHARS = 2000;
+const MAX_ANSWER_CHARS = 6000;
+const MAX_TURN_REFERENCES = 5;
+
+// The newest turn is kept with a shortened answer when it does not fit
+// whole, unless less than this much of the answer would be left.
+const MIN_TRUNCATED_ANSWER_TOKENS = 80;
+
+export function estimateTokens(text) {
+  return Math.ceil((typeof text === "string" ? text.length : 0) / CHARS_PER_TOKEN);
+}
+
+function cleanReferences(references) {
+  if (!Array.isArray(references)) return [];
+  return references
+    .filter((r) => r && typeof r === "object")
+    .map((r) => ({
+      title: typeof r.title === "string" ? r.title.trim() : "",
+      url: typeof r.url === "string" ? r.url.trim() : "",
+    }))
+    .filter((r) => r.title || r.url)
+    .slice(0, MAX_TURN_REFERENCES);
+}
+
+/**
+ * Validated turns [{ index, question, answer, references }] for a history
+ * sent by a client. Missing history gives []. Throws for anything that is
+ * not a list of { question, answer } objects.
+ */
+export function normaliseHistory(history) {
+  if (history === undefined || history === null) return [];
+  if (!Array.isArray(history)) {
+    throw new Error("history must be an array of { question, answer } turns");
+  }
+
+  return history.map((turn, index) => {
+    const question = typeof turn?.question === "string" ? turn.question.trim() : "";
+    const answer = typeof turn?.answer === "string" ? turn.answer.trim() : "";
+    if (!question || !answer) {
+      throw new Error(`history[${index}] needs a non-empty question and answer`);
+    }
+    return {
+      index,
+      question: question.slice(0, MAX_QUESTION_CHARS),
+      answer: answer.slice(0, MAX_ANSWER_CHARS),
+      references: cleanReferences(turn.references),
+    };
+  });
+}
+
+/**
+ * Prompt text for one turn. References are listed by title and URL only.
+ */
+export function renderTurn(turn) {
+  const lines = [
+    `[Turn ${turn.index + 1}]`,
+    `Q: ${turn.question}`,
+    `A: ${turn.answer}${turn.truncated ? " […]" : ""}`,
+  ];
+  if (turn.references.length > 0) {
+    const refs = turn.references.map((r) => (r.url ? `${r.title || r.url} (${r.url})` : r.title));
+    lines.push(`References: ${refs.join("; ")}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Split turns into the most recent ones that fit `tokenBudget` (rendered
+ * with renderTurn) and the older rest. Turns are never skipped in the
+ * middle: the first turn that does not fit ends the recent run. If even
+ * the newest turn is too long, it is kept with its answer shortened
+ * (`truncated: true`) when enough of the answer survives.
+ *
+ * Returns { recent, older, tokens }, both lists oldest first.
+ */
+export function fitHistory(turns, tokenBudget) {
+  const recent = [];
+  let tokens = 0;
+  let cut = turns.length;
+
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(renderTurn(turns[i]));
+    if (tokens + cost <= tokenBudget) {
+      recent.unshift(turns[i]);
+      tokens += cost;
+      cut = i;
+      continue;
+    }
+
+    if (recent.length === 0) {
+      const overhead = estimateTokens(renderTurn({ ...turns[i], answer: "", truncated: true }));
+      const answerTokens = tokenBudget - overhead;
+      if (answerTokens >= MIN_TRUNCATED_ANSWER_TOKENS) {
+        const shortened = {
+          ...turns[i],
+          answer: turns[i].answer.slice(0, answerTokens * CHARS_PER_TOKEN).trim(),
+          truncated: true,
+        };
+        recent.unshift(shortened);
+        tokens += estimateTokens(renderTurn(shortened));
+        cut = i;
+      }
+    }
+    break;
+  }
+
+  return { recent, older: turns.slice(0, cut), tokens };
+}
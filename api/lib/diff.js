@@ -0,0 +1,219 @@
+// api/lib/diff.js
+//
+// Word-level diff (Myers' O(ND) algorithm, linear-space variant) for
+// comparing a draft with its rewrite.
+//
+// Text is tokenised into words (numbers such as "1'500'000" or "10.5m"
+// stay whole), single punctuation marks and whitespace runs. Whitespace
+// runs compare equal unless one holds a paragraph break and the other
+// does not, so re-wrapping a line is not a change.
+//
+// The work is O(ND) for N tokens and D edits, so a long text that was
+// rewritten throughout would take too long word by word. Past a work
+// budget the diff falls back to whole paragraphs (unchanged paragraphs
+// are still matched), and past that to replacing everything.
+
+const TOKEN_RE = /\s+|[\p{L}\p{N}]+(?:[.,'’-][\p{L}\p{N}]+)*|[^\s\p{L}\p{N}]/gu;
+
+function tokenise(text) {
+  return [...text.matchAll(TOKEN_RE)].map((m) => ({
+    text: m[0],
+    start: m.index,
+    end: m.index + m[0].length,
+    key: /^\s/.test(m[0]) ? (/\n\s*\n/.test(m[0]) ? "¶" : " ") : m[0],
+  }));
+}
+
+// Roughly one unit per diagonal step or snake comparison; a few hundred
+// milliseconds of work on one core.
+const MAX_DIFF_WORK = 10_000_000;
+
+const PARAGRAPH_RE = /\s*\n\s*\n\s*|(?:(?!\s*\n\s*\n)[\s\S])+/g;
+
+function paragraphs(text) {
+  return [...text.matchAll(PARAGRAPH_RE)].map((m) => ({
+    text: m[0],
+    start: m.index,
+    end: m.index + m[0].length,
+    key: /^\s*\n\s*\n/.test(m[0]) && !m[0].trim() ? "¶" : m[0].trim().replace(/\s+/g, " "),
+  }));
+}
+
+class WorkBudgetExceeded extends Error {}
+
+// Find the middle snake of a[aLo..aHi) vs b[bLo..bHi): the stretch of
+// equal tokens (possibly empty) that an optimal edit path crosses halfway.
+// Returns [x, y, u, v]: the snake runs from (x, y) to (u, v), absolute.
+function middleSnake(a, aLo, aHi, b, bLo, bHi, spend) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+  const vf = new Int32Array(2 * max + 3);
+  const vb = new Int32Array(2 * max + 3);
+  const equal = (x, y) => a[aLo + x].key === b[bLo + y].key;
+
+  for (let d = 0; d <= max; d++) {
+    spend(2 * d + 1);
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && vf[offset + k - 1] < vf[offset + k + 1])
+          ? vf[offset + k + 1]
+          : vf[offset + k - 1] + 1;
+      let y = x - k;
+      const x0 = x;
+      const y0 = y;
+      while (x < n && y < m && equal(x, y)) {
+        x++;
+        y++;
+      }
+      spend(x - x0);
+      vf[offset + k] = x;
+      const kr = delta - k;
+      if (delta % 2 !== 0 && kr >= -(d - 1) && kr <= d - 1 && x + vb[offset + kr] >= n) {
+        return [aLo + x0, bLo + y0, aLo + x, bLo + y];
+      }
+    }
+
+    spend(2 * d + 1);
+    for (let kr = -d; kr <= d; kr += 2) {
+      // Same walk over the reversed sequences; x counts from the end.
+      let x =
+        kr === -d || (kr !== d && vb[offset + kr - 1] < vb[offset + kr + 1])
+          ? vb[offset + kr + 1]
+          : vb[offset + kr - 1] + 1;
+      let y = x - kr;
+      const x0 = x;
+      const y0 = y;
+      while (x < n && y < m && equal(n - x - 1, m - y - 1)) {
+        x++;
+        y++;
+      }
+      spend(x - x0);
+      vb[offset + kr] = x;
+      const k = delta - kr;
+      if (delta % 2 === 0 && k >= -d && k <= d && x + vf[offset + k] >= n) {
+        return [aLo + n - x, bLo + m - y, aLo + n - x0, bLo + m - y0];
+      }
+    }
+  }
+  throw new Error("diff: no middle snake"); // unreachable for valid input
+}
+
+// Append the edit script for a[aLo..aHi) vs b[bLo..bHi) to `steps`.
+function diffRange(a, aLo, aHi, b, bLo, bHi, steps, spend) {
+  while (aLo < aHi && bLo < bHi && a[aLo].key === b[bLo].key) {
+    steps.push(["equal", aLo++, bLo++]);
+  }
+  let aEnd = aHi;
+  let bEnd = bHi;
+  while (aEnd > aLo && bEnd > bLo && a[aEnd - 1].key === b[bEnd - 1].key) {
+    aEnd--;
+    bEnd--;
+  }
+
+  if (aLo === aEnd) {
+    for (let j = bLo; j < bEnd; j++) steps.push(["insert", aLo, j]);
+  } else if (bLo === bEnd) {
+    for (let i = aLo; i < aEnd; i++) steps.push(["delete", i, bLo]);
+  } else {
+    // With the common ends trimmed at least two edits remain, so both
+    // halves are strictly smaller problems.
+    const [x, y, u, v] = middleSnake(a, aLo, aEnd, b, bLo, bEnd, spend);
+    diffRange(a, aLo, x, b, bLo, y, steps, spend);
+    for (let i = x, j = y; i < u; i++, j++) steps.push(["equal", i, j]);
+    diffRange(a, u, aEnd, b, v, bEnd, steps, spend);
+  }
+
+  for (let i = aEnd, j = bEnd; i < aHi; i++, j++) steps.push(["equal", i, j]);
+}
+
+// Shortest edit script as a list of [op, aIndex, bIndex] steps, or null
+// when it costs more than MAX_DIFF_WORK to find.
+function myers(a, b) {
+  let work = 0;
+  const spend = (units) => {
+    work += units;
+    if (work > MAX_DIFF_WORK) throw new WorkBudgetExceeded();
+  };
+
+  const steps = [];
+  try {
+    diffRange(a, 0, a.length, b, 0, b.length, steps, spend);
+  } catch (err) {
+    if (err instanceof WorkBudgetExceeded) return null;
+    throw err;
+  }
+  return steps;
+}
+
+/**
+ * Diff two texts word by word.
+ *
+ * Returns [{ op: "equal" | "delete" | "insert", text, start, end }] with
+ * consecutive tokens of the same op merged. Offsets point into `before`
+ * for "equal" and "delete", into `after` for "insert"; "equal" ops also
+ * carry afterStart/afterEnd (their whitespace may differ in `after`).
+ * Within a changed region deletions come before insertions. Texts too
+ * far apart to diff word by word come back as whole-paragraph ops.
+ */
+export function diffWords(before, after) {
+  const beforeText = typeof before === "string" ? before : "";
+  const afterText = typeof after === "string" ? after : "";
+  let a = tokenise(beforeText);
+  let b = tokenise(afterText);
+
+  let steps = myers(a, b);
+  if (!steps) {
+    a = paragraphs(beforeText);
+    b = paragraphs(afterText);
+    steps = myers(a, b) ?? [
+      ...a.map((_, i) => ["delete", i, 0]),
+      ...b.map((_, j) => ["insert", a.length, j]),
+    ];
+  }
+
+  const ops = [];
+  const push = (op, token, afterToken) => {
+    const last = ops[ops.length - 1];
+    if (last && last.op === op && last.end === token.start) {
+      last.text += token.text;
+      last.end = token.end;
+      if (afterToken) last.afterEnd = afterToken.end;
+    } else {
+      ops.push({
+        op,
+        text: token.text,
+        start: token.start,
+        end: token.end,
+        ...(afterToken ? { afterStart: afterToken.start, afterEnd: afterToken.end } : {}),
+      });
+    }
+  };
+
+  // Collect each changed region, then emit its deletions before its
+  // insertions so a replacement reads as one delete + one insert.
+  let deletes = [];
+  let inserts = [];
+  const flush = () => {
+    deletes.forEach((t) => push("delete", t));
+    inserts.forEach((t) => push("insert", t));
+    deletes = [];
+    inserts = [];
+  };
+
+  for (const [op, i, j] of steps) {
+    if (op === "equal") {
+      flush();
+      push("equal", a[i], b[j]);
+    } else if (op === "delete") {
+      deletes.push(a[i]);
+    } else {
+      inserts.push(b[j]);
+    }
+  }
+  flush();
+
+  return ops;
+}
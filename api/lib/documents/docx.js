@@ -0,0 +1,155 @@
+// api/lib/documents/docx.js
+//
+// Word (.docx) text extraction. Keeps paragraphs, headings ("# "), list
+// items ("- ") and tables (one "cell | cell" line per row). Page markers
+// are added when the file records page breaks.
+
+import {
+  openPackage,
+  descendants,
+  children,
+  firstDescendant,
+  attr,
+  readCoreTitle,
+  tidyLine,
+  DocumentError,
+} from "./ooxml.js";
+
+const PAGE_BREAK = Symbol("page-break");
+
+function headingLevel(p) {
+  const style = attr(firstDescendant(firstDescendant(p, "pPr"), "pStyle"), "val") || "";
+  if (/^title$/i.test(style)) return 1;
+  const m = /^heading\s*(\d)$/i.exec(style);
+  return m ? Math.min(Number(m[1]), 6) : 0;
+}
+
+function isListItem(p) {
+  return Boolean(firstDescendant(firstDescendant(p, "pPr"), "numPr"));
+}
+
+// Walk a paragraph's runs in order. Returns an array of text chunks and
+// PAGE_BREAK markers.
+function paragraphParts(p, breakMode) {
+  const parts = [];
+  let buffer = "";
+
+  const walk = (node) => {
+    for (const el of Array.from(node.children)) {
+      switch (el.localName) {
+        case "t":
+          buffer += el.textContent;
+          break;
+        case "tab":
+          buffer += "\t";
+          break;
+        case "br":
+          if (attr(el, "type") === "page" && breakMode === "explicit") {
+            parts.push(buffer, PAGE_BREAK);
+            buffer = "";
+          } else {
+            buffer += " ";
+          }
+          break;
+        case "lastRenderedPageBreak":
+          if (breakMode === "rendered") {
+            parts.push(buffer, PAGE_BREAK);
+            buffer = "";
+          }
+          break;
+        case "pPr":
+        case "rPr":
+        case "instrText":
+        case "delText":
+          break;
+        default:
+          walk(el);
+      }
+    }
+  };
+
+  walk(p);
+  parts.push(buffer);
+  return parts;
+}
+
+function tableLines(tbl) {
+  const lines = [];
+  for (const tr of children(tbl, "tr")) {
+    const cells = children(tr, "tc").map((tc) =>
+      tidyLine(
+        descendants(tc, "p")
+          .map((p) => descendants(p, "t").map((t) => t.textContent).join(""))
+          .join(" ")
+      )
+    );
+    if (cells.some(Boolean)) lines.push(cells.join(" | "));
+  }
+  return lines;
+}
+
+/**
+ * Extract { title, text, pageCount } from a .docx buffer.
+ */
+export function extractDocx(buffer) {
+  const pkg = openPackage(buffer);
+  const doc = pkg.xml("word/document.xml");
+  const body = firstDescendant(doc, "body");
+  if (!body) {
+    throw new DocumentError("document_unreadable", "Word document has no body");
+  }
+
+  // Word stores where it last laid out page boundaries; prefer those over
+  // manual page breaks, which are a subset of them.
+  const breakMode =
+    descendants(body, "lastRenderedPageBreak").length > 0
+      ? "rendered"
+      : descendants(body, "br").some((br) => attr(br, "type") === "page")
+        ? "explicit"
+        : "none";
+
+  const pages = [[]];
+  const current = () => pages[pages.length - 1];
+
+  const addBlock = (block) => {
+    if (block) current().push(block);
+  };
+
+  const visit = (node) => {
+    for (const el of children(node)) {
+      if (el.localName === "p") {
+        const level = headingLevel(el);
+        const prefix = level ? `${"#".repeat(level)} ` : isListItem(el) ? "- " : "";
+        for (const part of paragraphParts(el, breakMode)) {
+          if (part === PAGE_BREAK) {
+            pages.push([]);
+          } else {
+            const line = tidyLine(part);
+            addBlock(line && prefix + line);
+          }
+        }
+      } else if (el.localName === "tbl") {
+        const rows = tableLines(el);
+        addBlock(rows.length ? rows.join("\n") : "");
+      } else if (el.localName === "sdt" || el.localName === "sdtContent") {
+        visit(el);
+      }
+    }
+  };
+
+  visit(body);
+
+  const nonEmpty = pages.filter((blocks) => blocks.length > 0);
+  const text =
+    breakMode === "none"
+      ? nonEmpty.map((blocks) => blocks.join("\n\n")).join("\n\n")
+      : nonEmpty
+          .map((blocks, idx) => [`--- Page ${idx + 1} ---`, ...blocks].join("\n\n"))
+          .join("\n\n");
+
+  return {
+    title: readCoreTitle(pkg),
+    text,
+    pageCount: breakMode === "none" ? null : nonEmpty.length,
+  };
+}
@@ -0,0 +1,221 @@
+// api/lib/documents/ooxml.js
+//
+// Shared helpers for Office Open XML packages (DOCX, XLSX, PPTX): unzip
+// the parts we need, parse them as XML and follow relationship files.
+// Element lookups are namespace-agnostic (by local name), so documents
+// that use non-standard prefixes still parse.
+
+import path from "node:path";
+import { unzipSync, strFromU8, Unzip, UnzipInflate } from "fflate";
+import { JSDOM } from "jsdom";
+
+// Guard against zip bombs: total uncompressed size of the parts we read.
+// Counted as the bytes come out of the inflater, never taken from the
+// sizes the zip declares (those are whatever the file says they are).
+const MAX_UNPACKED_BYTES = 80 * 1024 * 1024;
+
+// The archive is fed to the inflater in slices this size, so the most we
+// can overshoot the cap by is what one slice inflates to.
+const INFLATE_SLICE_BYTES = 16 * 1024;
+
+let domParser = null;
+function getParser() {
+  if (!domParser) {
+    domParser = new new JSDOM("").window.DOMParser();
+  }
+  return domParser;
+}
+
+export class DocumentError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "DocumentError";
+    this.code = code;
+  }
+}
+
+/**
+ * List the entry names of a zip without inflating anything.
+ */
+export function listZipEntries(buffer) {
+  const names = [];
+  try {
+    unzipSync(new Uint8Array(buffer), {
+      filter(file) {
+        names.push(file.name);
+        return false;
+      },
+    });
+  } catch {
+    return [];
+  }
+  return names;
+}
+
+/**
+ * Open an OOXML package. Only .xml / .rels parts are inflated.
+ */
+export function openPackage(buffer) {
+  const data = new Uint8Array(buffer);
+
+  // The streaming reader skips anything that is not a zip entry, so check
+  // the central directory first to reject files that are not zips at all.
+  try {
+    unzipSync(data, { filter: () => false });
+  } catch {
+    throw new DocumentError("document_unreadable", "File is not a valid Office document");
+  }
+
+  const files = {};
+  let unpacked = 0;
+  let failure = null;
+
+  const unzip = new Unzip((file) => {
+    if (!/\.(xml|rels)$/i.test(file.name)) return;
+    const chunks = [];
+    file.ondata = (err, chunk, final) => {
+      if (failure) return;
+      if (err) {
+        failure = err;
+        return;
+      }
+      unpacked += chunk.length;
+      if (unpacked > MAX_UNPACKED_BYTES) {
+        failure = new DocumentError(
+          "document_too_large",
+          "Document expands to more content than we can process"
+        );
+        file.terminate();
+        return;
+      }
+      chunks.push(chunk);
+      if (final) files[file.name] = concatChunks(chunks);
+    };
+    file.start();
+  });
+  unzip.register(UnzipInflate);
+
+  try {
+    for (let offset = 0; offset < data.length && !failure; offset += INFLATE_SLICE_BYTES) {
+      const end = offset + INFLATE_SLICE_BYTES;
+      unzip.push(data.subarray(offset, end), end >= data.length);
+    }
+  } catch (err) {
+    failure = failure || err;
+  }
+
+  if (failure instanceof DocumentError) throw failure;
+  if (failure) {
+    throw new DocumentError("document_unreadable", "File is not a valid Office document");
+  }
+
+  return {
+    has(part) {
+      return Boolean(files[part]);
+    },
+    xml(part) {
+      if (!files[part]) return null;
+      const doc = getParser().parseFromString(strFromU8(files[part]), "application/xml");
+      if (doc.getElementsByTagName("parsererror").length > 0) {
+        throw new DocumentError("document_unreadable", `Could not parse ${part}`);
+      }
+      return doc;
+    },
+  };
+}
+
+function concatChunks(chunks) {
+  if (chunks.length === 1) return chunks[0];
+  const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+/**
+ * All descendants with the given local name, in document order.
+ */
+export function descendants(node, localName) {
+  return node ? Array.from(node.getElementsByTagNameNS("*", localName)) : [];
+}
+
+/**
+ * Direct children with the given local name (or all element children).
+ */
+export function children(node, localName) {
+  if (!node) return [];
+  return Array.from(node.children).filter(
+    (el) => !localName || el.localName === localName
+  );
+}
+
+export function firstDescendant(node, localName) {
+  return descendants(node, localName)[0] || null;
+}
+
+/**
+ * Read an attribute regardless of its namespace prefix (e.g. r:id, w:val).
+ */
+export function attr(node, localName) {
+  if (!node) return null;
+  for (const a of Array.from(node.attributes)) {
+    if (a.localName === localName) return a.value;
+  }
+  return null;
+}
+
+/**
+ * The r:id of an element pointing into the relationships file. Matched by
+ * namespace, since elements like <p:sldId id="256" r:id="rId2"/> also
+ * carry a plain `id`.
+ */
+export function relId(node) {
+  if (!node) return null;
+  for (const a of Array.from(node.attributes)) {
+    if (a.localName === "id" && /relationships/.test(a.namespaceURI || "")) {
+      return a.value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a part's relationships to { id -> absolute part path }.
+ * `partPath` is the owning part, e.g. "xl/workbook.xml".
+ */
+export function readRelationships(pkg, partPath) {
+  const dir = path.posix.dirname(partPath);
+  const relsPath = path.posix.join(dir, "_rels", `${path.posix.basename(partPath)}.rels`);
+  const rels = new Map();
+  const doc = pkg.xml(relsPath);
+  if (!doc) return rels;
+
+  for (const rel of descendants(doc, "Relationship")) {
+    if (attr(rel, "TargetMode") === "External") continue;
+    const target = attr(rel, "Target") || "";
+    const resolved = target.startsWith("/")
+      ? target.slice(1)
+      : path.posix.normalize(path.posix.join(dir, target));
+    rels.set(attr(rel, "Id"), { target: resolved, type: attr(rel, "Type") || "" });
+  }
+  return rels;
+}
+
+/**
+ * Document title from docProps/core.xml, if set.
+ */
+export function readCoreTitle(pkg) {
+  const core = pkg.xml("docProps/core.xml");
+  const title = firstDescendant(core, "title")?.textContent?.trim();
+  return title || null;
+}
+
+/**
+ * Collapse runs of spaces/tabs on each line and trim blank edges.
+ */
+export function tidyLine(text) {
+  return (text || "").replace(/[ \t\u00a0]+/g, " ").trim();
+}
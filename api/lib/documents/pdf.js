@@ -0,0 +1,96 @@
+// api/lib/documents/pdf.js
+//
+// PDF text extraction with pdf.js. Each page becomes a "--- Page N ---"
+// section. Lines follow the PDF's own end-of-line markers; a larger
+// vertical gap between lines starts a new paragraph.
+
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { tidyLine, DocumentError } from "./ooxml.js";
+
+// Gap (in multiples of the line's font height) that counts as a paragraph break.
+const PARAGRAPH_GAP = 1.6;
+
+function pageText(items) {
+  const paragraphs = [];
+  let lines = [];
+  let line = "";
+  let lastY = null;
+  let lastHeight = 0;
+
+  const endLine = () => {
+    const clean = tidyLine(line);
+    if (clean) lines.push(clean);
+    line = "";
+  };
+  const endParagraph = () => {
+    endLine();
+    if (lines.length) paragraphs.push(lines.join("\n"));
+    lines = [];
+  };
+
+  for (const item of items) {
+    if (typeof item.str !== "string") continue;
+
+    const y = item.transform?.[5];
+    const height = item.height || lastHeight;
+    if (
+      lastY !== null &&
+      typeof y === "number" &&
+      Math.abs(lastY - y) > PARAGRAPH_GAP * (height || 10)
+    ) {
+      endParagraph();
+    }
+
+    line += item.str;
+    if (item.hasEOL) endLine();
+
+    if (typeof y === "number") lastY = y;
+    if (item.height) lastHeight = item.height;
+  }
+  endParagraph();
+
+  return paragraphs.join("\n\n");
+}
+
+/**
+ * Extract { title, text, pageCount } from a PDF buffer.
+ */
+export async function extractPdf(buffer) {
+  let doc;
+  try {
+    doc = await getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      disableFontFace: true,
+      useSystemFonts: false,
+      verbosity: 0,
+    }).promise;
+  } catch (err) {
+    if (err?.name === "PasswordException") {
+      throw new DocumentError("document_encrypted", "PDF is password protected");
+    }
+    throw new DocumentError("document_unreadable", "File is not a readable PDF");
+  }
+
+  try {
+    const sections = [];
+    for (let n = 1; n <= doc.numPages; n++) {
+      const page = await doc.getPage(n);
+      const content = await page.getTextContent();
+      const text = pageText(content.items);
+      if (text) sections.push(`--- Page ${n} ---\n\n${text}`);
+      page.cleanup();
+    }
+
+    const meta = await doc.getMetadata().catch(() => null);
+    const title = (meta?.info?.Title || "").trim() || null;
+
+    return {
+      title,
+      text: sections.join("\n\n"),
+      pageCount: doc.numPages,
+    };
+  } finally {
+    await doc.destroy();
+  }
+}
@@ -0,0 +1,134 @@
+// api/lib/documents/pptx.js
+//
+// PowerPoint (.pptx) text extraction. Each slide becomes a
+// "--- Slide N ---" section: the title placeholder as "# Title", then
+// text boxes line by line, tables as "cell | cell" rows and any speaker
+// notes at the end.
+
+import {
+  openPackage,
+  descendants,
+  children,
+  firstDescendant,
+  attr,
+  readRelationships,
+  relId,
+  readCoreTitle,
+  tidyLine,
+  DocumentError,
+} from "./ooxml.js";
+
+const NOTES_REL_TYPE = /\/notesSlide$/;
+
+function paragraphText(p) {
+  let out = "";
+  for (const el of Array.from(p.children)) {
+    if (el.localName === "r" || el.localName === "fld") {
+      out += descendants(el, "t").map((t) => t.textContent).join("");
+    } else if (el.localName === "br") {
+      out += "\n";
+    }
+  }
+  return out;
+}
+
+function shapeLines(sp) {
+  const txBody = firstDescendant(sp, "txBody");
+  return descendants(txBody, "p")
+    .flatMap((p) => paragraphText(p).split("\n"))
+    .map(tidyLine)
+    .filter(Boolean);
+}
+
+function placeholderType(sp) {
+  return attr(firstDescendant(firstDescendant(sp, "nvPr"), "ph"), "type");
+}
+
+function tableLines(tbl) {
+  return children(tbl, "tr")
+    .map((tr) =>
+      children(tr, "tc").map((tc) =>
+        tidyLine(descendants(tc, "p").map(paragraphText).join(" "))
+      )
+    )
+    .filter((cells) => cells.some(Boolean))
+    .map((cells) => cells.join(" | "));
+}
+
+// Walk the shape tree in z-order, which is also reading order for most decks.
+function collectBlocks(tree, out) {
+  for (const el of children(tree)) {
+    if (el.localName === "sp") {
+      const lines = shapeLines(el);
+      if (!lines.length) continue;
+      const ph = placeholderType(el);
+      if (ph === "title" || ph === "ctrTitle") {
+        out.title = out.title || lines.join(" ");
+      } else if (ph !== "sldNum" && ph !== "dt" && ph !== "ftr") {
+        out.blocks.push(lines.join("\n"));
+      }
+    } else if (el.localName === "graphicFrame") {
+      const tbl = firstDescendant(el, "tbl");
+      const rows = tbl ? tableLines(tbl) : [];
+      if (rows.length) out.blocks.push(rows.join("\n"));
+    } else if (el.localName === "grpSp") {
+      collectBlocks(el, out);
+    }
+  }
+}
+
+function notesText(pkg, slidePath) {
+  const rels = readRelationships(pkg, slidePath);
+  const notesRel = [...rels.values()].find((r) => NOTES_REL_TYPE.test(r.type));
+  const notesDoc = notesRel ? pkg.xml(notesRel.target) : null;
+  if (!notesDoc) return "";
+
+  return children(firstDescendant(notesDoc, "spTree"), "sp")
+    .filter((sp) => placeholderType(sp) === "body")
+    .flatMap(shapeLines)
+    .join("\n");
+}
+
+/**
+ * Extract { title, text, slideCount } from a .pptx buffer.
+ */
+export function extractPptx(buffer) {
+  const pkg = openPackage(buffer);
+  const presentation = pkg.xml("ppt/presentation.xml");
+  if (!presentation) {
+    throw new DocumentError("document_unreadable", "Presentation has no slide list");
+  }
+
+  const rels = readRelationships(pkg, "ppt/presentation.xml");
+  const slideIds = descendants(firstDescendant(presentation, "sldIdLst"), "sldId");
+  const sections = [];
+  let firstTitle = null;
+
+  slideIds.forEach((sldId, idx) => {
+    const slidePath = rels.get(relId(sldId))?.target;
+    const slideDoc = slidePath ? pkg.xml(slidePath) : null;
+    if (!slideDoc) return;
+
+    const out = { title: null, blocks: [] };
+    collectBlocks(firstDescendant(slideDoc, "spTree"), out);
+    firstTitle = firstTitle || out.title;
+
+    const notes = notesText(pkg, slidePath);
+    sections.push(
+      [
+        `--- Slide ${idx + 1} ---`,
+        out.title ? `# ${out.title}` : "",
+        ...out.blocks,
+        notes ? `Speaker notes:\n${notes}` : "",
+      ]
+        .filter(Boolean)
+        .join("\n\n")
+    );
+  });
+
+  return {
+    title: readCoreTitle(pkg) || firstTitle,
+    text: sections.join("\n\n"),
+    slideCount: slideIds.length,
+  };
+}
@@ -0,0 +1,177 @@
+// api/lib/documents/xlsx.js
+//
+// Excel (.xlsx) text extraction. Each sheet becomes a "--- Sheet: Name ---"
+// section with one "cell | cell | cell" line per non-empty row, so tables
+// read naturally in a prompt. Date-formatted cells come out as ISO dates.
+
+import {
+  openPackage,
+  descendants,
+  children,
+  firstDescendant,
+  attr,
+  readRelationships,
+  relId,
+  readCoreTitle,
+  tidyLine,
+  DocumentError,
+} from "./ooxml.js";
+
+const MAX_ROWS_PER_SHEET = 500;
+
+// Built-in number formats that render as dates / times.
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+function columnIndex(ref) {
+  const letters = /^([A-Z]+)/i.exec(ref || "")?.[1]?.toUpperCase();
+  if (!letters) return null;
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+function readSharedStrings(pkg) {
+  const doc = pkg.xml("xl/sharedStrings.xml");
+  return children(firstDescendant(doc, "sst"), "si").map((si) =>
+    // Phonetic hints (rPh) are not part of the visible string.
+    descendants(si, "t")
+      .filter((t) => t.parentElement?.localName !== "rPh")
+      .map((t) => t.textContent)
+      .join("")
+  );
+}
+
+// Style index -> true when the cell's number format is a date format.
+function readDateStyles(pkg) {
+  const doc = pkg.xml("xl/styles.xml");
+  if (!doc) return [];
+
+  const customDates = new Set();
+  for (const fmt of descendants(firstDescendant(doc, "numFmts"), "numFmt")) {
+    // Strip quoted literals and [colour]/[locale] blocks before looking
+    // for date tokens.
+    const code = (attr(fmt, "formatCode") || "")
+      .replace(/"[^"]*"/g, "")
+      .replace(/\[[^\]]*\]/g, "");
+    if (/[dmyhs]/i.test(code)) customDates.add(Number(attr(fmt, "numFmtId")));
+  }
+
+  return children(firstDescendant(doc, "cellXfs"), "xf").map((xf) => {
+    const id = Number(attr(xf, "numFmtId"));
+    return BUILTIN_DATE_FORMATS.has(id) || customDates.has(id);
+  });
+}
+
+function serialToIso(serial, date1904) {
+  const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+  const date = new Date(epoch + Math.round(serial * 86400000));
+  if (Number.isNaN(date.getTime())) return String(serial);
+  const iso = date.toISOString();
+  return Number.isInteger(serial) ? iso.slice(0, 10) : iso.slice(0, 16).replace("T", " ");
+}
+
+function formatNumber(raw) {
+  const n = Number(raw);
+  if (!Number.isFinite(n)) return raw;
+  // Drop binary float noise such as 0.15000000000000002.
+  return String(Number(n.toPrecision(12)));
+}
+
+function cellText(c, ctx) {
+  const type = attr(c, "t");
+  const v = firstDescendant(c, "v")?.textContent ?? "";
+
+  switch (type) {
+    case "s":
+      return ctx.sharedStrings[Number(v)] ?? "";
+    case "inlineStr":
+      return descendants(firstDescendant(c, "is"), "t").map((t) => t.textContent).join("");
+    case "b":
+      return v === "1" ? "TRUE" : "FALSE";
+    case "str":
+    case "e":
+      return v;
+    default: {
+      if (v === "") return "";
+      const style = Number(attr(c, "s") || 0);
+      return ctx.dateStyles[style]
+        ? serialToIso(Number(v), ctx.date1904)
+        : formatNumber(v);
+    }
+  }
+}
+
+function sheetLines(sheetDoc, ctx) {
+  const lines = [];
+  let truncated = false;
+
+  for (const row of descendants(firstDescendant(sheetDoc, "sheetData"), "row")) {
+    const cells = [];
+    let next = 0;
+    for (const c of children(row, "c")) {
+      const idx = columnIndex(attr(c, "r")) ?? next;
+      while (cells.length < idx) cells.push("");
+      cells[idx] = tidyLine(cellText(c, ctx));
+      next = idx + 1;
+    }
+
+    while (cells.length && !cells[cells.length - 1]) cells.pop();
+    if (!cells.some(Boolean)) continue;
+
+    if (lines.length >= MAX_ROWS_PER_SHEET) {
+      truncated = true;
+      break;
+    }
+    lines.push(cells.join(" | "));
+  }
+
+  return { lines, truncated };
+}
+
+/**
+ * Extract { title, text, sheetCount } from an .xlsx buffer.
+ */
+export function extractXlsx(buffer) {
+  const pkg = openPackage(buffer);
+  const workbook = pkg.xml("xl/workbook.xml");
+  if (!workbook) {
+    throw new DocumentError("document_unreadable", "Spreadsheet has no workbook");
+  }
+
+  const rels = readRelationships(pkg, "xl/workbook.xml");
+  const ctx = {
+    sharedStrings: readSharedStrings(pkg),
+    dateStyles: readDateStyles(pkg),
+    date1904: ["1", "true"].includes(attr(firstDescendant(workbook, "workbookPr"), "date1904")),
+  };
+
+  const sections = [];
+  const sheets = descendants(firstDescendant(workbook, "sheets"), "sheet");
+
+  for (const sheet of sheets) {
+    if (attr(sheet, "state") === "hidden" || attr(sheet, "state") === "veryHidden") continue;
+
+    const target = rels.get(relId(sheet))?.target;
+    const sheetDoc = target ? pkg.xml(target) : null;
+    if (!sheetDoc) continue;
+
+    const { lines, truncated } = sheetLines(sheetDoc, ctx);
+    if (!lines.length) continue;
+
+    sections.push(
+      [
+        `--- Sheet: ${attr(sheet, "name") || `Sheet ${sections.length + 1}`} ---`,
+        lines.join("\n"),
+        truncated ? `[rows after ${MAX_ROWS_PER_SHEET} omitted]` : "",
+      ]
+        .filter(Boolean)
+        .join("\n\n")
+    );
+  }
+
+  return {
+    title: readCoreTitle(pkg),
+    text: sections.join("\n\n"),
+    sheetCount: sections.length,
+  };
+}
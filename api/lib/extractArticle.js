@@ -0,0 +1,268 @@
+// api/lib/extractArticle.js
+//
+// Main-content extraction for fetched HTML pages. Uses Mozilla Readability
+// (via jsdom) to drop nav menus, cookie banners and footers, then renders
+// the article HTML to plain text that keeps paragraph and heading structure:
+//
+//   ## Heading
+//
+//   Paragraph text...
+//
+//   - list item
+//
+// Also collects page metadata: byline, published date, site name,
+// canonical URL, language and a short excerpt.
+
+import { JSDOM, VirtualConsole } from "jsdom";
+import { Readability, isProbablyReaderable } from "@mozilla/readability";
+
+const EXCERPT_MAX_CHARS = 300;
+
+const SKIP_TAGS = new Set([
+  "SCRIPT",
+  "STYLE",
+  "NOSCRIPT",
+  "TEMPLATE",
+  "SVG",
+  "IFRAME",
+  "BUTTON",
+  "FORM",
+]);
+
+// Chrome we strip ourselves when Readability can't find an article.
+const FALLBACK_STRIP_SELECTOR =
+  "nav, header, footer, aside, form, [role=navigation], [role=banner], [role=contentinfo], [aria-hidden=true]";
+
+const BLOCK_TAGS = new Set([
+  "P",
+  "DIV",
+  "SECTION",
+  "ARTICLE",
+  "MAIN",
+  "HEADER",
+  "FOOTER",
+  "ASIDE",
+  "BLOCKQUOTE",
+  "PRE",
+  "FIGURE",
+  "FIGCAPTION",
+  "UL",
+  "OL",
+  "DL",
+  "DT",
+  "DD",
+  "TABLE",
+  "THEAD",
+  "TBODY",
+  "TFOOT",
+  "HR",
+]);
+
+function collapse(text) {
+  return (text || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Render a DOM subtree to text, one block per paragraph / heading /
+ * list item / table row. Blocks are separated by blank lines; consecutive
+ * list items and table rows stay on adjacent lines.
+ */
+export function renderStructuredText(root) {
+  const blocks = [];
+  let buffer = "";
+
+  const push = (text, compact = false) => {
+    blocks.push({ text, compact });
+  };
+
+  const flush = (prefix = "", compact = false) => {
+    const text = collapse(buffer);
+    if (text) push(prefix + text, compact);
+    buffer = "";
+  };
+
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      buffer += node.textContent;
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const tag = node.tagName.toUpperCase();
+    if (SKIP_TAGS.has(tag)) return;
+
+    if (tag === "BR") {
+      buffer += " ";
+      return;
+    }
+
+    const heading = /^H([1-6])$/.exec(tag);
+    if (heading) {
+      flush();
+      buffer = node.textContent;
+      flush(`${"#".repeat(Number(heading[1]))} `);
+      return;
+    }
+
+    if (tag === "LI") {
+      flush();
+      node.childNodes.forEach(walk);
+      flush("- ", true);
+      return;
+    }
+
+    if (tag === "TR") {
+      flush();
+      const cells = Array.from(node.children)
+        .map((cell) => collapse(cell.textContent))
+        .filter(Boolean);
+      if (cells.length) push(cells.join(" | "), true);
+      return;
+    }
+
+    if (BLOCK_TAGS.has(tag)) {
+      flush();
+      node.childNodes.forEach(walk);
+      flush();
+      return;
+    }
+
+    node.childNodes.forEach(walk);
+  };
+
+  walk(root);
+  flush();
+
+  return blocks
+    .map((block, idx) => {
+      if (idx === 0) return block.text;
+      const sep = block.compact && blocks[idx - 1].compact ? "\n" : "\n\n";
+      return sep + block.text;
+    })
+    .join("");
+}
+
+function metaContent(document, selectors) {
+  for (const selector of selectors) {
+    const value = document.querySelector(selector)?.getAttribute("content");
+    if (value && value.trim()) return value.trim();
+  }
+  return null;
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? value : parsed.toISOString();
+}
+
+function readMetadata(document, pageUrl) {
+  const canonicalHref = document
+    .querySelector('link[rel="canonical"]')
+    ?.getAttribute("href");
+
+  let canonicalUrl = null;
+  if (canonicalHref) {
+    try {
+      canonicalUrl = new URL(canonicalHref, pageUrl).toString();
+    } catch {
+      canonicalUrl = null;
+    }
+  }
+
+  return {
+    canonicalUrl:
+      canonicalUrl || metaContent(document, ['meta[property="og:url"]']),
+    lang:
+      document.documentElement.getAttribute("lang") ||
+      metaContent(document, ['meta[http-equiv="content-language" i]']),
+    siteName: metaContent(document, [
+      'meta[property="og:site_name"]',
+      'meta[name="application-name"]',
+    ]),
+    byline: metaContent(document, [
+      'meta[name="author"]',
+      'meta[property="article:author"]',
+    ]),
+    publishedAt: toIsoDate(
+      metaContent(document, [
+        'meta[property="article:published_time"]',
+        'meta[name="date"]',
+        'meta[itemprop="datePublished"]',
+      ]) ||
+        document.querySelector("time[datetime]")?.getAttribute("datetime") ||
+        null
+    ),
+    description: metaContent(document, [
+      'meta[name="description"]',
+      'meta[property="og:description"]',
+    ]),
+  };
+}
+
+function clipExcerpt(text) {
+  const clean = collapse(text);
+  if (clean.length <= EXCERPT_MAX_CHARS) return clean;
+  const cut = clean.slice(0, EXCERPT_MAX_CHARS);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${cut.slice(0, lastSpace > 0 ? lastSpace : cut.length)}…`;
+}
+
+/**
+ * Extract the readable article from an HTML string.
+ *
+ * Returns { title, text, metadata: { byline, publishedAt, siteName,
+ * canonicalUrl, lang, excerpt }, usedReadability }.
+ */
+export function extractArticle(html, pageUrl) {
+  // jsdom logs CSS parse errors from real-world pages; keep them quiet.
+  const virtualConsole = new VirtualConsole();
+  const dom = new JSDOM(html, { url: pageUrl, virtualConsole });
+  const { document } = dom.window;
+
+  // Read metadata first: Readability mutates the document it parses.
+  const meta = readMetadata(document, pageUrl);
+  const pageTitle = collapse(document.title);
+
+  // Pages Readability doesn't consider article-like (short pages, listings)
+  // go straight to the fallback, which strips obvious chrome itself.
+  const article = isProbablyReaderable(document)
+    ? new Readability(document.cloneNode(true)).parse()
+    : null;
+
+  let text = "";
+  let usedReadability = false;
+
+  if (article?.content) {
+    const fragment = JSDOM.fragment(`<div>${article.content}</div>`);
+    text = renderStructuredText(fragment.firstChild);
+    usedReadability = Boolean(text);
+  }
+
+  if (!text && document.body) {
+    document.body
+      .querySelectorAll(FALLBACK_STRIP_SELECTOR)
+      .forEach((el) => el.remove());
+    text = renderStructuredText(document.body);
+  }
+
+  dom.window.close();
+
+  return {
+    title: collapse(article?.title) || pageTitle || null,
+    text,
+    usedReadability,
+    metadata: {
+      byline: collapse(article?.byline) || meta.byline,
+      publishedAt: toIsoDate(article?.publishedTime) || meta.publishedAt,
+      siteName: collapse(article?.siteName) || meta.siteName,
+      canonicalUrl: meta.canonicalUrl,
+      lang: article?.lang || meta.lang,
+      excerpt: clipExcerpt(
+        article?.excerpt ||
+          meta.description ||
+          text.replace(/^(#+|-) /gm, "")
+      ),
+    },
+  };
+}
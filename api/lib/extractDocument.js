@@ -0,0 +1,67 @@
+// api/lib/extractDocument.js
+//
+// Turns an uploaded PDF / DOCX / XLSX / PPTX into cleaned text with
+// page, slide or sheet markers. The format is sniffed from the file
+// contents; the filename extension is only a tie-breaker.
+
+import path from "node:path";
+import { listZipEntries, DocumentError } from "./documents/ooxml.js";
+import { extractPdf } from "./documents/pdf.js";
+import { extractDocx } from "./documents/docx.js";
+import { extractXlsx } from "./documents/xlsx.js";
+import { extractPptx } from "./documents/pptx.js";
+
+export { DocumentError };
+
+export const SUPPORTED_FORMATS = ["pdf", "docx", "xlsx", "pptx"];
+
+const EXTRACTORS = {
+  pdf: extractPdf,
+  docx: extractDocx,
+  xlsx: extractXlsx,
+  pptx: extractPptx,
+};
+
+/**
+ * Work out the document format from magic bytes (and zip contents).
+ * Returns one of SUPPORTED_FORMATS or null.
+ */
+export function detectFormat(buffer, filename) {
+  const ext = path.extname(filename || "").slice(1).toLowerCase();
+
+  if (buffer.subarray(0, 1024).includes(Buffer.from("%PDF-"))) return "pdf";
+
+  const isZip = buffer[0] === 0x50 && buffer[1] === 0x4b; // "PK"
+  if (!isZip) return null;
+
+  const entries = listZipEntries(buffer);
+  if (entries.includes("word/document.xml")) return "docx";
+  if (entries.includes("xl/workbook.xml")) return "xlsx";
+  if (entries.includes("ppt/presentation.xml")) return "pptx";
+
+  // Macro-enabled / template variants share the layout above, so only
+  // fall back to the extension when the parts are missing entirely.
+  return SUPPORTED_FORMATS.includes(ext) ? ext : null;
+}
+
+/**
+ * Extract { title, text, format, pageCount?, slideCount?, sheetCount? }.
+ * Throws DocumentError (with `code`) for unsupported or unreadable files.
+ */
+export async function extractDocument(buffer, { filename } = {}) {
+  const format = detectFormat(buffer, filename);
+  if (!format) {
+    throw new DocumentError(
+      "unsupported_document_type",
+      `Unsupported file type. Supported: ${SUPPORTED_FORMATS.join(", ")}`
+    );
+  }
+
+  const result = await EXTRACTORS[format](buffer);
+
+  return {
+    ...result,
+    text: (result.text || "").replace(/\n{3,}/g, "\n\n").trim(),
+    format,
+  };
+}
@@ -0,0 +1,252 @@
+// api/lib/llm.js
+//
+// Provider-agnostic LLM clients with per-task model routing. Every model
+// call in the backend gets its client and model from resolveLlm():
+//
+//   const { client, model } = resolveLlm("drafting", { model: body.model });
+//   await client.chat.completions.create({ model, ... });
+//
+// Tasks (LLM_TASKS) and their default models:
+// - "drafting":  /api/generate                              gpt-4o-mini
+// - "rewriting": /api/rewrite                               gpt-4.1-mini
+// - "analysis":  /api/analyse-statements, /api/compliance-check  gpt-4o-mini
+// - "scoring":   draft quality rubric (helpers/scoring.js)  gpt-4o-mini
+// - "ask":       /api/query (Ask AI)                        gpt-4o-mini
+//
+// Providers (all speak the OpenAI chat completions API):
+// - "openai":     OpenAI (OPENAI_API_KEY; OPENAI_BASE_URL optional)
+// - "azure":      Azure OpenAI (AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY,
+//                 OPENAI_API_VERSION); models are deployment names
+// - "compatible": any OpenAI-compatible endpoint, e.g. an on-prem vLLM or
+//                 Ollama server (LLM_COMPATIBLE_BASE_URL;
+//                 LLM_COMPATIBLE_API_KEY if the server wants one)
+//
+// Routing: LLM_<TASK>_PROVIDER and LLM_<TASK>_MODEL (e.g.
+// LLM_SCORING_MODEL) override LLM_PROVIDER (default "openai") and the
+// task's default model; a model sent by the caller overrides both.
+// OPENAI_MODEL is still honoured as the Ask AI model. Extra providers can
+// be added with registerLlmProvider().
+//
+// Clients returned here go through ./replay.js: with REPLAY_MODE=record
+// every completion is saved, with REPLAY_MODE=replay it is served from
+// the recording without creating a provider client at all (so no keys
+// are needed). The provider is not part of the recording key.
+
+import OpenAI, { AzureOpenAI } from "openai";
+import { replayMode, readRecording, writeRecording } from "./replay.js";
+
+const DEFAULT_PROVIDER = "openai";
+
+export const LLM_TASKS = {
+  drafting: { defaultModel: "gpt-4o-mini" },
+  rewriting: { defaultModel: "gpt-4.1-mini" },
+  analysis: { defaultModel: "gpt-4o-mini" },
+  scoring: { defaultModel: "gpt-4o-mini" },
+  ask: { defaultModel: "gpt-4o-mini", legacyModelEnv: "OPENAI_MODEL" },
+};
+
+// Local servers usually ignore the key, but the SDK insists on one.
+const PLACEHOLDER_API_KEY = "not-needed";
+
+const PROVIDERS = {
+  openai: {
+    requiredEnv: ["OPENAI_API_KEY"],
+    createClient: () => new OpenAI({ apiKey: process.env.OPENAI_API_KEY }),
+  },
+  azure: {
+    requiredEnv: ["AZURE_OPENAI_ENDPOINT", "AZURE_OPENAI_API_KEY", "OPENAI_API_VERSION"],
+    createClient: () =>
+      new AzureOpenAI({
+        // null, not undefined: OPENAI_BASE_URL (meant for "openai") must
+        // not override the Azure endpoint.
+        baseURL: null,
+        endpoint: process.env.AZURE_OPENAI_ENDPOINT.replace(/\/+$/, ""),
+        apiKey: process.env.AZURE_OPENAI_API_KEY,
+        apiVersion: process.env.OPENAI_API_VERSION,
+      }),
+  },
+  compatible: {
+    requiredEnv: ["LLM_COMPATIBLE_BASE_URL"],
+    createClient: () =>
+      new OpenAI({
+        baseURL: process.env.LLM_COMPATIBLE_BASE_URL,
+        apiKey: process.env.LLM_COMPATIBLE_API_KEY || PLACEHOLDER_API_KEY,
+      }),
+  },
+};
+
+// One client per provider, created on first use.
+const clients = new Map();
+
+/**
+ * Add (or replace) a provider adapter: { requiredEnv, createClient() },
+ * where the client exposes chat.completions.create() like the OpenAI SDK.
+ */
+export function registerLlmProvider(name, adapter) {
+  if (!name || typeof adapter?.createClient !== "function") {
+    throw new Error("An LLM provider needs a name and a createClient() function");
+  }
+  PROVIDERS[name] = { requiredEnv: [], ...adapter };
+  clients.delete(name);
+}
+
+export function listLlmProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+function checkTask(task) {
+  if (!LLM_TASKS[task]) {
+    throw new Error(`Unknown LLM task "${task}". Available: ${Object.keys(LLM_TASKS).join(", ")}`);
+  }
+}
+
+function envFor(task, setting) {
+  const value = process.env[`LLM_${task.toUpperCase()}_${setting}`];
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Provider name for a task. Throws for unknown tasks and providers.
+ */
+export function resolveLlmProvider(task) {
+  checkTask(task);
+  const name = envFor(task, "PROVIDER") || process.env.LLM_PROVIDER?.trim() || DEFAULT_PROVIDER;
+  if (!PROVIDERS[name]) {
+    throw new Error(
+      `Unknown LLM provider "${name}" for task "${task}". Available: ${listLlmProviders().join(", ")}`
+    );
+  }
+  return name;
+}
+
+/**
+ * Environment variables the task's provider needs, for withPipeline's
+ * `requiredEnv`. Read when the handler module loads; an unknown provider
+ * gives [] here and fails in resolveLlm() instead. Replay mode needs none.
+ */
+export function llmRequiredEnv(task) {
+  try {
+    return replayMode() === "replay" ? [] : PROVIDERS[resolveLlmProvider(task)].requiredEnv;
+  } catch {
+    return [];
+  }
+}
+
+function providerClient(provider) {
+  if (!clients.has(provider)) {
+    clients.set(provider, PROVIDERS[provider].createClient());
+  }
+  return clients.get(provider);
+}
+
+// --- Record / replay --------------------------------------------------
+
+// The part of a completion we record: { model, content, finishReason, usage }.
+function recordedCompletion(completion) {
+  const choice = completion?.choices?.[0];
+  return {
+    model: completion?.model || null,
+    content: choice?.message?.content ?? "",
+    finishReason: choice?.finish_reason || null,
+    usage: completion?.usage || null,
+  };
+}
+
+function replayedCompletion({ model, content, finishReason, usage }) {
+  return {
+    id: "chatcmpl-replay",
+    object: "chat.completion",
+    created: 0,
+    model,
+    choices: [
+      {
+        index: 0,
+        message: { role: "assistant", content },
+        finish_reason: finishReason || "stop",
+      },
+    ],
+    usage,
+  };
+}
+
+// A recorded completion as a stream: one content chunk, then usage.
+async function* replayedStream({ model, content, finishReason, usage }) {
+  yield {
+    id: "chatcmpl-replay",
+    object: "chat.completion.chunk",
+    model,
+    choices: [{ index: 0, delta: { role: "assistant", content }, finish_reason: finishReason || "stop" }],
+  };
+  if (usage) {
+    yield { id: "chatcmpl-replay", object: "chat.completion.chunk", model, choices: [], usage };
+  }
+}
+
+// Pass a live stream through unchanged, saving the completion at the end.
+async function* recordingStream(stream, save) {
+  const recorded = { model: null, content: "", finishReason: null, usage: null };
+  for await (const chunk of stream) {
+    if (chunk.model) recorded.model = chunk.model;
+    if (chunk.usage) recorded.usage = chunk.usage;
+    const choice = chunk.choices?.[0];
+    if (choice?.delta?.content) recorded.content += choice.delta.content;
+    if (choice?.finish_reason) recorded.finishReason = choice.finish_reason;
+    yield chunk;
+  }
+  await save(recorded);
+}
+
+async function createCompletion(provider, params, options) {
+  const mode = replayMode();
+  if (!mode) return providerClient(provider).chat.completions.create(params, options);
+
+  // Streaming is transport, not part of the request.
+  const { stream } = params;
+  const request = { ...params };
+  delete request.stream;
+  delete request.stream_options;
+
+  if (mode === "replay") {
+    const recorded = await readRecording("llm", request);
+    return stream ? replayedStream(recorded) : replayedCompletion(recorded);
+  }
+
+  const response = await providerClient(provider).chat.completions.create(params, options);
+  if (stream) {
+    return recordingStream(response, (recorded) => writeRecording("llm", request, recorded));
+  }
+  await writeRecording("llm", request, recordedCompletion(response));
+  return response;
+}
+
+// Client facade for one provider: chat.completions.create() with
+// record/replay applied.
+function replayableClient(provider) {
+  return {
+    chat: {
+      completions: {
+        create: (params, options) => createCompletion(provider, params, options),
+      },
+    },
+  };
+}
+
+/**
+ * Client and model for one call.
+ *
+ * Options: { model } (the caller's choice; blank values are ignored)
+ * Returns { task, provider, model, client }.
+ */
+export function resolveLlm(task, { model } = {}) {
+  const provider = resolveLlmProvider(task);
+  const { defaultModel, legacyModelEnv } = LLM_TASKS[task];
+
+  const requested = typeof model === "string" && model.trim() ? model.trim() : null;
+  const resolvedModel =
+    requested ||
+    envFor(task, "MODEL") ||
+    (legacyModelEnv && process.env[legacyModelEnv]?.trim()) ||
+    defaultModel;
+
+  return { task, provider, model: resolvedModel, client: replayableClient(provider) };
+}
@@ -0,0 +1,49 @@
+// api/lib/modelOutput.js
+//
+// Helpers for reading chat completion output that is meant to be JSON.
+
+/**
+ * Text of a chat completion message (string or content-part array).
+ */
+export function extractAssistantText(message) {
+  if (!message) return "";
+  const c = message.content;
+  if (typeof c === "string") return c;
+
+  if (Array.isArray(c)) {
+    const parts = c
+      .map((p) => {
+        if (!p) return "";
+        if (typeof p === "string") return p;
+        if (typeof p === "object") {
+          if (typeof p.text === "string") return p.text;
+          if (typeof p.content === "string") return p.content;
+        }
+        return "";
+      })
+      .filter(Boolean);
+    return parts.join("\n");
+  }
+
+  return "";
+}
+
+/**
+ * First {...} block in model output parsed as JSON, or null. Tolerates
+ * prose or code fences around the object.
+ */
+export function safeJsonFromText(text) {
+  if (!text || typeof text !== "string") return null;
+
+  // Find the first JSON object block
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end === -1 || end <= start) return null;
+
+  const candidate = text.slice(start, end + 1);
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,240 @@
+// api/lib/pipeline.js
+//
+// Shared request pipeline used by every /api/* handler:
+// - CORS with an environment-configured origin allowlist
+// - method guards (OPTIONS preflight is answered here)
+// - JSON body parsing with a size limit
+// - a uniform error envelope: { ok: false, error, code, details? }
+//
+// Allowed origins come from CORS_ALLOWED_ORIGINS (comma-separated, exact
+// origins such as "https://app.example.com"). Leave it unset or set it to
+// "*" to allow any origin. MAX_BODY_BYTES overrides the default body limit.
+
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024; // 1 MB
+
+/**
+ * Error type handlers can throw to return a specific status + code.
+ * Anything else that escapes a handler becomes a 500 "internal_error".
+ */
+export class HttpError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Send the uniform error envelope.
+ */
+export function sendError(res, status, code, message, details) {
+  const payload = { ok: false, error: message, code };
+  if (details !== undefined && details !== null) payload.details = details;
+  return res.status(status).json(payload);
+}
+
+function parseAllowedOrigins() {
+  const raw = (process.env.CORS_ALLOWED_ORIGINS || "").trim();
+  if (!raw || raw === "*") return null; // null = allow any origin
+
+  return raw
+    .split(",")
+    .map((o) => o.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Apply CORS headers. Returns false when the request carries an Origin
+ * that is not on the allowlist.
+ */
+function applyCors(req, res, methods) {
+  const origin = req.headers?.origin;
+  const allowed = parseAllowedOrigins();
+
+  res.setHeader("Vary", "Origin");
+  res.setHeader(
+    "Access-Control-Allow-Methods",
+    [...methods, "OPTIONS"].join(",")
+  );
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (!allowed) {
+    res.setHeader(
+      "Access-Control-Allow-Origin",
+      !origin || origin === "null" ? "*" : origin
+    );
+    return true;
+  }
+
+  // Same-origin and server-to-server calls carry no Origin header.
+  if (!origin) return true;
+
+  if (allowed.includes(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    return true;
+  }
+
+  return false;
+}
+
+function readStream(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(
+          new HttpError(413, "payload_too_large", "Request body is too large", {
+            maxBytes,
+          })
+        );
+        req.destroy?.();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Parse the JSON body regardless of how the runtime delivered it:
+ * pre-parsed object (Vercel with a JSON content type), string, Buffer,
+ * or an unread Node stream.
+ */
+export async function parseJsonBody(req, maxBytes = DEFAULT_MAX_BODY_BYTES) {
+  const tooLarge = () =>
+    new HttpError(413, "payload_too_large", "Request body is too large", {
+      maxBytes,
+    });
+
+  const declared = Number(req.headers?.["content-length"]);
+  if (Number.isFinite(declared) && declared > maxBytes) throw tooLarge();
+
+  // Vercel parses lazily: reading req.body throws on malformed JSON.
+  let raw;
+  try {
+    raw = req.body;
+  } catch {
+    throw new HttpError(400, "invalid_json", "Request body is not valid JSON");
+  }
+
+  if (raw === undefined && typeof req.on === "function") {
+    raw = await readStream(req, maxBytes);
+  }
+
+  if (raw === undefined || raw === null) return {};
+
+  if (Buffer.isBuffer(raw)) raw = raw.toString("utf8");
+
+  if (typeof raw === "string") {
+    if (Buffer.byteLength(raw, "utf8") > maxBytes) throw tooLarge();
+    if (!raw.trim()) return {};
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      throw new HttpError(400, "invalid_json", "Request body is not valid JSON");
+    }
+    raw = parsed;
+  }
+
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new HttpError(
+      400,
+      "invalid_json",
+      "Request body must be a JSON object"
+    );
+  }
+
+  return raw;
+}
+
+/**
+ * Wrap a handler in the shared pipeline.
+ *
+ * Options:
+ * - name:         label used in error logs, e.g. "/api/generate"
+ * - methods:      allowed methods (default ["POST"])
+ * - maxBodyBytes: body size limit (default MAX_BODY_BYTES or 1 MB)
+ * - requiredEnv:  env vars that must be set before the handler runs
+ * - errorMessage: `error` text for unexpected failures
+ *
+ * The handler is called as handler(req, res, { body, query }).
+ * `body` is the parsed JSON object for methods that carry one, else {}.
+ */
+export function withPipeline(options, handler) {
+  const {
+    name = "api",
+    methods = ["POST"],
+    maxBodyBytes = Number(process.env.MAX_BODY_BYTES) ||
+      DEFAULT_MAX_BODY_BYTES,
+    requiredEnv = [],
+    errorMessage = "Request failed",
+  } = options || {};
+
+  return async function pipelineHandler(req, res) {
+    try {
+      const corsOk = applyCors(req, res, methods);
+
+      if (!corsOk) {
+        return sendError(res, 403, "origin_not_allowed", "Origin not allowed");
+      }
+
+      if (req.method === "OPTIONS") {
+        return res.status(200).end();
+      }
+
+      if (!methods.includes(req.method)) {
+        res.setHeader("Allow", [...methods, "OPTIONS"].join(", "));
+        return sendError(
+          res,
+          405,
+          "method_not_allowed",
+          "Method not allowed",
+          { allowed: methods }
+        );
+      }
+
+      const missing = requiredEnv.filter((key) => !process.env[key]);
+      if (missing.length > 0) {
+        return sendError(
+          res,
+          500,
+          "missing_config",
+          `Missing ${missing.join(", ")} environment variable`
+        );
+      }
+
+      const body =
+        req.method === "GET" || req.method === "HEAD"
+          ? {}
+          : await parseJsonBody(req, maxBodyBytes);
+
+      return await handler(req, res, { body, query: req.query || {} });
+    } catch (err) {
+      if (err instanceof HttpError) {
+        return sendError(res, err.status, err.code, err.message, err.details);
+      }
+
+      console.error(`${name} error:`, err);
+
+      // Headers may already be out (e.g. a streamed response); just close.
+      if (res.headersSent) {
+        return res.end();
+      }
+
+      const message =
+        err && typeof err === "object" && "message" in err
+          ? err.message
+          : String(err);
+      return sendError(res, 500, "internal_error", errorMessage, message);
+    }
+  };
+}
@@ -0,0 +1,141 @@
+// api/lib/replay.js
+//
+// Record/replay for outbound model and search calls, so every endpoint can
+// be exercised end to end without network access or API keys.
+//
+// REPLAY_MODE:
+// - unset:    calls go out as usual
+// - "record": calls go out and each request/response pair is saved
+// - "replay": calls never go out; the saved response is returned, and a
+//             request without one fails with a 500 "replay_miss" error
+//
+// Recordings live in REPLAY_DIR (default fixtures/replay), one file per
+// request: <kind>/<key>.json holding { kind, key, request, response }.
+// The key is a hash of the normalised request (object keys sorted, line
+// endings and surrounding whitespace of strings normalised, null and
+// undefined fields dropped), so the same request always maps to the same
+// file and any change to a prompt or parameter is a new recording.
+//
+// The model layer (./llm.js) and web search (./webSearch.js) call through
+// here; handlers need no changes. The eval harness (scripts/eval.js)
+// replays its golden cases from eval/recordings/<caseId>/ this way.
+
+import { createHash } from "node:crypto";
+import { readFile, writeFile, mkdir } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { HttpError } from "./pipeline.js";
+
+const REPLAY_MODES = ["record", "replay"];
+
+const DEFAULT_REPLAY_DIR = fileURLToPath(new URL("../../fixtures/replay", import.meta.url));
+
+// Hex characters of the request hash used as the file name.
+const KEY_LENGTH = 16;
+
+/**
+ * Thrown in replay mode for a request that has no recording.
+ */
+export class ReplayMissError extends HttpError {
+  constructor(kind, key, summary) {
+    super(
+      500,
+      "replay_miss",
+      `No recorded ${kind} response for this request (${summary}). Record it with REPLAY_MODE=record.`,
+      { kind, key }
+    );
+    this.name = "ReplayMissError";
+  }
+}
+
+/**
+ * "record", "replay" or null (off). Throws for other values so a typo
+ * cannot silently send traffic to the network.
+ */
+export function replayMode() {
+  const raw = (process.env.REPLAY_MODE || "").trim().toLowerCase();
+  if (!raw || raw === "off") return null;
+  if (!REPLAY_MODES.includes(raw)) {
+    throw new Error(`Unknown REPLAY_MODE "${raw}". Use "record", "replay" or leave it unset.`);
+  }
+  return raw;
+}
+
+function normalise(value) {
+  if (typeof value === "string") return value.replace(/\r\n?/g, "\n").trim();
+  if (Array.isArray(value)) return value.map(normalise);
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const key of Object.keys(value).sort()) {
+      if (value[key] === undefined || value[key] === null) continue;
+      out[key] = normalise(value[key]);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Recording key for a request: a hash of its normalised JSON.
+ */
+export function recordingKey(kind, request) {
+  return createHash("sha256")
+    .update(JSON.stringify({ kind, request: normalise(request) }))
+    .digest("hex")
+    .slice(0, KEY_LENGTH);
+}
+
+function recordingPath(kind, key) {
+  const dir = process.env.REPLAY_DIR ? path.resolve(process.env.REPLAY_DIR) : DEFAULT_REPLAY_DIR;
+  return path.join(dir, kind, `${key}.json`);
+}
+
+// Short description of a request for miss errors.
+function summarise(request) {
+  if (typeof request.query === "string") return `query "${request.query}"`;
+  const system = (request.messages || []).find((m) => m?.role === "system")?.content;
+  const opening = typeof system === "string" ? system.trim().split("\n")[0].slice(0, 80) : "";
+  return `model ${request.model || "?"}${opening ? `, prompt "${opening}"` : ""}`;
+}
+
+/**
+ * The recorded response for a request. Throws ReplayMissError when there
+ * is none.
+ */
+export async function readRecording(kind, request) {
+  const key = recordingKey(kind, request);
+  try {
+    const recording = JSON.parse(await readFile(recordingPath(kind, key), "utf8"));
+    return recording.response;
+  } catch (err) {
+    if (err.code === "ENOENT") throw new ReplayMissError(kind, key, summarise(request));
+    throw err;
+  }
+}
+
+/**
+ * Save the response for a request (replacing any earlier recording).
+ */
+export async function writeRecording(kind, request, response) {
+  const key = recordingKey(kind, request);
+  const file = recordingPath(kind, key);
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(
+    file,
+    `${JSON.stringify({ kind, key, request: normalise(request), response }, null, 2)}\n`
+  );
+  return key;
+}
+
+/**
+ * Run `perform()` (which resolves with JSON-serialisable data) through
+ * the current mode: as-is, recording its result, or replaying it.
+ */
+export async function replayable(kind, request, perform) {
+  const mode = replayMode();
+  if (mode === "replay") return readRecording(kind, request);
+
+  const response = await perform();
+  if (mode === "record") await writeRecording(kind, request, response);
+  return response;
+}
@@ -0,0 +1,371 @@
+// api/lib/safeFetch.js
+//
+// Hardened GET for user-supplied URLs (used by /api/fetch-url).
+//
+// - only http: and https: URLs
+// - private, loopback, link-local and other non-public addresses are
+//   refused; the check runs inside the socket's DNS lookup, so it applies
+//   to the address we actually connect to, on every redirect hop
+//   (IPv4-mapped, IPv4-compatible and NAT64 addresses are checked as
+//   IPv4; 6to4 and Teredo tunnel addresses are refused)
+// - redirects are followed manually, up to a limit
+// - one overall timeout covers all hops
+// - the body is streamed and aborted once it passes a byte cap
+// - only allowlisted content types are read
+//
+// Every rejection is an HttpError with a specific `code` (see SAFE_FETCH_ERRORS).
+
+import http from "node:http";
+import https from "node:https";
+import dns from "node:dns";
+import net from "node:net";
+import zlib from "node:zlib";
+import { pipeline } from "node:stream";
+import { HttpError } from "./pipeline.js";
+
+const DEFAULT_MAX_REDIRECTS = 5;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024; // 2 MB (decompressed)
+
+export const DEFAULT_ALLOWED_CONTENT_TYPES = [
+  "text/html",
+  "application/xhtml+xml",
+  "text/plain",
+];
+
+/**
+ * Error codes raised by safeFetch(), with their HTTP status.
+ */
+export const SAFE_FETCH_ERRORS = {
+  invalid_url: 400, // not a parseable absolute URL
+  unsupported_scheme: 400, // anything other than http: / https:
+  blocked_address: 403, // resolves to a private / loopback / link-local / reserved address
+  dns_failed: 502, // hostname did not resolve
+  too_many_redirects: 502, // more than maxRedirects hops
+  fetch_timeout: 504, // the whole fetch took longer than timeoutMs
+  response_too_large: 502, // body larger than maxBytes
+  unsupported_content_type: 415, // content type not on the allowlist
+  fetch_failed: 502, // any other network error
+};
+
+function fail(code, message, details) {
+  return new HttpError(SAFE_FETCH_ERRORS[code], code, message, details);
+}
+
+// --- Address policy -------------------------------------------------
+
+const BLOCKED = new net.BlockList();
+[
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8], // private
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local (incl. cloud metadata endpoints)
+  ["172.16.0.0", 12], // private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.0.2.0", 24], // documentation
+  ["192.168.0.0", 16], // private
+  ["198.18.0.0", 15], // benchmarking
+  ["198.51.100.0", 24], // documentation
+  ["203.0.113.0", 24], // documentation
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved + broadcast
+].forEach(([addr, prefix]) => BLOCKED.addSubnet(addr, prefix, "ipv4"));
+[
+  ["::", 128], // unspecified
+  ["::1", 128], // loopback
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["fec0::", 10], // site-local (deprecated)
+  ["ff00::", 8], // multicast
+  ["2001:db8::", 32], // documentation
+  // Tunnels that wrap an IPv4 address (which may be private) inside the
+  // IPv6 one; refused outright rather than decoded.
+  ["2002::", 16], // 6to4
+  ["2001::", 32], // Teredo
+].forEach(([addr, prefix]) => BLOCKED.addSubnet(addr, prefix, "ipv6"));
+
+// The eight 16-bit groups of an IPv6 address, in any notation
+// ("::ffff:7f00:1", "0:0:0:0:0:ffff:127.0.0.1", ...).
+function ipv6Groups(address) {
+  let text = address.toLowerCase().replace(/%.*$/, "");
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split("::");
+  const left = head ? head.split(":") : [];
+  const right = tail ? tail.split(":") : [];
+  const missing = 8 - left.length - right.length;
+  return [...left, ...Array(tail === undefined ? 0 : missing).fill("0"), ...right].map((g) =>
+    parseInt(g, 16)
+  );
+}
+
+// IPv4 embedded in IPv6: ::ffff:0:0/96 mapped, ::/96 compatible
+// (deprecated, still routed by some stacks) and 64:ff9b::/96 NAT64.
+function embeddedIpv4(address) {
+  const g = ipv6Groups(address);
+  const prefix = g.slice(0, 6).join(":");
+  const embedded =
+    prefix === "0:0:0:0:0:65535" || prefix === "0:0:0:0:0:0" || prefix === "100:65435:0:0:0:0";
+  if (!embedded) return null;
+  return [g[6] >> 8, g[6] & 255, g[7] >> 8, g[7] & 255].join(".");
+}
+
+/**
+ * True when the IP address is not a public unicast address.
+ */
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED.check(address, "ipv4");
+  if (family === 6) {
+    const v4 = embeddedIpv4(address);
+    if (v4) return BLOCKED.check(v4, "ipv4");
+    return BLOCKED.check(address, "ipv6");
+  }
+  return true; // not an IP at all: refuse
+}
+
+// dns.lookup replacement handed to http(s).request, so the address check
+// runs against exactly what the socket connects to (no DNS rebinding gap).
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(
+        fail("dns_failed", `Could not resolve host "${hostname}"`, err.code)
+      );
+    }
+
+    const blocked = addresses.find((a) => isBlockedAddress(a.address));
+    if (blocked || addresses.length === 0) {
+      return callback(
+        fail("blocked_address", `Host "${hostname}" resolves to a non-public address`)
+      );
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// --- Request helpers ------------------------------------------------
+
+/**
+ * Parse and check a URL (relative to `base` for redirects). Throws the
+ * invalid_url, unsupported_scheme and blocked_address errors.
+ */
+export function parseTarget(rawUrl, base) {
+  let target;
+  try {
+    target = new URL(rawUrl, base);
+  } catch {
+    throw fail("invalid_url", "URL is not valid");
+  }
+
+  if (target.protocol !== "http:" && target.protocol !== "https:") {
+    throw fail(
+      "unsupported_scheme",
+      `Only http and https URLs are allowed (got ${target.protocol})`
+    );
+  }
+
+  // IP literals never go through DNS lookup, so check them here.
+  const host = target.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw fail("blocked_address", "URL points to a non-public address");
+  }
+
+  return target;
+}
+
+function requestOnce(target, signal) {
+  const transport = target.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      target,
+      {
+        method: "GET",
+        lookup: guardedLookup,
+        signal,
+        headers: {
+          "User-Agent": "ContentEngine/1.0 (+fetch-url)",
+          Accept: "text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.1",
+          "Accept-Encoding": "gzip, deflate, br",
+        },
+      },
+      resolve
+    );
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+function createDecoder(response) {
+  switch ((response.headers["content-encoding"] || "").trim().toLowerCase()) {
+    case "gzip":
+    case "x-gzip":
+      return zlib.createGunzip();
+    case "deflate":
+      return zlib.createInflate();
+    case "br":
+      return zlib.createBrotliDecompress();
+    default:
+      return null;
+  }
+}
+
+// Read the (decoded) body up to maxBytes. pipeline() carries errors from
+// the response into the decoder, and an abort (the overall timeout)
+// rejects straight away, so a stalled body cannot hang the request.
+function readCapped(response, maxBytes, signal) {
+  return new Promise((resolve, reject) => {
+    const decoder = createDecoder(response);
+    const stream = decoder || response;
+    const chunks = [];
+    let size = 0;
+
+    const onAbort = () => {
+      response.destroy();
+      decoder?.destroy();
+      reject(signal.reason);
+    };
+    if (signal.aborted) return onAbort();
+    signal.addEventListener("abort", onAbort, { once: true });
+    const settle = (fn, value) => {
+      signal.removeEventListener("abort", onAbort);
+      fn(value);
+    };
+
+    if (decoder) {
+      pipeline(response, decoder, (err) => {
+        if (err) settle(reject, err);
+      });
+    } else {
+      response.on("error", (err) => settle(reject, err));
+    }
+
+    stream.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        response.destroy();
+        decoder?.destroy();
+        settle(
+          reject,
+          fail("response_too_large", "Remote content is too large", { maxBytes })
+        );
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on("end", () => settle(resolve, Buffer.concat(chunks)));
+    stream.on("error", (err) => settle(reject, err));
+  });
+}
+
+function decodeBody(buffer, contentTypeHeader) {
+  const charset = /charset=["']?([\w-]+)/i.exec(contentTypeHeader || "")?.[1];
+  try {
+    return new TextDecoder(charset || "utf-8").decode(buffer);
+  } catch {
+    return new TextDecoder("utf-8").decode(buffer);
+  }
+}
+
+/**
+ * Fetch a user-supplied URL under the policy above.
+ *
+ * Options: { maxRedirects, timeoutMs, maxBytes, allowedContentTypes }
+ *
+ * Resolves with { status, ok, url, contentType, body, redirects } for any
+ * HTTP status (callers decide what to do with non-2xx), or rejects with
+ * an HttpError carrying one of the SAFE_FETCH_ERRORS codes.
+ */
+export async function safeFetch(rawUrl, options = {}) {
+  const {
+    maxRedirects = DEFAULT_MAX_REDIRECTS,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxBytes = DEFAULT_MAX_BYTES,
+    allowedContentTypes = DEFAULT_ALLOWED_CONTENT_TYPES,
+  } = options;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const redirects = [];
+
+  try {
+    let target = parseTarget(rawUrl);
+
+    for (;;) {
+      const response = await requestOnce(target, controller.signal);
+      const { statusCode = 0, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+
+        if (redirects.length >= maxRedirects) {
+          throw fail(
+            "too_many_redirects",
+            `Stopped after ${maxRedirects} redirects`,
+            { redirects }
+          );
+        }
+
+        target = parseTarget(headers.location, target);
+        redirects.push(target.toString());
+        continue;
+      }
+
+      const contentType = (headers["content-type"] || "")
+        .split(";")[0]
+        .trim()
+        .toLowerCase();
+      const ok = statusCode >= 200 && statusCode < 300;
+
+      if (ok && !allowedContentTypes.includes(contentType)) {
+        response.destroy();
+        throw fail(
+          "unsupported_content_type",
+          `Content type "${contentType || "unknown"}" is not supported`,
+          { allowed: allowedContentTypes }
+        );
+      }
+
+      const declared = Number(headers["content-length"]);
+      if (ok && Number.isFinite(declared) && declared > maxBytes) {
+        response.destroy();
+        throw fail("response_too_large", "Remote content is too large", {
+          maxBytes,
+        });
+      }
+
+      const buffer = await readCapped(response, maxBytes, controller.signal);
+
+      return {
+        status: statusCode,
+        ok,
+        url: target.toString(),
+        contentType,
+        body: decodeBody(buffer, headers["content-type"]),
+        redirects,
+      };
+    }
+  } catch (err) {
+    if (err instanceof HttpError) throw err;
+
+    if (controller.signal.aborted) {
+      throw fail("fetch_timeout", `Fetch timed out after ${timeoutMs} ms`);
+    }
+
+    // The lookup callback's HttpError arrives wrapped by the socket layer
+    // on some Node versions; unwrap it so the specific code survives.
+    if (err?.cause instanceof HttpError) throw err.cause;
+
+    throw fail("fetch_failed", "Failed to fetch remote URL", err?.message || String(err));
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,117 @@
+// api/lib/sse.js
+//
+// Server-Sent Events helpers for handlers that can stream model output.
+//
+// A client opts in with `stream: true` in the JSON body or an
+// `Accept: text/event-stream` header. The stream then carries:
+// - `token` events: { delta, ... }       (one per content chunk; handlers
+//   that stream several completions add fields such as `outputType`)
+// - one `done` event: the same payload the JSON response would return
+// - or one `error` event: the pipeline error envelope
+
+/**
+ * Did the caller ask for a streamed response?
+ */
+export function wantsEventStream(req, body) {
+  if (body && body.stream === true) return true;
+  const accept = req.headers?.accept || "";
+  return accept.split(",").some((part) => part.trim().startsWith("text/event-stream"));
+}
+
+/**
+ * Write the SSE response headers. Call once before sending events.
+ */
+export function openEventStream(res) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  // Stop proxies (nginx, Vercel edge) from buffering the stream.
+  res.setHeader("X-Accel-Buffering", "no");
+  if (typeof res.flushHeaders === "function") res.flushHeaders();
+}
+
+/**
+ * Send one named event with a JSON payload.
+ */
+export function sendEvent(res, event, data) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Run a chat completion with stream: true, forwarding each content delta
+ * to `onDelta`. Resolves with the full text, model and usage once the
+ * stream ends, in the same shape a non-streamed completion would give us.
+ * Aborting `signal` cancels the upstream request.
+ */
+export async function streamChatCompletion(client, params, onDelta, { signal } = {}) {
+  const stream = await client.chat.completions.create(
+    {
+      ...params,
+      stream: true,
+      stream_options: { include_usage: true },
+    },
+    signal ? { signal } : undefined
+  );
+
+  let content = "";
+  let model = null;
+  let usage = null;
+
+  for await (const chunk of stream) {
+    if (chunk.model) model = chunk.model;
+    if (chunk.usage) usage = chunk.usage;
+
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) {
+      content += delta;
+      onDelta(delta);
+    }
+  }
+  // The SDK ends an aborted stream quietly; make sure callers stop too.
+  signal?.throwIfAborted();
+
+  return { content, model, usage };
+}
+
+/**
+ * Open the stream, run `produce(sendToken, signal)` and finish with a
+ * `done` event carrying whatever `produce` resolves with. `sendToken(delta,
+ * extra)` merges `extra` into the token event. Failures after the
+ * headers are out can no longer change the status code, so they are
+ * reported as an `error` event instead.
+ *
+ * `signal` aborts when the client disconnects before the stream is done;
+ * pass it to streamChatCompletion() so the model stops generating tokens
+ * nobody will read.
+ */
+export async function respondWithEventStream(res, produce) {
+  const controller = new AbortController();
+  // "close" also fires after a normal end(); only an early close aborts.
+  const onClose = () => {
+    if (!res.writableEnded) controller.abort();
+  };
+  res.on?.("close", onClose);
+
+  openEventStream(res);
+
+  try {
+    const finalPayload = await produce(
+      (delta, extra) => sendEvent(res, "token", { ...extra, delta }),
+      controller.signal
+    );
+    sendEvent(res, "done", finalPayload);
+  } catch (err) {
+    if (controller.signal.aborted) return res.end();
+    console.error("event stream error:", err);
+    sendEvent(res, "error", {
+      ok: false,
+      error: err?.message || "Stream failed",
+      code: err?.code || "stream_failed",
+    });
+  }
+
+  res.off?.("close", onClose);
+  return res.end();
+}
@@ -0,0 +1,148 @@
+// api/lib/statements.js
+//
+// Deterministic statement splitting and quote location, shared by
+// /api/analyse-statements, /api/compliance-check and the citation parser.
+//
+// A statement is one sentence (or one heading / list line) of a draft,
+// with UTF-16 offsets into the original text so callers can highlight it.
+
+// Sentence end: terminal punctuation plus optional closing quotes or
+// brackets, followed by the end of the line or whitespace and a word that
+// does not start in lower case. "1.5" and "U.S. markets" never split.
+const SENTENCE_END = `[.!?]+["')’”]*`;
+
+/**
+ * Split text into statements.
+ *
+ * Options:
+ * - trailing: regex source for text that stays attached to the end of a
+ *   sentence (e.g. citation markers after the full stop)
+ *
+ * Returns [{ id, index, paragraph, text, start, end }]; `text` is trimmed
+ * and start/end point at it in the input (end exclusive).
+ */
+export function splitStatements(input, { trailing } = {}) {
+  const text = typeof input === "string" ? input : "";
+  const endRe = new RegExp(
+    `${SENTENCE_END}${trailing ? `(?:${trailing})*` : ""}(?=\\s*$|\\s+[^\\sa-z])`,
+    "g"
+  );
+
+  const statements = [];
+  let paragraph = -1;
+  let previousLineBlank = true;
+
+  // Lines are split first so headings and list items stand on their own.
+  let lineStart = 0;
+  for (const line of text.split("\n")) {
+    const lineOffset = lineStart;
+    lineStart += line.length + 1;
+
+    if (!line.trim()) {
+      previousLineBlank = true;
+      continue;
+    }
+    if (previousLineBlank) paragraph += 1;
+    previousLineBlank = false;
+
+    let start = 0;
+    const pieces = [];
+    for (const m of line.matchAll(endRe)) {
+      pieces.push([start, m.index + m[0].length]);
+      start = m.index + m[0].length;
+    }
+    if (start < line.length) pieces.push([start, line.length]);
+
+    for (const [from, to] of pieces) {
+      const raw = line.slice(from, to);
+      const lead = raw.length - raw.trimStart().length;
+      const trimmed = raw.trim();
+      if (!trimmed) continue;
+
+      const index = statements.length;
+      statements.push({
+        id: `s${index + 1}`,
+        index,
+        paragraph,
+        text: trimmed,
+        start: lineOffset + from + lead,
+        end: lineOffset + from + lead + trimmed.length,
+      });
+    }
+  }
+
+  return statements;
+}
+
+/**
+ * Paragraphs of text: blocks separated by blank lines.
+ *
+ * Returns [{ index, text, start, end }]; start/end exclude the blank lines
+ * and any leading/trailing whitespace of the block.
+ */
+export function splitParagraphs(input) {
+  const text = typeof input === "string" ? input : "";
+  const paragraphs = [];
+  for (const m of text.matchAll(/\S(?:[^\n]|\n(?![ \t]*\n))*/g)) {
+    const raw = m[0].replace(/\s+$/, "");
+    paragraphs.push({
+      index: paragraphs.length,
+      text: raw,
+      start: m.index,
+      end: m.index + raw.length,
+    });
+  }
+  return paragraphs;
+}
+
+// Lower-case, straight quotes, single spaces; keeps a map back to the
+// original offsets.
+function normaliseWithMap(text) {
+  let out = "";
+  const map = [];
+  let lastWasSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    let ch = text[i];
+    if (/\s/.test(ch)) {
+      if (lastWasSpace || out.length === 0) continue;
+      ch = " ";
+      lastWasSpace = true;
+    } else {
+      lastWasSpace = false;
+      ch = ch
+        .replace(/[“”„‟]/g, '"')
+        .replace(/[‘’‚‛]/g, "'")
+        .replace(/[–—]/g, "-")
+        .toLowerCase();
+    }
+    out += ch;
+    map.push(i);
+  }
+
+  return { text: out, map };
+}
+
+/**
+ * Find `quote` in `text`, ignoring case, whitespace runs, smart quotes
+ * and dash variants. Leading/trailing ellipses and quote marks on the
+ * quote are ignored.
+ *
+ * Returns { start, end } offsets into `text` (end exclusive), or null.
+ */
+export function findQuote(text, quote) {
+  if (typeof text !== "string" || typeof quote !== "string") return null;
+
+  const cleaned = quote.trim().replace(/^(?:\.\.\.|…|["'“”‘’])+|(?:\.\.\.|…|["'“”‘’])+$/g, "");
+  const needle = normaliseWithMap(cleaned).text.trim();
+  if (needle.length < 3) return null;
+
+  const haystack = normaliseWithMap(text);
+  const at = haystack.text.indexOf(needle);
+  if (at === -1) return null;
+
+  return {
+    start: haystack.map[at],
+    end: haystack.map[at + needle.length - 1] + 1,
+  };
+}
@@ -1,5 +1,283 @@
 // api/lib/webSearch.js
-export async function webSearch() {
-  console.log("[webSearch] STUB – not used yet");
-  return [];
+//
+// Provider-agnostic web search. Every search caller in the backend goes
+// through webSearch(), which picks an adapter and normalises its results
+// to one shape:
+//
+//   { title, url, snippet, publishedAt, provider }
+//
+// Providers:
+// - "tavily":  Tavily search API (needs TAVILY_API_KEY)
+// - "openai":  OpenAI Responses API with the web_search tool (needs OPENAI_API_KEY)
+// - "fixture": local JSON fixtures, for offline testing (no network)
+//
+// The provider comes from the `provider` option, else WEB_SEARCH_PROVIDER,
+// else "tavily". Extra adapters can be added with registerSearchProvider().
+//
+// Searches go through ./replay.js (REPLAY_MODE=record / replay), except
+// for the fixture provider, which is offline already.
+
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { replayable } from "./replay.js";
+
+const TAVILY_API_URL = "https://api.tavily.com/search";
+const OPENAI_RESPONSES_URL = "https://api.openai.com/v1/responses";
+
+const DEFAULT_PROVIDER = "tavily";
+const DEFAULT_MAX_RESULTS = 4;
+
+// The Responses API renamed `web_search_preview` to `web_search`; allow
+// the old name via env for models that only support the preview tool.
+const DEFAULT_OPENAI_TOOL = "web_search";
+const DEFAULT_OPENAI_MODEL = "gpt-4.1-mini";
+
+const DEFAULT_FIXTURE_PATH = fileURLToPath(
+  new URL("../../fixtures/web-search.json", import.meta.url)
+);
+
+/**
+ * Normalise one raw result into the shared result shape.
+ */
+function normaliseResult(r, provider) {
+  return {
+    title: (r?.title || "").toString().trim() || r?.url || "Untitled result",
+    url: (r?.url || "").toString(),
+    snippet: (r?.snippet || "").toString().trim(),
+    publishedAt: r?.publishedAt || null,
+    provider,
+  };
+}
+
+// --- Tavily ---------------------------------------------------------
+
+async function searchTavily(query, { maxResults }) {
+  if (!process.env.TAVILY_API_KEY) {
+    throw new Error("Missing TAVILY_API_KEY environment variable");
+  }
+
+  const payload = {
+    api_key: process.env.TAVILY_API_KEY,
+    query,
+    max_results: maxResults,
+    search_depth: "basic", // fast + cheap
+    include_answer: false,
+    include_raw_content: false,
+    include_images: false,
+  };
+
+  const res = await fetch(TAVILY_API_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(payload),
+  });
+
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(
+      `Tavily HTTP ${res.status}: ${text || "Unknown error from Tavily"}`
+    );
+  }
+
+  const data = await res.json();
+
+  const results = Array.isArray(data.results)
+    ? data.results.map((r) => ({
+        title: r.title,
+        url: r.url,
+        snippet: r.content || r.snippet,
+        publishedAt: r.published_date || null,
+      }))
+    : [];
+
+  return { results, raw: data };
+}
+
+// --- OpenAI Responses web_search tool -------------------------------
+
+// Collect cited URLs from the assistant message annotations, falling back
+// to the sources listed on the web_search_call items.
+function extractOpenAiResults(payload) {
+  const results = [];
+  const output = Array.isArray(payload?.output) ? payload.output : [];
+
+  for (const item of output) {
+    if (item?.type !== "message" || !Array.isArray(item.content)) continue;
+
+    for (const part of item.content) {
+      if (part?.type !== "output_text" || !Array.isArray(part.annotations)) {
+        continue;
+      }
+      for (const a of part.annotations) {
+        if (a?.type !== "url_citation" || !a.url) continue;
+        const cited =
+          typeof part.text === "string" &&
+          Number.isInteger(a.start_index) &&
+          Number.isInteger(a.end_index)
+            ? part.text.slice(a.start_index, a.end_index)
+            : "";
+        results.push({ title: a.title, url: a.url, snippet: cited });
+      }
+    }
+  }
+
+  if (results.length === 0) {
+    for (const item of output) {
+      const sources = item?.action?.sources;
+      if (item?.type !== "web_search_call" || !Array.isArray(sources)) continue;
+      for (const s of sources) {
+        if (s?.url) results.push({ title: s.title, url: s.url, snippet: "" });
+      }
+    }
+  }
+
+  return results;
+}
+
+async function searchOpenAi(query, { model }) {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error("Missing OPENAI_API_KEY environment variable");
+  }
+
+  const tool = process.env.OPENAI_WEB_SEARCH_TOOL || DEFAULT_OPENAI_TOOL;
+
+  const response = await fetch(OPENAI_RESPONSES_URL, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      model: model || process.env.OPENAI_WEB_SEARCH_MODEL || DEFAULT_OPENAI_MODEL,
+      tools: [{ type: tool }],
+      tool_choice: { type: tool },
+      input: query,
+    }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => "");
+    throw new Error(
+      `Responses API error: HTTP ${response.status}${
+        errorText ? ` – ${errorText}` : ""
+      }`
+    );
+  }
+
+  const payload = await response.json();
+  return { results: extractOpenAiResults(payload), raw: payload };
+}
+
+// --- Local fixtures --------------------------------------------------
+
+// Fixture file shape:
+// {
+//   "queries": { "<query, lower-cased>": [ { title, url, snippet, publishedAt } ] },
+//   "default": [ ... ]   // used when no query matches
+// }
+async function searchFixture(query) {
+  const fixturePath = process.env.WEB_SEARCH_FIXTURES
+    ? path.resolve(process.cwd(), process.env.WEB_SEARCH_FIXTURES)
+    : DEFAULT_FIXTURE_PATH;
+
+  const data = JSON.parse(await readFile(fixturePath, "utf8"));
+  const key = query.trim().toLowerCase();
+  const results = data?.queries?.[key] || data?.default || [];
+
+  return { results, raw: null };
+}
+
+// ---------------------------------------------------------------------
+
+// A Map, not a plain object: provider names come from request bodies, and
+// "__proto__" or "toString" must not resolve to Object.prototype members.
+const PROVIDERS = new Map([
+  ["tavily", searchTavily],
+  ["openai", searchOpenAi],
+  ["fixture", searchFixture],
+]);
+
+/**
+ * Register (or replace) a provider adapter.
+ * An adapter is async (query, { maxResults, model }) => { results, raw }.
+ */
+export function registerSearchProvider(name, adapter) {
+  if (!name || typeof adapter !== "function") {
+    throw new Error("registerSearchProvider needs a name and an adapter function");
+  }
+  PROVIDERS.set(name, adapter);
+}
+
+export function listSearchProviders() {
+  return [...PROVIDERS.keys()];
+}
+
+export function resolveSearchProvider(requested) {
+  if (requested !== undefined && requested !== null && typeof requested !== "string") {
+    const err = new Error("Web search provider must be a string");
+    err.code = "unknown_search_provider";
+    throw err;
+  }
+
+  const name = (
+    requested ||
+    process.env.WEB_SEARCH_PROVIDER ||
+    DEFAULT_PROVIDER
+  ).trim();
+
+  if (!PROVIDERS.has(name)) {
+    const err = new Error(
+      `Unknown web search provider "${name}". Available: ${listSearchProviders().join(", ")}`
+    );
+    err.code = "unknown_search_provider";
+    throw err;
+  }
+
+  return name;
+}
+
+/**
+ * Run a web search through the configured provider.
+ *
+ * Options: { provider, maxResults, model }
+ * Returns { provider, query, results, raw } where every result has the
+ * normalised { title, url, snippet, publishedAt, provider } shape.
+ */
+export async function webSearch(query, options = {}) {
+  if (!query || typeof query !== "string" || !query.trim()) {
+    throw new Error("Query must be a non-empty string");
+  }
+
+  const provider = resolveSearchProvider(options.provider);
+  const maxResults =
+    Number.isInteger(options.maxResults) && options.maxResults > 0
+      ? options.maxResults
+      : DEFAULT_MAX_RESULTS;
+
+  const search = () =>
+    PROVIDERS.get(provider)(query.trim(), {
+      maxResults,
+      model: options.model,
+    });
+  const { results, raw } =
+    provider === "fixture"
+      ? await search()
+      : await replayable(
+          "search",
+          { provider, query: query.trim(), maxResults, model: options.model },
+          search
+        );
+
+  return {
+    provider,
+    query: query.trim(),
+    results: (results || [])
+      .map((r) => normaliseResult(r, provider))
+      .filter((r) => r.url)
+      .slice(0, maxResults),
+    raw: raw ?? null,
+  };
 }
@@ -2,20 +2,35 @@
 //
 // Ask AI endpoint — concise answers + confidence metadata.
 // Uses chat.completions.create() and returns stable JSON shape.
+// Answers follow the style guide picked by `styleGuideId` (default
+// "default"; see helpers/styleGuides.js). The provider and default model
+// come from the "ask" task of ./lib/llm.js; `model` overrides the model.
+//
+// Conversations: `history` carries the earlier turns, oldest first, as
+// [{ question, answer, references }] (the previous responses' `answer` and
+// `meta.references`). The most recent turns that fit `historyTokenBudget`
+// (estimated tokens, default 1500) go into the prompt, and the model
+// resolves follow-ups such as "and the previous fund?" against them. Older
+// turns are dropped, or condensed into one summary with
+// `summariseHistory: true` (an extra model call; if it fails, the older
+// turns are dropped and `meta.conversation.summaryFailed` is set).
+// `meta.conversation` reports which turns (indexes into `history`) were
+// used, summarised, shortened or dropped, and `meta.resolvedQuestion` the
+// standalone question that was answered.
 
-import OpenAI from "openai";
+import { withPipeline, HttpError } from "./lib/pipeline.js";
+import { resolveLlm, llmRequiredEnv } from "./lib/llm.js";
+import { ReplayMissError } from "./lib/replay.js";
+import { resolveStyleGuide, applyStyleGuide } from "../helpers/styleGuides.js";
+import { normaliseHistory, fitHistory, renderTurn, estimateTokens } from "./lib/conversation.js";
 
-// --- CORS helper --------------------------------------------------
-function setCorsHeaders(req, res) {
-  const origin = req.headers.origin || "*";
-  res.setHeader("Access-Control-Allow-Origin", origin === "null" ? "*" : origin);
-  res.setHeader("Vary", "Origin");
-  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-}
-// ------------------------------------------------------------------
+const DEFAULT_HISTORY_TOKEN_BUDGET = 1500;
+const MAX_HISTORY_TOKEN_BUDGET = 6000;
 
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// Room kept for the summary of older turns within the history budget.
+const SUMMARY_MAX_TOKENS = 250;
+// Older turns beyond this (oldest first) are dropped, not summarised.
+const MAX_SUMMARY_INPUT_CHARS = 12000;
 
 function safeJsonParse(text) {
   try {
@@ -25,24 +40,142 @@ function safeJsonParse(text) {
   }
 }
 
-export default async function handler(req, res) {
-  setCorsHeaders(req, res);
+function historyTokenBudget(value) {
+  if (value === undefined || value === null) return DEFAULT_HISTORY_TOKEN_BUDGET;
+  if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+    throw new HttpError(400, "invalid_request", "historyTokenBudget must be a non-negative number");
+  }
+  return Math.min(Math.floor(value), MAX_HISTORY_TOKEN_BUDGET);
+}
 
-  if (req.method === "OPTIONS") return res.status(200).end();
-  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+// The newest of `turns` whose text fits the summariser's input.
+function turnsToSummarise(turns) {
+  const picked = [];
+  let chars = 0;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const length = renderTurn(turns[i]).length;
+    if (chars + length > MAX_SUMMARY_INPUT_CHARS) break;
+    picked.unshift(turns[i]);
+    chars += length;
+  }
+  return picked;
+}
 
-  try {
-    const body = req.body || {};
+async function summariseTurns(turns, { client, model }) {
+  const completion = await client.chat.completions.create({
+    model,
+    temperature: 0,
+    max_tokens: SUMMARY_MAX_TOKENS,
+    messages: [
+      {
+        role: "system",
+        content: [
+          "You summarise the earlier part of an Ask AI conversation so later questions can refer back to it.",
+          "",
+          "- Keep every entity name (funds, companies, managers), figure and date, and say which question each answer was about.",
+          "- Keep the order of the turns. No commentary, no new facts.",
+          `- At most ${Math.floor(SUMMARY_MAX_TOKENS * 0.6)} words, plain text.`,
+        ].join("\n"),
+      },
+      { role: "user", content: turns.map(renderTurn).join("\n\n") },
+    ],
+  });
+  return (completion?.choices?.[0]?.message?.content || "").trim() || null;
+}
+
+/**
+ * Fit the history into the budget, summarising older turns on request.
+ * Returns { block, meta }: the prompt section ("" without history) and
+ * the metadata reported as meta.conversation.
+ */
+async function buildConversation(turns, { tokenBudget, summarise, llm }) {
+  let { recent, older } = fitHistory(turns, tokenBudget);
+  let summarised = [];
+  let summary = null;
+  let summaryFailed = false;
+
+  if (summarise && older.length > 0) {
+    ({ recent, older } = fitHistory(turns, Math.max(0, tokenBudget - SUMMARY_MAX_TOKENS)));
+    summarised = turnsToSummarise(older);
+    try {
+      summary = summarised.length > 0 ? await summariseTurns(summarised, llm) : null;
+    } catch (err) {
+      if (err instanceof ReplayMissError) throw err;
+      console.error("History summary failed:", err);
+      summaryFailed = true;
+    }
+    if (!summary) {
+      // No summary after all: drop the older turns and give the recent
+      // ones the whole budget back.
+      summarised = [];
+      ({ recent, older } = fitHistory(turns, tokenBudget));
+    }
+  }
 
+  const summarisedIndexes = new Set(summarised.map((t) => t.index));
+  const sections = [];
+  if (summary) {
+    const range = `${summarised[0].index + 1}–${summarised[summarised.length - 1].index + 1}`;
+    sections.push(`[Summary of turns ${range}]\n${summary}`);
+  }
+  sections.push(...recent.map(renderTurn));
+  const block = sections.join("\n\n");
+
+  return {
+    block,
+    meta: {
+      turns: turns.length,
+      used: recent.map((t) => t.index),
+      summarised: [...summarisedIndexes],
+      truncated: recent.filter((t) => t.truncated).map((t) => t.index),
+      dropped: older.filter((t) => !summarisedIndexes.has(t.index)).map((t) => t.index),
+      summary,
+      ...(summaryFailed ? { summaryFailed } : {}),
+      tokenBudget,
+      historyTokens: estimateTokens(block),
+    },
+  };
+}
+
+export default withPipeline(
+  {
+    name: "/api/query",
+    requiredEnv: llmRequiredEnv("ask"),
+    errorMessage: "Failed to process query",
+  },
+  async function handler(req, res, { body }) {
     const question = typeof body.question === "string" ? body.question.trim() : "";
     const draftText = typeof body.draftText === "string" ? body.draftText : "";
     const sourcesText = typeof body.sourcesText === "string" ? body.sourcesText : "";
     const askMode = typeof body.askMode === "string" ? body.askMode : "auto";
 
     if (!question) {
-      return res.status(400).json({ error: "Missing question" });
+      throw new HttpError(400, "invalid_request", "Missing question");
     }
 
+    let styleGuide;
+    try {
+      styleGuide = resolveStyleGuide(body.styleGuideId);
+    } catch (err) {
+      throw new HttpError(400, "invalid_request", err.message);
+    }
+    const styleGuideRef = { id: styleGuide.id, name: styleGuide.name };
+
+    let turns;
+    try {
+      turns = normaliseHistory(body.history);
+    } catch (err) {
+      throw new HttpError(400, "invalid_request", err.message);
+    }
+
+    const llm = resolveLlm("ask", { model: body.model });
+    const conversation = await buildConversation(turns, {
+      tokenBudget: historyTokenBudget(body.historyTokenBudget),
+      summarise: body.summariseHistory === true,
+      llm,
+    });
+    const hasConversation = conversation.block !== "";
+
     const system = [
       "You are Content Engine's Ask AI assistant.",
       "",
@@ -51,16 +184,28 @@ export default async function handler(req, res) {
       "- Be concise: prefer 5–10 sentences or bullets where helpful.",
       "- If the question cannot be answered from the provided draft/sources, say what is missing and ask 1–2 clarifying questions.",
       "- Never fabricate citations or page numbers. If you cite sources, do it generally (e.g., 'in the provided sources').",
+      ...(hasConversation
+        ? [
+            "- The question may follow up on the CONVERSATION SO FAR: resolve words such as 'it', 'they' or 'the previous fund' against the earlier questions and answers, and answer that resolved question.",
+            "- Earlier answers are context, not sources: do not repeat them unless asked, and correct them if the draft or sources disagree.",
+          ]
+        : []),
       "",
       "Return JSON only with this schema:",
       "{",
       '  "answer": string,',
+      ...(hasConversation
+        ? ['  "resolvedQuestion": string,          // the question as a standalone question']
+        : []),
       '  "confidence": number,                // 0.0 to 1.0',
       '  "confidenceReason": string,          // short reason',
       '  "references": Array<{ "title": string, "url": string, "snippet": string }>',
       "}",
       "",
       "The references array may be empty if none are available.",
+      "",
+      "Write the answer in this house style:",
+      styleGuide.instructions,
     ].join("\n");
 
     const modeHint =
@@ -73,6 +218,7 @@ export default async function handler(req, res) {
     const user = [
       `Mode hint: ${modeHint}`,
       "",
+      ...(hasConversation ? ["CONVERSATION SO FAR (oldest first):", conversation.block, ""] : []),
       "QUESTION:",
       question,
       "",
@@ -83,8 +229,9 @@ export default async function handler(req, res) {
       sourcesText ? sourcesText : "(no sources provided)",
     ].join("\n");
 
+    const { client, model } = llm;
     const completion = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+      model,
       temperature: 0.2,
       max_tokens: 700,
       messages: [
@@ -99,11 +246,14 @@ export default async function handler(req, res) {
     // If the model didn't return JSON, fall back gracefully.
     if (!parsed || typeof parsed.answer !== "string") {
       return res.status(200).json({
-        answer: raw || "No answer returned.",
+        answer: applyStyleGuide(raw, styleGuide) || "No answer returned.",
+        styleGuide: styleGuideRef,
         meta: {
           confidence: null,
           confidenceReason: null,
           references: [],
+          resolvedQuestion: null,
+          conversation: conversation.meta,
         },
       });
     }
@@ -124,18 +274,19 @@ export default async function handler(req, res) {
       : [];
 
     return res.status(200).json({
-      answer: parsed.answer,
+      answer: applyStyleGuide(parsed.answer, styleGuide),
+      styleGuide: styleGuideRef,
       meta: {
         confidence,
         confidenceReason:
           typeof parsed.confidenceReason === "string" ? parsed.confidenceReason : null,
         references,
+        resolvedQuestion:
+          hasConversation && typeof parsed.resolvedQuestion === "string" && parsed.resolvedQuestion.trim()
+            ? parsed.resolvedQuestion.trim()
+            : question,
+        conversation: conversation.meta,
       },
     });
-  } catch (err) {
-    return res.status(500).json({
-      error: "Failed to process query",
-      details: err?.message || String(err),
-    });
   }
-}
+);
@@ -1,26 +1,62 @@
 // /api/rewrite.js
 //
-// Rewrites an existing draft based on instructions and house style.
-
-import OpenAI from "openai";
-
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// --- CORS helper --------------------------------------------------
-function setCorsHeaders(req, res) {
-  const origin = req.headers.origin || "*";
+// Rewrites an existing draft based on instructions and house style. The
+// provider and default model come from the "rewriting" task of
+// ./lib/llm.js; `model` overrides the model.
+// The style guide (`styleGuideId`, default "default"; see
+// helpers/styleGuides.js) supplies the style instructions and the
+// post-processing applied to the rewritten text.
+//
+// With `citations: true` (plus optional `sources` / `webSources` in the
+// /api/generate shapes) the rewrite is marked up with citation IDs and the
+// response carries the source contribution table under `citations`; see
+// ./lib/citations.js. Markers already in the original draft are kept
+// where the sentence still rests on that input.
+//
+// Rewrite does not search the web: `publicSearch` is a /api/generate
+// option. To keep web context, pass the `webSources` from the generate
+// response back in here.
+//
+// Every response carries `changeReport` (helpers/changeReport.js): a
+// word-level diff against the original draft, a short change summary and
+// warnings for figures, dates and named entities that were added, removed
+// or changed.
+//
+// Every response also carries `score`: the quality score of the full
+// rewritten draft with its per-dimension breakdown, or status "unscored"
+// when the scoring pass fails (helpers/scoring.js). The scoring call runs
+// alongside the change report; send `score: false` to skip it (no `score`
+// in the response).
+//
+// Targeted rewrite: send `range: { start, end }` (character offsets into
+// `text`, end exclusive) or `paragraph` (0-based index of a blank-line
+// separated paragraph). Only that span is rewritten; the text around it
+// goes to the model as read-only context and comes back byte-for-byte
+// unchanged. The response's `span` gives the span's offsets in the
+// original and in the rewritten text; citations (if requested) cover the
+// rewritten span only.
+//
+// Send `stream: true` (or `Accept: text/event-stream`) to receive raw
+// tokens as SSE `token` events. The closing `done` event carries the
+// house-styled text, so clients should replace the streamed preview with it.
 
-  res.setHeader(
-    "Access-Control-Allow-Origin",
-    origin === "null" ? "*" : origin
-  );
-  res.setHeader("Vary", "Origin");
-  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-}
-// ------------------------------------------------------------------
+import { withPipeline, HttpError } from "./lib/pipeline.js";
+import { resolveLlm, llmRequiredEnv } from "./lib/llm.js";
+import {
+  wantsEventStream,
+  respondWithEventStream,
+  streamChatCompletion,
+} from "./lib/sse.js";
+import { resolveStyleGuide, applyStyleGuide } from "../helpers/styleGuides.js";
+import { buildChangeReport } from "../helpers/changeReport.js";
+import { scoreDraftQuality } from "../helpers/scoring.js";
+import { splitParagraphs } from "./lib/statements.js";
+import {
+  buildCitationSources,
+  citationInstructions,
+  parseCitations,
+  stripCitationMarkers,
+} from "./lib/citations.js";
 
 // Approx tokens helper
 function approximateTokensFromWords(wordCount) {
@@ -28,77 +64,193 @@ function approximateTokensFromWords(wordCount) {
   return Math.round(wordCount / 0.75);
 }
 
-// Same house-style helper as generate.js
-function applyHouseStyle(text) {
-  if (!text || typeof text !== "string") return text;
-  let out = text;
-
-  out = out.replace(/[“”]/g, '"').replace(/[‘’]/g, "'");
-
-  out = out.replace(/\$\s?(\d+(?:\.\d+)?)\s?[mM]\b/g, (m, num) => {
-    return `USD ${num} million`;
+// Source excerpts the rewrite may cite, labelled with their citation IDs.
+function describeCitableSources(sources, webSources) {
+  const lines = [];
+  (Array.isArray(sources) ? sources : []).forEach((s, idx) => {
+    const url = s.url ? ` (${s.url})` : "";
+    lines.push(
+      `SOURCE S${idx + 1}: ${s.name || s.kind || `Source ${idx + 1}`}${url}\n` +
+        ((s.text || "").slice(0, 1500) || "[no text excerpt provided]")
+    );
   });
-
-  out = out.replace(/S\$\s?(\d+(?:\.\d+)?)\s?[mM]\b/g, (m, num) => {
-    return `SGD ${num} million`;
+  (Array.isArray(webSources) ? webSources : []).forEach((s, idx) => {
+    lines.push(
+      `WEB SOURCE ${s.id || `W${idx + 1}`}: ${s.title || s.url} (${s.url})\n` +
+        ((s.snippet || "").slice(0, 1000) || "[no snippet returned]")
+    );
   });
+  return lines.length ? lines.join("\n\n") : "[no source excerpts were provided]";
+}
 
-  out = out.replace(/S\$\s?([\d,.]+)\b/g, (m, num) => {
-    return `SGD ${num}`;
-  });
+// Read-only context sent around a targeted span, per side.
+const MAX_CONTEXT_CHARS = 6000;
 
-  out = out.replace(/[€]\s?(\d+(?:\.\d+)?)\s?[mM]\b/g, (m, num) => {
-    return `EUR ${num} million`;
-  });
+// The span a targeted rewrite applies to: { start, end, paragraph }, or
+// null for a whole-draft rewrite.
+function resolveTarget(text, range, paragraph) {
+  if (range === undefined && paragraph === undefined) return null;
 
-  out = out.replace(/\$\s?([\d,.]+)\b/g, (m, num) => {
-    return `USD ${num}`;
-  });
+  if (range !== undefined && paragraph !== undefined) {
+    throw new HttpError(400, "invalid_request", "Send either 'range' or 'paragraph', not both.");
+  }
+
+  if (paragraph !== undefined) {
+    const paragraphs = splitParagraphs(text);
+    if (!Number.isInteger(paragraph) || paragraph < 0 || paragraph >= paragraphs.length) {
+      throw new HttpError(
+        400,
+        "invalid_request",
+        `'paragraph' must be an integer from 0 to ${paragraphs.length - 1}.`,
+        { paragraphs: paragraphs.length }
+      );
+    }
+    const { start, end } = paragraphs[paragraph];
+    return { start, end, paragraph };
+  }
 
-  return out;
+  const { start, end } = range || {};
+  if (
+    !Number.isInteger(start) ||
+    !Number.isInteger(end) ||
+    start < 0 ||
+    end > text.length ||
+    start >= end
+  ) {
+    throw new HttpError(
+      400,
+      "invalid_request",
+      `'range' must be { start, end } with 0 <= start < end <= ${text.length}.`,
+      { length: text.length }
+    );
+  }
+  if (!text.slice(start, end).trim()) {
+    throw new HttpError(400, "invalid_request", "'range' selects only whitespace.");
+  }
+  return { start, end, paragraph: null };
 }
 
-export default async function handler(req, res) {
-  setCorsHeaders(req, res);
+// Validate the model output and apply house style post-processing.
+// `target` is the span of a targeted rewrite (see resolveTarget), whose
+// rewritten text is spliced back into `original`. `scoreContext` carries
+// the scenario and version type the draft is scored against (null: do not
+// score).
+async function buildRewritePayload(
+  { content, model, usage },
+  original,
+  target,
+  styleGuide,
+  citationSources,
+  scoreContext
+) {
+  const rewritten = (content || "").trim();
 
-  if (req.method === "OPTIONS") {
-    return res.status(200).end();
+  if (!rewritten) {
+    console.error("Rewrite completion empty:", { model, usage });
+    throw new HttpError(
+      500,
+      "empty_completion",
+      "Model returned empty rewrite text."
+    );
   }
 
-  if (req.method !== "POST") {
-    return res.status(405).json({ error: "Method not allowed" });
+  const styled = applyStyleGuide(rewritten, styleGuide);
+  const citations = citationSources ? parseCitations(styled, citationSources) : null;
+  const rewrittenText = citations ? citations.text : styled;
+
+  let finalText = rewrittenText;
+  let span = null;
+  if (target) {
+    // Keep the whitespace the span had at its edges, and everything
+    // outside it exactly as sent.
+    const passage = original.slice(target.start, target.end);
+    const lead = passage.match(/^\s*/)[0];
+    const trail = passage.match(/\s*$/)[0];
+    const replacement = lead + rewrittenText + trail;
+
+    finalText = original.slice(0, target.start) + replacement + original.slice(target.end);
+    span = {
+      paragraph: target.paragraph,
+      original: { start: target.start, end: target.end },
+      rewritten: { start: target.start, end: target.start + replacement.length },
+    };
   }
 
-  try {
+  const scoring = scoreContext ? scoreDraftQuality(finalText, scoreContext) : null;
+  const changeReport = buildChangeReport(
+    target ? original : stripCitationMarkers(original),
+    finalText
+  );
+
+  return {
+    text: finalText,
+    ...(span ? { span } : {}),
+    changeReport,
+    ...(citations ? { citations } : {}),
+    ...(scoring ? { score: await scoring } : {}),
+    styleGuide: { id: styleGuide.id, name: styleGuide.name },
+    model: model || null,
+    usage: {
+      promptTokens: usage?.prompt_tokens ?? null,
+      completionTokens: usage?.completion_tokens ?? null,
+      totalTokens: usage?.total_tokens ?? null,
+    },
+  };
+}
+
+export default withPipeline(
+  {
+    name: "/api/rewrite",
+    requiredEnv: llmRequiredEnv("rewriting"),
+    errorMessage: "Failed to rewrite draft",
+  },
+  async function handler(req, res, { body }) {
     const {
       text,
       notes,
       scenario,
       versionType,
       model,
-      publicSearch, // ignored for now
       maxWords,
-    } = req.body || {};
+      styleGuideId,
+      citations,
+      sources,
+      webSources,
+      range,
+      paragraph,
+    } = body;
 
     const safeText = typeof text === "string" ? text.trim() : "";
     const safeNotes = typeof notes === "string" ? notes.trim() : "";
 
     if (!safeText) {
-      return res.status(400).json({
-        error: "Base draft text is required for rewrite.",
-      });
+      throw new HttpError(
+        400,
+        "invalid_request",
+        "Base draft text is required for rewrite."
+      );
     }
 
     if (!safeNotes) {
-      return res.status(400).json({
-        error: "Rewrite instructions are required.",
-      });
+      throw new HttpError(
+        400,
+        "invalid_request",
+        "Rewrite instructions are required."
+      );
     }
 
-    const resolvedModel =
-      typeof model === "string" && model.trim()
-        ? model.trim()
-        : "gpt-4.1-mini";
+    // Offsets refer to `text` exactly as sent, so targeted rewrites work
+    // on the untrimmed text.
+    const target = resolveTarget(text, range, paragraph);
+
+    let styleGuide;
+    try {
+      styleGuide = resolveStyleGuide(styleGuideId);
+    } catch (err) {
+      throw new HttpError(400, "invalid_request", err.message);
+    }
+
+    const { client, model: resolvedModel } = resolveLlm("rewriting", { model });
 
     let lengthGuidance = "";
     let suggestedMaxTokens = 900;
@@ -123,38 +275,74 @@ export default async function handler(req, res) {
       "You are revising an investment draft based on instructions from the author.",
       "",
       "HOUSE STYLE (MUST FOLLOW):",
-      "- Currency:",
-      "  • '$10m' → 'USD 10 million'; 'S$10m' → 'SGD 10 million'; etc.",
-      "  • Use currency codes (USD, SGD, EUR...).",
-      "- Numbers:",
-      "  • Use normal thousand separators for big numbers where useful.",
-      "  • Never use separators in calendar years (e.g. '2025').",
-      "- Punctuation:",
-      "  • Use straight quotes \"\" not curly quotes.",
+      styleGuide.instructions,
       "",
       "Rewrite goals:",
       "- Obey the author's rewrite instructions exactly.",
       "- Preserve factual content from the original draft unless instructions say otherwise.",
       "- You may re-order and tighten the text.",
       "- Maintain professional, neutral tone.",
+      ...(target
+        ? ["- Only the marked passage is being rewritten; the text around it is read-only context."]
+        : []),
     ].join("\n");
 
+    const citationSources =
+      citations === true ? buildCitationSources({ sources, webSources }) : null;
+
+    const promptText = (t) => (citationSources ? t : stripCitationMarkers(t));
+
+    const draftSection = target
+      ? [
+          "DOCUMENT BEFORE THE PASSAGE (read-only context; do not rewrite or repeat it):",
+          promptText(text.slice(Math.max(0, target.start - MAX_CONTEXT_CHARS), target.start)).trim() ||
+            "[start of document]",
+          "",
+          "PASSAGE TO REWRITE:",
+          promptText(text.slice(target.start, target.end)).trim(),
+          "",
+          "DOCUMENT AFTER THE PASSAGE (read-only context; do not rewrite or repeat it):",
+          promptText(text.slice(target.end, target.end + MAX_CONTEXT_CHARS)).trim() ||
+            "[end of document]",
+          "",
+        ]
+      : ["ORIGINAL DRAFT:", promptText(safeText), ""];
+
+    const task = target
+      ? [
+          "TASK:",
+          "- Rewrite only the passage; it must still read naturally between the text before and after it.",
+          "- Apply the house style rules strictly.",
+          "- Do not explain what you changed – return only the rewritten passage, without any of the surrounding text.",
+        ]
+      : [
+          "TASK:",
+          "- Produce the full rewritten draft text.",
+          "- Apply the house style rules strictly.",
+          "- Do not explain what you changed – return only the rewritten draft.",
+        ];
+
     const userPrompt = [
-      "ORIGINAL DRAFT:",
-      safeText,
-      "",
+      ...draftSection,
       "REWRITE INSTRUCTIONS FROM AUTHOR:",
       safeNotes,
       "",
       lengthGuidance,
       "",
-      "TASK:",
-      "- Produce the full rewritten draft text.",
-      "- Apply the house style rules strictly.",
-      "- Do not explain what you changed – return only the rewritten draft.",
+      ...(citationSources
+        ? [
+            "SOURCE EXCERPTS:",
+            describeCitableSources(sources, webSources),
+            "",
+            citationInstructions(citationSources),
+            "Citation markers already in the original draft refer to the same IDs: keep them on sentences that still rest on that input.",
+            "",
+          ]
+        : []),
+      ...task,
     ].join("\n\n");
 
-    const completion = await client.chat.completions.create({
+    const completionParams = {
       model: resolvedModel,
       temperature: 0.25,
       max_completion_tokens: suggestedMaxTokens || 1800,
@@ -162,28 +350,45 @@ export default async function handler(req, res) {
         { role: "system", content: systemPrompt },
         { role: "user", content: userPrompt },
       ],
-    });
+    };
 
-    let rewritten =
-      completion.choices?.[0]?.message?.content?.trim() || "";
+    const scoreContext =
+      body.score === false
+        ? null
+        : {
+            scenario: typeof scenario === "string" ? scenario : scenario?.id,
+            outputType: "rewrite",
+            versionType,
+          };
 
-    if (!rewritten) {
-      console.error("Rewrite completion empty:", completion);
-      return res
-        .status(500)
-        .json({ error: "Model returned empty rewrite text." });
+    if (wantsEventStream(req, body)) {
+      return respondWithEventStream(res, async (sendToken, signal) =>
+        buildRewritePayload(
+          await streamChatCompletion(client, completionParams, sendToken, { signal }),
+          target ? text : safeText,
+          target,
+          styleGuide,
+          citationSources,
+          scoreContext
+        )
+      );
     }
 
-    rewritten = applyHouseStyle(rewritten);
-
-    return res.status(200).json({
-      text: rewritten,
-    });
-  } catch (err) {
-    console.error("Error in /api/rewrite:", err);
-    return res.status(500).json({
-      error: "Failed to rewrite draft",
-      details: err?.response?.data || err?.message || String(err),
-    });
+    const completion = await client.chat.completions.create(completionParams);
+
+    return res.status(200).json(
+      await buildRewritePayload(
+        {
+          content: completion.choices?.[0]?.message?.content,
+          model: completion.model,
+          usage: completion.usage,
+        },
+        target ? text : safeText,
+        target,
+        styleGuide,
+        citationSources,
+        scoreContext
+      )
+    );
   }
-}
+);
@@ -0,0 +1,32 @@
+// api/scenarios.js
+//
+// Scenario registry for the frontend (helpers/scenarios.js): labels,
+// structured field definitions, drafting guidance and disclosure
+// reminders, so drafting forms can be built from data.
+//
+// GET                 -> { ok, scenarios: [...] }
+// GET ?id=<scenario>  -> { ok, scenario }
+
+import { withPipeline, HttpError } from "./lib/pipeline.js";
+import { listScenarios, resolveScenario } from "../helpers/scenarios.js";
+
+export default withPipeline(
+  {
+    name: "/api/scenarios",
+    methods: ["GET"],
+    errorMessage: "Failed to list scenarios",
+  },
+  function handler(req, res, { query }) {
+    const id = typeof query.id === "string" ? query.id.trim() : "";
+
+    if (id) {
+      try {
+        return res.status(200).json({ ok: true, scenario: resolveScenario(id) });
+      } catch (err) {
+        throw new HttpError(404, "not_found", err.message);
+      }
+    }
+
+    return res.status(200).json({ ok: true, scenarios: listScenarios() });
+  }
+);
@@ -0,0 +1,105 @@
+// api/style-check.js
+//
+// Deterministic house-style linter (no model calls). Checks a draft
+// against the machine-readable rules in helpers/styleRules.js, as
+// configured by a style guide (helpers/styleGuides.js).
+//
+// GET  -> the rule catalogue and the registered style guides
+// POST { text, styleGuideId?, ruleIds?, applyFixes? }
+//      -> violations with offsets, rule IDs and optional fixes. The guide
+//         (default "default") picks the rules and their options; `ruleIds`
+//         narrows them further. With `applyFixes: true` the response also
+//         carries `fixedText` and the violations that remain after every
+//         auto-fix was applied.
+
+import { withPipeline, HttpError } from "./lib/pipeline.js";
+import {
+  STYLE_RULES,
+  describeRules,
+  lintText,
+  fixAll,
+} from "../helpers/styleRules.js";
+import { listStyleGuides, resolveStyleGuide } from "../helpers/styleGuides.js";
+
+function summarise(violations) {
+  const byRule = {};
+  for (const v of violations) {
+    byRule[v.ruleId] = (byRule[v.ruleId] || 0) + 1;
+  }
+  return {
+    total: violations.length,
+    fixable: violations.filter((v) => v.fix).length,
+    byRule,
+  };
+}
+
+export default withPipeline(
+  {
+    name: "/api/style-check",
+    methods: ["GET", "POST"],
+    errorMessage: "Failed to check style",
+  },
+  async function handler(req, res, { body }) {
+    if (req.method === "GET") {
+      return res.status(200).json({
+        ok: true,
+        rules: describeRules(),
+        styleGuides: listStyleGuides(),
+      });
+    }
+
+    const { text, styleGuideId, ruleIds, applyFixes } = body;
+
+    if (typeof text !== "string" || !text.trim()) {
+      throw new HttpError(
+        400,
+        "invalid_request",
+        "Missing or invalid 'text' in request body"
+      );
+    }
+
+    if (ruleIds !== undefined) {
+      const known = new Set(STYLE_RULES.map((r) => r.id));
+      const unknown = Array.isArray(ruleIds)
+        ? ruleIds.filter((id) => !known.has(id))
+        : ["(ruleIds must be an array)"];
+      if (unknown.length > 0) {
+        throw new HttpError(400, "invalid_request", "Unknown rule IDs", {
+          unknown,
+        });
+      }
+    }
+
+    let styleGuide;
+    try {
+      styleGuide = resolveStyleGuide(styleGuideId);
+    } catch (err) {
+      throw new HttpError(400, "invalid_request", err.message);
+    }
+
+    const { lintOptions } = styleGuide;
+    const options = {
+      ...lintOptions,
+      ruleIds: ruleIds
+        ? lintOptions.ruleIds.filter((id) => ruleIds.includes(id))
+        : lintOptions.ruleIds,
+    };
+    const violations = lintText(text, options);
+
+    const payload = {
+      ok: true,
+      styleGuide: { id: styleGuide.id, name: styleGuide.name },
+      violations,
+      summary: summarise(violations),
+    };
+
+    if (applyFixes === true) {
+      const fixed = fixAll(text, options);
+      payload.fixedText = fixed.text;
+      payload.appliedFixes = fixed.applied.length;
+      payload.remaining = fixed.remaining;
+    }
+
+    return res.status(200).json(payload);
+  }
+);
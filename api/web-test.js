@@ -1,116 +1,84 @@
 // /api/web-test.js
 //
-// Browser-testable diagnostic endpoint for OpenAI web_search_preview.
+// Browser-testable diagnostic endpoint for the OpenAI web search tool.
 // - Uses only GET + query params
 // - Returns JSON
-// - Does NOT depend on the OpenAI Node SDK (uses fetch directly)
+// - Goes through the "openai" provider in ./lib/webSearch.js (fetch, no SDK)
 // - Does NOT touch any existing routes
 
-// --- CORS helper (local to this file only) -------------------------------
-function setCorsHeaders(req, res) {
-  const origin = req.headers.origin || "*";
+import { withPipeline, sendError } from "./lib/pipeline.js";
+import { webSearch } from "./lib/webSearch.js";
 
-  res.setHeader(
-    "Access-Control-Allow-Origin",
-    origin === "null" ? "*" : origin
-  );
-  res.setHeader("Vary", "Origin");
-  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-}
-// ------------------------------------------------------------------------
+export default withPipeline(
+  {
+    name: "/api/web-test",
+    methods: ["GET"],
+    errorMessage: "Failed to call OpenAI with the web search tool.",
+  },
+  async function handler(req, res, { query }) {
+    const { mode, q, model } = query;
 
-export default async function handler(req, res) {
-  setCorsHeaders(req, res);
-
-  // Handle CORS preflight (just in case)
-  if (req.method === "OPTIONS") {
-    return res.status(200).end();
-  }
-
-  // Enforce GET-only for this diagnostic route
-  if (req.method !== "GET") {
-    res.setHeader("Content-Type", "application/json");
-    return res.status(405).json({
-      ok: false,
-      error: "Method not allowed. Use GET with query parameters.",
-    });
-  }
-
-  const { mode, q, model } = req.query;
-
-  // Lightweight "ping" that doesn't call OpenAI at all
-  if (mode === "ping") {
-    res.setHeader("Content-Type", "application/json");
-    return res.status(200).json({
-      ok: true,
-      mode: "ping",
-      message: "web-test endpoint is reachable.",
-      env: {
-        hasApiKey: Boolean(process.env.OPENAI_API_KEY || false),
-        nodeEnv: process.env.NODE_ENV || "unknown",
-      },
-    });
-  }
-
-  if (!process.env.OPENAI_API_KEY) {
-    res.setHeader("Content-Type", "application/json");
-    return res.status(500).json({
-      ok: false,
-      error: "Missing OPENAI_API_KEY in environment.",
-      suggestion:
-        "Set OPENAI_API_KEY in your Vercel environment variables and redeploy.",
-    });
-  }
-
-  // Default test query and model, overridable via query params
-  const userQuery =
-    typeof q === "string" && q.trim().length > 0
-      ? q.trim()
-      : "Test web search: recent positive news in technology, 2 short bullet points.";
+    // Lightweight "ping" that doesn't call OpenAI at all
+    if (mode === "ping") {
+      res.setHeader("Content-Type", "application/json");
+      return res.status(200).json({
+        ok: true,
+        mode: "ping",
+        message: "web-test endpoint is reachable.",
+        env: {
+          hasApiKey: Boolean(process.env.OPENAI_API_KEY || false),
+          nodeEnv: process.env.NODE_ENV || "unknown",
+        },
+      });
+    }
 
-  const modelName =
-    typeof model === "string" && model.trim().length > 0
-      ? model.trim()
-      : "gpt-4.1"; // model that supports web_search_preview
+    if (!process.env.OPENAI_API_KEY) {
+      return sendError(
+        res,
+        500,
+        "missing_config",
+        "Missing OPENAI_API_KEY in environment.",
+        {
+          suggestion:
+            "Set OPENAI_API_KEY in your Vercel environment variables and redeploy.",
+        }
+      );
+    }
 
-  try {
-    // Call the Responses API directly via fetch (no SDK)
-    const apiResponse = await fetch("https://api.openai.com/v1/responses", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-      },
-      body: JSON.stringify({
+    // Default test query and model, overridable via query params
+    const userQuery =
+      typeof q === "string" && q.trim().length > 0
+        ? q.trim()
+        : "Test web search: recent positive news in technology, 2 short bullet points.";
+
+    const modelName =
+      typeof model === "string" && model.trim().length > 0
+        ? model.trim()
+        : "gpt-4.1"; // model that supports the web search tool
+
+    let search;
+    try {
+      // Goes through the shared "openai" provider (Responses API via fetch)
+      search = await webSearch(userQuery, {
+        provider: "openai",
         model: modelName,
-        tools: [{ type: "web_search_preview" }],
-        tool_choice: { type: "web_search_preview" },
-        input: userQuery,
-      }),
-    });
-
-    const payload = await apiResponse.json();
-
-    if (!apiResponse.ok) {
-      // Surface OpenAI error clearly in JSON
-      const message =
-        payload?.error?.message ||
-        `OpenAI API error (status ${apiResponse.status})`;
-
-      res.setHeader("Content-Type", "application/json");
-      return res.status(apiResponse.status).json({
-        ok: false,
-        error: "Failed to call OpenAI with web_search_preview.",
-        details: {
-          message,
-          status: apiResponse.status,
-          data: payload,
-        },
       });
+    } catch (err) {
+      return sendError(
+        res,
+        502,
+        "upstream_error",
+        "Failed to call OpenAI with the web search tool.",
+        {
+          message: err?.message || "Unknown error",
+          name: err?.name || "Error",
+        }
+      );
     }
 
-        // Try to extract a human-readable text summary
+    const payload = search.raw || {};
+
+    // Try to extract a human-readable text summary
     let summary = null;
 
     if (Array.isArray(payload.output)) {
@@ -129,7 +97,6 @@ export default async function handler(req, res) {
       }
     }
 
-
     // Extract any search-related items for debugging/inspection
     const webSearchItems = Array.isArray(payload.output)
       ? payload.output.filter(
@@ -140,30 +107,16 @@ export default async function handler(req, res) {
         )
       : [];
 
-    res.setHeader("Content-Type", "application/json");
     return res.status(200).json({
       ok: true,
       query: userQuery,
       model: modelName,
-      tool: "web_search_preview",
+      tool: payload.tools?.[0]?.type || null,
       summary,
+      results: search.results,
       webSearchItems,
       // Full raw payload so you can inspect structure in the browser
       raw: payload,
     });
-  } catch (err) {
-    const safeError = {
-      message: err?.message || "Unknown error",
-      name: err?.name || "Error",
-      status: err?.status || null,
-      data: err?.response?.data || null,
-    };
-
-    res.setHeader("Content-Type", "application/json");
-    return res.status(500).json({
-      ok: false,
-      error: "Failed to call OpenAI with web_search_preview.",
-      details: safeError,
-    });
   }
-}
+);
@@ -0,0 +1,89 @@
+// eval/lib/compare.js
+//
+// Compare an eval run with a baseline run (both as written by
+// scripts/eval.js) and list what got worse or better, per case and
+// output.
+
+// Heuristic score changes smaller than this are noise.
+const HEURISTIC_TOLERANCE = 0.02;
+
+const STATUS_RANK = { pass: 2, fail: 1, error: 0 };
+
+function outputsByName(result) {
+  return new Map((result?.outputs || []).map((o) => [o.name, o]));
+}
+
+// Changes between two outputs of the same case, as
+// [{ metric, before, after, direction: "worse" | "better" }].
+function compareOutput(before, after) {
+  const changes = [];
+  const push = (metric, b, a, worse) => {
+    if (b === a) return;
+    changes.push({ metric, before: b, after: a, direction: worse ? "worse" : "better" });
+  };
+
+  if (before.metrics && after.metrics) {
+    const b = before.metrics;
+    const a = after.metrics;
+    if (Math.abs(a.heuristic - b.heuristic) > HEURISTIC_TOLERANCE) {
+      push("heuristic", b.heuristic, a.heuristic, a.heuristic < b.heuristic);
+    }
+    push("styleViolations", b.style.violations, a.style.violations, a.style.violations > b.style.violations);
+    push("factsFound", b.facts.found, a.facts.found, a.facts.found < b.facts.found);
+    push("forbidden", b.forbidden.length, a.forbidden.length, a.forbidden.length > b.forbidden.length);
+  }
+  if (before.verdicts && after.verdicts) {
+    const met = (list) => list.filter((v) => v.ok).length;
+    push("verdictsMet", met(before.verdicts), met(after.verdicts), met(after.verdicts) < met(before.verdicts));
+  }
+
+  return changes;
+}
+
+/**
+ * Compare `run` with `baseline`. Returns
+ * { regressions, improvements, added, removed } where regressions and
+ * improvements are [{ caseId, output, metric, before, after }] (output is
+ * null for case-level status changes) and added/removed list case IDs
+ * only present in one of the runs.
+ */
+export function compareRuns(run, baseline) {
+  const regressions = [];
+  const improvements = [];
+  const baseCases = new Map((baseline?.cases || []).map((c) => [c.id, c]));
+  const runIds = new Set(run.cases.map((c) => c.id));
+
+  for (const result of run.cases) {
+    const base = baseCases.get(result.id);
+    if (!base) continue;
+
+    if (result.status !== base.status) {
+      const entry = {
+        caseId: result.id,
+        output: null,
+        metric: "status",
+        before: base.status,
+        after: result.status,
+      };
+      (STATUS_RANK[result.status] < STATUS_RANK[base.status] ? regressions : improvements).push(entry);
+    }
+
+    const baseOutputs = outputsByName(base);
+    for (const output of result.outputs || []) {
+      const previous = baseOutputs.get(output.name);
+      if (!previous) continue;
+      for (const change of compareOutput(previous, output)) {
+        const entry = { caseId: result.id, output: output.name, ...change };
+        delete entry.direction;
+        (change.direction === "worse" ? regressions : improvements).push(entry);
+      }
+    }
+  }
+
+  return {
+    regressions,
+    improvements,
+    added: run.cases.filter((c) => !baseCases.has(c.id)).map((c) => c.id),
+    removed: [...baseCases.keys()].filter((id) => !runIds.has(id)),
+  };
+}
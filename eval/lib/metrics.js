@@ -0,0 +1,92 @@
+// eval/lib/metrics.js
+//
+// Deterministic measurements of handler output for the eval harness. No
+// model calls: the heuristic score from utils/scoreDraft.js, the house
+// style linter (helpers/styleRules.js, with the case's style guide) and
+// checks that the expected facts made it into the draft.
+
+import { draftSignals } from "../../utils/scoreDraft.js";
+import { lintText } from "../../helpers/styleRules.js";
+import { resolveStyleGuide } from "../../helpers/styleGuides.js";
+import { extractFigures } from "../../helpers/figures.js";
+
+function normalise(text) {
+  return text
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function sameFigure(a, b) {
+  return a.kind === b.kind && a.value === b.value && (a.currency || null) === (b.currency || null);
+}
+
+/**
+ * Is `fact` in `text`? Plain text matches case- and whitespace-
+ * insensitively. A fact containing figures also matches when every figure
+ * in it appears in the text with the same value ("USD 250 million" is
+ * found in "USD 250'000'000").
+ */
+export function hasFact(text, fact) {
+  if (normalise(text).includes(normalise(fact))) return true;
+
+  const wanted = extractFigures(fact);
+  if (wanted.length === 0) return false;
+
+  // Words around the figures must still appear ("raised USD 250 million").
+  let rest = fact;
+  for (const f of [...wanted].reverse()) rest = rest.slice(0, f.start) + " " + rest.slice(f.end);
+  const words = normalise(rest);
+
+  const figures = extractFigures(text);
+  return (
+    wanted.every((f) => figures.some((g) => sameFigure(f, g))) &&
+    (!words || normalise(text).includes(words))
+  );
+}
+
+function countWords(text) {
+  return (text.match(/[\p{L}\p{N}]+(?:[.,'’-][\p{L}\p{N}]+)*/gu) || []).length;
+}
+
+/**
+ * Metrics for one draft: { words, heuristic, signals, style, facts,
+ * forbidden } where style is { violations, byRule }, facts is
+ * { expected, found, missing } and forbidden lists the forbidden
+ * phrases that appear.
+ */
+export function measureDraft(text, { styleGuideId, facts = [], forbidden = [] } = {}) {
+  const draft = typeof text === "string" ? text : "";
+  const { score, signals } = draftSignals(draft);
+
+  const violations = lintText(draft, resolveStyleGuide(styleGuideId).lintOptions);
+  const byRule = {};
+  for (const v of violations) byRule[v.ruleId] = (byRule[v.ruleId] || 0) + 1;
+
+  const missing = facts.filter((f) => !hasFact(draft, f));
+
+  return {
+    words: countWords(draft),
+    heuristic: score,
+    signals: signals.map((s) => s.id),
+    style: { violations: violations.length, byRule },
+    facts: { expected: facts.length, found: facts.length - missing.length, missing },
+    forbidden: forbidden.filter((p) => normalise(draft).includes(normalise(p))),
+  };
+}
+
+/**
+ * Check /api/analyse-statements output against expected verdicts:
+ * [{ statement, verdict }] where `statement` is a substring of the
+ * statement text. Returns [{ statement, expected, actual, ok }].
+ */
+export function checkVerdicts(statements, expected = []) {
+  const list = Array.isArray(statements) ? statements : [];
+  return expected.map(({ statement, verdict }) => {
+    const match = list.find((s) => normalise(s.text || "").includes(normalise(statement)));
+    const actual = match ? match.verdict : null;
+    return { statement, expected: verdict, actual, ok: actual === verdict };
+  });
+}
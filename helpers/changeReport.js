@@ -0,0 +1,287 @@
+// helpers/changeReport.js
+//
+// Change report for a rewrite: what changed between the original draft and
+// the rewritten text, so a rewrite can be reviewed without rereading it.
+//
+//   {
+//     summary,   // a few machine-generated sentences
+//     stats,     // word and paragraph counts, words added/removed
+//     diff,      // word-level diff (api/lib/diff.js)
+//     warnings,  // figures, dates and named entities added/removed/changed
+//   }
+//
+// A warning is:
+//
+//   {
+//     type,     // "figure" | "entity"
+//     kind,     // figure kind (helpers/figures.js: "money", "date", ...) or "entity"
+//     change,   // "added" | "removed" | "changed"
+//     before,   // { raw, start, end } in the original, null when added
+//     after,    // { raw, start, end } in the rewrite, null when removed
+//     message,
+//   }
+//
+// Figures are compared by normalised value, so "$10m" restyled as
+// "USD 10 million" is not a change, and a figure that only moved is not
+// reported.
+
+import { diffWords } from "../api/lib/diff.js";
+import { extractFigures, MONTHS } from "./figures.js";
+import { CURRENCY_CODES } from "./numberFormat.js";
+
+// Capitalised words that open sentences without naming anything.
+const NON_ENTITY_WORDS = new Set([
+  "A", "An", "The", "This", "That", "These", "Those", "It", "Its", "We",
+  "Our", "They", "Their", "He", "She", "His", "Her", "In", "On", "At",
+  "As", "By", "For", "From", "With", "Following", "After", "Before",
+  "During", "Since", "Over", "Under", "While", "Although", "However",
+  "Additionally", "Furthermore", "Moreover", "Overall", "Today", "Both",
+  "Each", "All", "Any", "Some", "Such", "If", "When", "Where", "Once",
+  "Through", "To", "Upon", "Based", "Together", "Key", "About",
+]);
+
+const WEEKDAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+// Not entities on their own: month and weekday names, currency codes.
+const NON_ENTITY_NAMES = new Set([
+  ...MONTHS.map((m) => `${m[0].toUpperCase()}${m.slice(1)}`),
+  ...WEEKDAYS,
+  ...CURRENCY_CODES,
+]);
+
+// Runs of capitalised words on one line, optionally joined by "of", "and"...
+const CAPITALISED_RE =
+  /(?<![\p{L}\p{N}[])\p{Lu}[\p{L}\p{N}&'’-]*(?:[ \t]+(?:(?:of|and|&|de|du|la|von|van|der|den|for)[ \t]+)?\p{Lu}[\p{L}\p{N}&'’-]*)*/gu;
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function wordCount(text) {
+  return (text.match(/[\p{L}\p{N}]+(?:[.,'’-][\p{L}\p{N}]+)*/gu) || []).length;
+}
+
+function paragraphCount(text) {
+  return text.split(/\n\s*\n/).filter((p) => p.trim()).length;
+}
+
+/**
+ * Named entities by heuristic: runs of capitalised words, minus common
+ * sentence openers ("The Fund" -> "Fund"). Runs stop at month names and
+ * currency codes ("Acme Holdings for USD" -> "Acme Holdings"). `corpus`
+ * is searched to tell a name from an ordinary word that opens a sentence.
+ */
+export function extractEntities(text, corpus = text) {
+  const entities = [];
+  for (const m of text.matchAll(CAPITALISED_RE)) {
+    const words = [...m[0].matchAll(/\S+/g)].map((w) => ({
+      text: w[0],
+      start: m.index + w.index,
+    }));
+
+    const before = text.slice(0, m.index);
+    const sentenceStart = !before.trim() || /[.!?:]["'’”)]*\s+$|\n\s*$/.test(before);
+    if (sentenceStart && NON_ENTITY_WORDS.has(words[0].text)) words.shift();
+
+    const stop = words.findIndex((w) => NON_ENTITY_NAMES.has(w.text));
+    if (stop !== -1) words.splice(stop);
+    // Do not end on a connector ("Bank of").
+    while (words.length > 0 && /^\p{Ll}|^&$/u.test(words[words.length - 1].text)) words.pop();
+    if (words.length === 0) continue;
+
+    // A lone capitalised word opening a sentence ("Raised", "Growth") is
+    // only a name if it is capitalised elsewhere too, or looks like one
+    // ("BlackRock", "KKR").
+    if (sentenceStart && words.length === 1 && words[0].start === m.index) {
+      const word = words[0].text;
+      const midSentence = new RegExp(`[\\p{L}\\p{N},;][ \\t]+${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, "u");
+      if (!/^\p{Lu}.*\p{Lu}/u.test(word) && !midSentence.test(corpus)) continue;
+    }
+
+    const start = words[0].start;
+    const last = words[words.length - 1];
+    const raw = text.slice(start, last.start + last.text.length);
+    entities.push({ raw, start, end: start + raw.length, key: raw });
+  }
+  return entities;
+}
+
+function figureKey(f) {
+  return `${f.kind}:${f.value}:${f.currency || ""}`;
+}
+
+// Changed regions of the diff as [{ before: [start, end], after: [start, end] }].
+function changedRegions(diff) {
+  const regions = [];
+  let beforePos = 0;
+  let afterPos = 0;
+  let current = null;
+
+  for (const op of diff) {
+    if (op.op === "equal") {
+      current = null;
+      beforePos = op.end;
+      afterPos = op.afterEnd;
+      continue;
+    }
+    if (!current) {
+      current = { before: [beforePos, beforePos], after: [afterPos, afterPos] };
+      regions.push(current);
+    }
+    if (op.op === "delete") {
+      current.before = [current.before[0], op.end];
+    } else {
+      current.after = [current.after[0], op.end];
+    }
+  }
+  return regions;
+}
+
+function touches([start, end], item) {
+  // Zero-width regions (pure insert/delete) touch items that abut them.
+  return start === end ? item.start <= start && item.end >= start : item.start < end && item.end > start;
+}
+
+/**
+ * Items (figures or entities, each with a `key`) that the rewrite added,
+ * removed or changed. Items inside unchanged text are ignored; an item
+ * removed in one place and added in another (same key) only moved. A
+ * removal and an addition of the same kind in one changed region pair up
+ * as a change.
+ */
+function compareItems(beforeItems, afterItems, regions, kindOf) {
+  const removed = beforeItems.filter((item) => regions.some((r) => touches(r.before, item)));
+  const added = afterItems.filter((item) => regions.some((r) => touches(r.after, item)));
+
+  const beforeKeys = beforeItems.map((i) => i.key);
+  const afterKeys = afterItems.map((i) => i.key);
+  const count = (keys, key) => keys.filter((k) => k === key).length;
+
+  // Keep an item only if its key's total count actually changed.
+  const reallyRemoved = removed.filter(
+    (item, idx, list) =>
+      list.slice(0, idx + 1).filter((i) => i.key === item.key).length <=
+      count(beforeKeys, item.key) - count(afterKeys, item.key)
+  );
+  const reallyAdded = added.filter(
+    (item, idx, list) =>
+      list.slice(0, idx + 1).filter((i) => i.key === item.key).length <=
+      count(afterKeys, item.key) - count(beforeKeys, item.key)
+  );
+
+  const changes = [];
+  const pairedAdds = new Set();
+  for (const old of reallyRemoved) {
+    const region = regions.find((r) => touches(r.before, old));
+    const replacement = reallyAdded.find(
+      (item) => !pairedAdds.has(item) && kindOf(item) === kindOf(old) && touches(region.after, item)
+    );
+    if (replacement) pairedAdds.add(replacement);
+    changes.push({ kind: kindOf(old), change: replacement ? "changed" : "removed", before: old, after: replacement || null });
+  }
+  for (const item of reallyAdded) {
+    if (!pairedAdds.has(item)) {
+      changes.push({ kind: kindOf(item), change: "added", before: null, after: item });
+    }
+  }
+
+  return changes;
+}
+
+function span(item) {
+  return item ? { raw: item.raw, start: item.start, end: item.end } : null;
+}
+
+function warningMessage(type, { kind, change, before, after }) {
+  const label = type === "entity" ? "Named entity" : kind === "date" || kind === "period" || kind === "year" ? "Date" : "Figure";
+  if (change === "changed") return `${label} changed: "${before.raw}" -> "${after.raw}".`;
+  if (change === "removed") return `${label} removed: "${before.raw}".`;
+  return `${label} added: "${after.raw}"; check it is supported by the sources.`;
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+/**
+ * Build the change report for `after` (the rewrite) against `before`.
+ */
+export function buildChangeReport(before, after) {
+  const original = typeof before === "string" ? before : "";
+  const rewritten = typeof after === "string" ? after : "";
+
+  const diff = diffWords(original, rewritten);
+  const regions = changedRegions(diff);
+
+  const figureChanges = compareItems(
+    extractFigures(original).map((f) => ({ ...f, key: figureKey(f) })),
+    extractFigures(rewritten).map((f) => ({ ...f, key: figureKey(f) })),
+    regions,
+    (f) => f.kind
+  );
+  const corpus = `${original}\n\n${rewritten}`;
+  const entityChanges = compareItems(
+    extractEntities(original, corpus),
+    extractEntities(rewritten, corpus),
+    regions,
+    () => "entity"
+  );
+
+  const warnings = [
+    ...figureChanges.map((c) => ({ type: "figure", ...c })),
+    ...entityChanges.map((c) => ({ type: "entity", ...c })),
+  ]
+    .map((c) => ({
+      type: c.type,
+      kind: c.kind,
+      change: c.change,
+      before: span(c.before),
+      after: span(c.after),
+      message: warningMessage(c.type, c),
+    }))
+    .sort((a, b) => (a.before || a.after).start - (b.before || b.after).start);
+
+  const wordsRemoved = diff.filter((o) => o.op === "delete").reduce((n, o) => n + wordCount(o.text), 0);
+  const wordsAdded = diff.filter((o) => o.op === "insert").reduce((n, o) => n + wordCount(o.text), 0);
+  const stats = {
+    wordsBefore: wordCount(original),
+    wordsAfter: wordCount(rewritten),
+    wordsAdded,
+    wordsRemoved,
+    wordsUnchanged: wordCount(original) - wordsRemoved,
+    paragraphsBefore: paragraphCount(original),
+    paragraphsAfter: paragraphCount(rewritten),
+    changedRegions: regions.length,
+  };
+
+  const sentences = [];
+  if (regions.length === 0) {
+    sentences.push("No changes.");
+  } else {
+    const kept = stats.wordsBefore > 0 ? Math.round((stats.wordsUnchanged / stats.wordsBefore) * 100) : 0;
+    sentences.push(
+      `${plural(stats.wordsRemoved, "word")} removed and ${plural(stats.wordsAdded, "word")} added in ${plural(regions.length, "place")}; ${kept}% of the original wording is kept.`
+    );
+    sentences.push(
+      `Length ${stats.wordsBefore} -> ${stats.wordsAfter} words` +
+        (stats.paragraphsBefore !== stats.paragraphsAfter
+          ? `, ${stats.paragraphsBefore} -> ${stats.paragraphsAfter} paragraphs.`
+          : ".")
+    );
+    const counts = (type) => warnings.filter((w) => w.type === type).length;
+    if (warnings.length > 0) {
+      sentences.push(
+        `Check ${[
+          counts("figure") ? plural(counts("figure"), "figure/date change") : null,
+          counts("entity") ? plural(counts("entity"), "named entity change") : null,
+        ]
+          .filter(Boolean)
+          .join(" and ")}.`
+      );
+    } else {
+      sentences.push("No figures, dates or named entities changed.");
+    }
+  }
+
+  return { summary: sentences.join(" "), stats, diff, warnings };
+}
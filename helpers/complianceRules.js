@@ -0,0 +1,307 @@
+// helpers/complianceRules.js
+//
+// Deterministic compliance rules for investor communications, used by
+// /api/compliance-check before (and alongside) the model pass. They make
+// the RISK & UNCERTAINTY section of the default style guide checkable and
+// add the checks compliance reviewers run by hand.
+//
+// A rule is { id, description, severity, guideRule, check(statement, context) }.
+// check() runs once per statement (api/lib/statements.js) and returns flags:
+//
+// {
+//   ruleId, severity, source: "pattern",
+//   statementId,
+//   start, end,        // UTF-16 offsets into the whole draft (end exclusive)
+//   match,             // text.slice(start, end)
+//   message,
+//   suggestion,        // compliant rewording of the statement, or null
+// }
+//
+// `context` is { text } (the whole draft), for rules that need to look
+// beyond the statement, e.g. for a past-performance disclaimer.
+
+import { SUPERLATIVES } from "./styleRules.js";
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function flag(rule, statement, localStart, match, message, suggestion = null) {
+  const start = statement.start + localStart;
+  return {
+    ruleId: rule.id,
+    severity: rule.severity,
+    source: "pattern",
+    statementId: statement.id,
+    start,
+    end: start + match.length,
+    match,
+    message,
+    suggestion,
+  };
+}
+
+// Replace one span of a statement and tidy the join: spacing, and "a"/"an"
+// before the word that now follows it.
+function rewordStatement(statement, localStart, length, replacement) {
+  let before = statement.text.slice(0, localStart);
+  let after = (replacement + statement.text.slice(localStart + length)).replace(/^\s+/, "");
+
+  // Dropping one item of "an unrivalled, market-leading manager".
+  if (!replacement) {
+    if (/^,\s*/.test(after)) after = after.replace(/^,\s*/, "");
+    else before = before.replace(/,\s*$/, " ");
+  }
+
+  const article = before.match(/\b(an?)\s+$/i);
+  if (article && /^\w/.test(after)) {
+    const wanted = /^[aeiou]/i.test(after) ? "an" : "a";
+    const cased = article[1][0] === "A" ? wanted[0].toUpperCase() + wanted.slice(1) : wanted;
+    before = before.slice(0, article.index) + cased + " ";
+  }
+
+  return `${before.replace(/\s+$/, "")} ${after}`
+    .replace(/\s+([,.;:])/g, "$1")
+    .trim();
+}
+
+// Measured outlook language (style guide: risk.measured-outlook) and other
+// hedges that make a forward-looking statement acceptable.
+const HEDGES = [
+  "may", "might", "could", "would", "should", "expects?", "expected",
+  "anticipates?", "anticipated", "aims?", "seeks?", "intends?", "intended",
+  "believes?", "targets?", "targeted", "plans?", "planned", "estimates?",
+  "estimated", "projected", "forecasts?", "potential(?:ly)?", "likely",
+  "subject to", "no assurance", "no guarantee", "there can be no",
+];
+
+// "will" in a scheduled fact ("the call will be due on 15 March") states a
+// date, not an outcome.
+const SCHEDULED = "(?! be (?:due|held|paid|payable)\\b)";
+
+// Absolute future claims, with the measured wording suggested for each.
+// Rewordings must read right whatever the subject ("The funds will" ->
+// "The funds may"); where no pattern can promise that, the reword gives
+// null and the suggestion is left to the model pass.
+const FORWARD_LOOKING = [
+  [new RegExp(`\\b(we|they|I|you) will\\b${SCHEDULED}`, "gi"), (m) => `${m[1]} expect to`],
+  [new RegExp(`\\bwill\\b${SCHEDULED}`, "gi"), () => "may"],
+  [/\bis going to\b/gi, () => "is expected to"],
+  [/\bare going to\b/gi, () => "are expected to"],
+  [/\b(?:is|are) (?:certain|sure|bound) to\b/gi, (m) => `${m[0].split(" ")[0]} expected to`],
+  [/\b(?:is|are) (?:set|poised) to\b/gi, (m) => `${m[0].split(" ")[0]} expected to`],
+  [/\bguarantee(?:s|d)?\b/gi, () => null],
+  [/\bwithout (?:a )?doubt\b/gi, () => ""],
+];
+
+const forwardLookingUnhedged = {
+  id: "compliance.forward-looking-unhedged",
+  guideRule: "risk.measured-outlook",
+  description:
+    'Forward-looking statements need measured language ("is expected to", "aims to", "believes that"); absolute promises about the future are not allowed.',
+  severity: "error",
+  check(statement) {
+    const hedged = new RegExp(`\\b(?:${HEDGES.join("|")})\\b`, "i");
+    if (hedged.test(statement.text)) return [];
+
+    const out = [];
+    const taken = [];
+    for (const [re, reword] of FORWARD_LOOKING) {
+      for (const m of statement.text.matchAll(re)) {
+        if (taken.some(([s, e]) => m.index < e && m.index + m[0].length > s)) continue;
+        taken.push([m.index, m.index + m[0].length]);
+        const rewording = reword(m);
+        out.push(
+          flag(
+            this,
+            statement,
+            m.index,
+            m[0],
+            `"${m[0]}" states a future outcome as certain; use measured language.`,
+            rewording === null ? null : rewordStatement(statement, m.index, m[0].length, rewording)
+          )
+        );
+      }
+    }
+    return out;
+  },
+};
+
+// Return and track-record metrics. "returned" only counts with a figure
+// after it ("returned 12%", "returned 2.1x"); capital returned to
+// investors is not a performance claim.
+const PERFORMANCE_TERMS = [
+  "net IRR", "gross IRR", "IRR", "MOIC", "TVPI", "DPI", "RVPI",
+  "internal rate of return", "multiple of (?:invested )?capital",
+  "(?:net |gross |annualised |annualized |total )?returns? of",
+  "returned(?: [\\w-]+){0,3} \\d+(?:\\.\\d+)?(?:%|x)", "outperform(?:ed|s|ing)?", "track record",
+  "\\d+(?:\\.\\d+)?x (?:money|multiple|return|gross|net)",
+];
+
+const PERFORMANCE_DISCLAIMER_RE =
+  /past performance (?:is|does) not|not (?:a reliable|necessarily) (?:indicator|indicative|guide)/i;
+
+const PERFORMANCE_DISCLAIMER =
+  "Past performance is not a reliable indicator of future results.";
+
+const performanceClaim = {
+  id: "compliance.performance-claim",
+  guideRule: "risk.no-overconfidence",
+  description:
+    "Performance figures (IRR, multiples, returns, track record) need a past-performance disclaimer in the same communication.",
+  severity: "error",
+  check(statement, { text }) {
+    if (PERFORMANCE_DISCLAIMER_RE.test(text)) return [];
+
+    const re = new RegExp(`(?<![\\w-])(?:${PERFORMANCE_TERMS.join("|")})(?![\\w-])`, "i");
+    const m = statement.text.match(re);
+    if (!m) return [];
+
+    return [
+      flag(
+        this,
+        statement,
+        m.index,
+        m[0],
+        "Performance claim without a past-performance disclaimer.",
+        `${statement.text} ${PERFORMANCE_DISCLAIMER}`
+      ),
+    ];
+  },
+};
+
+// Wording that attributes a claim to someone other than the writer.
+// "ranked" and "named" only count with the ranker after them ("ranked
+// first by Preqin"), not anywhere in the sentence.
+const ATTRIBUTION_RE =
+  /\b(?:according to|as (?:rated|ranked|reported) by|(?:ranked|named)(?: [\w-]+){0,5} by|awarded|recogni[sz]ed (?:as|by)|source:|cited by)\b|\[(?:[SW]\d+|[FN])\]/i;
+
+const unattributedSuperlative = {
+  id: "compliance.unattributed-superlative",
+  guideRule: "language.no-superlatives",
+  description:
+    'Superlatives and subjective claims ("market-leading", "best-in-class") must be attributed to an independent source or removed.',
+  severity: "warning",
+  check(statement) {
+    if (ATTRIBUTION_RE.test(statement.text)) return [];
+
+    const re = new RegExp(
+      `(?<![\\w-])(?:${SUPERLATIVES.map(escapeRegExp).join("|")})(?![\\w-])`,
+      "gi"
+    );
+    return [...statement.text.matchAll(re)].map((m) =>
+      flag(
+        this,
+        statement,
+        m.index,
+        m[0],
+        `"${m[0]}" is an unattributed superlative; attribute it to a source or remove it.`,
+        rewordStatement(statement, m.index, m[0].length, "")
+      )
+    );
+  },
+};
+
+const SELECTIVE_DISCLOSURE_TERMS = [
+  "not yet (?:been )?(?:public|announced|disclosed|released)",
+  "(?:has|have) not (?:yet )?been (?:announced|disclosed|made public)",
+  "ahead of (?:the |its |a )?(?:public )?announcement",
+  "before (?:it is|it's|being) (?:made )?public",
+  "(?:strictly )?confidential(?:ly)?",
+  "in (?:strict )?confidence",
+  "embargoed",
+  "not for (?:onward )?distribution",
+  "(?:exclusively|only) (?:for|to) (?:you|our (?:key |selected |select )?(?:clients|investors|LPs))",
+  "privileged (?:information|access)",
+  "inside information",
+];
+
+const selectiveDisclosure = {
+  id: "compliance.selective-disclosure",
+  guideRule: "risk.no-non-public-metrics",
+  description:
+    "Do not share material information with some investors before it is public, or mark investor communications as confidential or exclusive.",
+  severity: "error",
+  check(statement) {
+    const re = new RegExp(`\\b(?:${SELECTIVE_DISCLOSURE_TERMS.join("|")})\\b`, "gi");
+    return [...statement.text.matchAll(re)].map((m) =>
+      flag(
+        this,
+        statement,
+        m.index,
+        m[0],
+        `"${m[0]}" suggests selective disclosure; only share information that has been made public to all investors.`
+      )
+    );
+  },
+};
+
+const NON_PUBLIC_METRIC_TERMS = [
+  "internal (?:valuation|projections?|forecasts?|estimates?|figures|numbers|metrics|model|budget)",
+  "management accounts",
+  "unaudited",
+  "draft (?:NAV|accounts|financials|valuation)",
+  "preliminary (?:NAV|results|figures|valuation)",
+  "(?:estimated|indicative) NAV",
+  "run-rate",
+  "pipeline value",
+  "budgeted",
+];
+
+const nonPublicMetric = {
+  id: "compliance.non-public-metric",
+  guideRule: "risk.no-non-public-metrics",
+  description:
+    "Do not disclose non-public or unaudited performance metrics unless the brief explicitly permits it.",
+  severity: "warning",
+  check(statement) {
+    const re = new RegExp(`(?<![\\w-])(?:${NON_PUBLIC_METRIC_TERMS.join("|")})(?![\\w-])`, "gi");
+    return [...statement.text.matchAll(re)].map((m) =>
+      flag(
+        this,
+        statement,
+        m.index,
+        m[0],
+        `"${m[0]}" looks like a non-public metric; confirm it may be disclosed or remove it.`
+      )
+    );
+  },
+};
+
+export const COMPLIANCE_RULES = [
+  forwardLookingUnhedged,
+  performanceClaim,
+  unattributedSuperlative,
+  selectiveDisclosure,
+  nonPublicMetric,
+];
+
+/**
+ * Rule catalogue without the check functions (safe to send as JSON).
+ */
+export function describeComplianceRules(rules = COMPLIANCE_RULES) {
+  return rules.map(({ id, description, severity, guideRule }) => ({
+    id,
+    description,
+    severity,
+    guideRule,
+  }));
+}
+
+/**
+ * Run the rules over split statements of `text`. Options:
+ * - ruleIds: only run these rules
+ *
+ * Flags are sorted by position.
+ */
+export function checkCompliance(text, statements, options = {}) {
+  const { ruleIds, rules = COMPLIANCE_RULES } = options;
+  const active = Array.isArray(ruleIds)
+    ? rules.filter((r) => ruleIds.includes(r.id))
+    : rules;
+  const context = { text: typeof text === "string" ? text : "" };
+
+  return statements
+    .flatMap((statement) => active.flatMap((rule) => rule.check(statement, context)))
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+}
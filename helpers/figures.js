@@ -0,0 +1,408 @@
+// helpers/figures.js
+//
+// Deterministic figure extraction and consistency checking. Pulls every
+// monetary amount, percentage, plain number, date, period and year out of
+// a text, normalises it ("$10m", "USD 10 million" and "10'000'000" all
+// become 10000000), and checks that each figure in a draft also appears
+// in the material it was written from (sources, notes).
+//
+// A figure is:
+//
+// {
+//   kind,        // "money" | "percent" | "number" | "date" | "period" | "year"
+//   raw,         // text as written
+//   start, end,  // UTF-16 offsets (end exclusive)
+//   value,       // number (money, percent, number, year) or string:
+//                //   date   "2024-03-15", or "2024-03" for month precision
+//                //   period "2024-Q1", "2024-H2", "FY2024"
+//   currency,    // ISO code for money ("USD"), null when not stated or ambiguous
+//   precision,   // rounding step implied by how the value is written
+//                // ("10m" -> 1000000, "10.2m" -> 100000, "12.5%" -> 0.1)
+// }
+
+import { CURRENCY_CODES, CURRENCY_SYMBOLS, MAGNITUDES } from "./numberFormat.js";
+
+export const MONTHS = [
+  "january", "february", "march", "april", "may", "june", "july",
+  "august", "september", "october", "november", "december",
+];
+const MONTH_RE = `(?:${MONTHS.map((m) => `${m[0].toUpperCase()}${m.slice(1)}`).join("|")}|(?:Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)\\.?)`;
+
+// Currency names written after the amount ("10 million euros").
+const CURRENCY_WORDS = [
+  ["US dollars", "USD"],
+  ["dollars", "USD"],
+  ["euros?", "EUR"],
+  ["pounds sterling", "GBP"],
+  ["sterling", "GBP"],
+  ["Swiss francs", "CHF"],
+  ["francs", "CHF"],
+  ["yen", "JPY"],
+];
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Digits with optional thousands separators (, ' ’ and narrow or
+// non-breaking spaces) and decimals.
+const NUMBER_SOURCE = String.raw`\d{1,3}(?:[,'’  ]\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?`;
+const PREFIX_SOURCE = [
+  ...CURRENCY_CODES,
+  ...CURRENCY_SYMBOLS.map(([s]) => escapeRegExp(s)),
+].join("|");
+// "m" doubles as metres ("5 m2", "5 M sq ft"), so it must not be followed
+// by an area unit.
+const MAGNITUDE_SOURCE = MAGNITUDES.map(([m]) =>
+  m === "m" ? "m(?!\\s?(?:sq|square|ft|feet)\\b)" : m
+).join("|");
+const SUFFIX_SOURCE = [...CURRENCY_CODES, ...CURRENCY_WORDS.map(([w]) => w)].join("|");
+const PERCENT_SOURCE = String.raw`%|\s?(?:per ?cent|percent|pct)\b`;
+
+function prefixCurrency(prefix) {
+  if (!prefix) return undefined;
+  if (CURRENCY_CODES.includes(prefix.toUpperCase())) return prefix.toUpperCase();
+  return CURRENCY_SYMBOLS.find(([s]) => s === prefix)?.[1] ?? null;
+}
+
+function suffixCurrency(suffix) {
+  if (!suffix) return undefined;
+  if (CURRENCY_CODES.includes(suffix.toUpperCase())) return suffix.toUpperCase();
+  return CURRENCY_WORDS.find(([w]) => new RegExp(`^${w}$`, "i").test(suffix))?.[1] ?? null;
+}
+
+function parseNumber(digits) {
+  const clean = digits.replace(/[,'’  ]/g, "");
+  const decimals = clean.includes(".") ? clean.split(".")[1].length : 0;
+  return { value: Number(clean), step: 10 ** -decimals };
+}
+
+function roundTo(value, step) {
+  // Keeps 10.2 * 1e6 from turning into 10199999.999999998.
+  return Number((Math.round(value / step) * step).toPrecision(12));
+}
+
+// --- Dates and periods ----------------------------------------------
+
+function monthIndex(name) {
+  const key = name.toLowerCase().replace(/\.$/, "").slice(0, 3);
+  return MONTHS.findIndex((m) => m.startsWith(key));
+}
+
+function isoDate(year, month, day) {
+  const mm = String(month + 1).padStart(2, "0");
+  if (day == null) return `${year}-${mm}`;
+  return `${year}-${mm}-${String(day).padStart(2, "0")}`;
+}
+
+function validDay(year, month, day) {
+  const d = new Date(Date.UTC(year, month, day));
+  return d.getUTCMonth() === month && d.getUTCDate() === day;
+}
+
+const DATE_PATTERNS = [
+  // 15 March 2024, 1st Sept. 2024
+  {
+    re: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTH_RE})\\s*,?\\s+(\\d{4})\\b`, "g"),
+    parse: (m) => [Number(m[3]), monthIndex(m[2]), Number(m[1])],
+  },
+  // March 15, 2024
+  {
+    re: new RegExp(`\\b(${MONTH_RE})\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, "g"),
+    parse: (m) => [Number(m[3]), monthIndex(m[1]), Number(m[2])],
+  },
+  // 2024-03-15
+  {
+    re: /\b(\d{4})-(\d{2})-(\d{2})\b/g,
+    parse: (m) => [Number(m[1]), Number(m[2]) - 1, Number(m[3])],
+  },
+  // 15.03.2024, 15/03/2024 (day first)
+  {
+    re: /\b(\d{1,2})[./](\d{1,2})[./](\d{4})\b/g,
+    parse: (m) => [Number(m[3]), Number(m[2]) - 1, Number(m[1])],
+  },
+  // March 2024
+  {
+    re: new RegExp(`\\b(${MONTH_RE})\\s+(\\d{4})\\b`, "g"),
+    parse: (m) => [Number(m[2]), monthIndex(m[1]), null],
+  },
+];
+
+const ORDINAL_QUARTERS = { first: 1, second: 2, third: 3, fourth: 4 };
+
+const PERIOD_PATTERNS = [
+  // Q1 2024, Q1'24, H2 2023
+  {
+    re: /\b([QH])([1-4])\s?(?:'|’)?(\d{4}|\d{2})\b/g,
+    parse: (m) => {
+      if (m[1] === "H" && Number(m[2]) > 2) return null;
+      const year = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+      return `${year}-${m[1]}${m[2]}`;
+    },
+  },
+  // first quarter of 2024
+  {
+    re: /\b(first|second|third|fourth) quarter (?:of )?(\d{4})\b/gi,
+    parse: (m) => `${m[2]}-Q${ORDINAL_QUARTERS[m[1].toLowerCase()]}`,
+  },
+  // FY2024, FY 2024, FY24
+  {
+    re: /\bFY\s?(\d{4}|\d{2})\b/g,
+    parse: (m) => `FY${m[1].length === 2 ? 2000 + Number(m[1]) : m[1]}`,
+  },
+];
+
+// --- Extraction -----------------------------------------------------
+
+function overlaps(taken, start, end) {
+  return taken.some(([s, e]) => start < e && end > s);
+}
+
+function numericFigures(text, taken) {
+  const re = new RegExp(
+    `(?:(?<![A-Za-z])(${PREFIX_SOURCE})\\s?)?` + // currency prefix
+      `(?<![\\d.,'’\\w])(${NUMBER_SOURCE})(?![\\d]|[.,]\\d)` + // amount
+      `(?:\\s?(${MAGNITUDE_SOURCE})(?![A-Za-z0-9²³]))?` + // magnitude
+      `(${PERCENT_SOURCE})?` + // percent
+      `(?:\\s(${SUFFIX_SOURCE})\\b)?`, // currency suffix
+    "gi"
+  );
+
+  const tokens = [];
+  for (const m of text.matchAll(re)) {
+    const [raw, prefix, digits, magnitude, percent, suffix] = m;
+    const start = m.index;
+    const end = start + raw.length;
+    if (overlaps(taken, start, end)) continue;
+
+    tokens.push({
+      start,
+      end,
+      raw,
+      digits,
+      magnitude: magnitude
+        ? MAGNITUDES.find(([name]) => name === magnitude.toLowerCase())?.[1]
+        : null,
+      percent: Boolean(percent),
+      // undefined: no currency stated; null: stated but ambiguous (¥).
+      currency: prefix ? prefixCurrency(prefix) : suffixCurrency(suffix),
+    });
+  }
+
+  // Ranges share their unit: "$10-15m", "10 to 12%", "EUR 5-6 million".
+  for (let i = 0; i + 1 < tokens.length; i++) {
+    const a = tokens[i];
+    const b = tokens[i + 1];
+    const between = text.slice(a.end, b.start);
+    if (!/^\s?(?:-|–|to)\s?$/.test(between)) continue;
+
+    if (!a.magnitude && !a.percent && a.currency === undefined) {
+      a.magnitude = b.magnitude;
+      a.percent = b.percent;
+      a.currency = b.currency;
+    } else if (!a.magnitude && !a.percent) {
+      a.magnitude = b.magnitude;
+    }
+    if (b.currency === undefined) b.currency = a.currency;
+  }
+
+  return tokens.map((t) => {
+    const { value, step } = parseNumber(t.digits);
+    const scale = t.magnitude || 1;
+    const base = { raw: t.raw, start: t.start, end: t.end };
+
+    if (t.percent) {
+      return { ...base, kind: "percent", value, currency: null, precision: step };
+    }
+    if (t.currency !== undefined) {
+      return {
+        ...base,
+        kind: "money",
+        value: roundTo(value * scale, step * scale),
+        currency: t.currency,
+        precision: step * scale,
+      };
+    }
+    if (!t.magnitude && /^(?:19|20)\d{2}$/.test(t.digits)) {
+      return { ...base, kind: "year", value, currency: null, precision: 1 };
+    }
+    return {
+      ...base,
+      kind: "number",
+      value: roundTo(value * scale, step * scale),
+      currency: null,
+      precision: step * scale,
+    };
+  });
+}
+
+/**
+ * Every figure in `text`, in order of appearance.
+ */
+export function extractFigures(input) {
+  const text = typeof input === "string" ? input : "";
+  const figures = [];
+  const taken = [];
+
+  for (const { re, parse } of DATE_PATTERNS) {
+    for (const m of text.matchAll(re)) {
+      const end = m.index + m[0].length;
+      if (overlaps(taken, m.index, end)) continue;
+      const [year, month, day] = parse(m);
+      if (month < 0 || month > 11) continue;
+      if (day != null && !validDay(year, month, day)) continue;
+
+      taken.push([m.index, end]);
+      figures.push({
+        kind: "date",
+        raw: m[0],
+        start: m.index,
+        end,
+        value: isoDate(year, month, day),
+        currency: null,
+        precision: null,
+      });
+    }
+  }
+
+  for (const { re, parse } of PERIOD_PATTERNS) {
+    for (const m of text.matchAll(re)) {
+      const end = m.index + m[0].length;
+      if (overlaps(taken, m.index, end)) continue;
+      const value = parse(m);
+      if (!value) continue;
+
+      taken.push([m.index, end]);
+      figures.push({
+        kind: "period",
+        raw: m[0],
+        start: m.index,
+        end,
+        value,
+        currency: null,
+        precision: null,
+      });
+    }
+  }
+
+  figures.push(...numericFigures(text, taken));
+  return figures.sort((a, b) => a.start - b.start);
+}
+
+// --- Matching -------------------------------------------------------
+
+function sameAmount(draft, ref) {
+  // The draft may round what the reference states, never the reverse.
+  return Math.abs(draft.value - ref.value) <= draft.precision / 2 + 1e-9;
+}
+
+function yearOf(figure) {
+  if (figure.kind === "year") return figure.value;
+  if (figure.kind === "date" || figure.kind === "period") {
+    const m = String(figure.value).match(/\d{4}/);
+    return m ? Number(m[0]) : null;
+  }
+  return null;
+}
+
+// "match", "currency" (same amount, different currency) or null.
+function compare(draft, ref) {
+  switch (draft.kind) {
+    case "money":
+      if (ref.kind !== "money" && ref.kind !== "number") return null;
+      if (!sameAmount(draft, ref)) return null;
+      if (ref.kind === "money" && draft.currency && ref.currency && draft.currency !== ref.currency) {
+        return "currency";
+      }
+      return "match";
+    case "number":
+      return (ref.kind === "number" || ref.kind === "money") && sameAmount(draft, ref)
+        ? "match"
+        : null;
+    case "percent":
+      return ref.kind === "percent" && sameAmount(draft, ref) ? "match" : null;
+    case "date":
+      // "March 2024" is backed by any date in that month.
+      return ref.kind === "date" && String(ref.value).startsWith(draft.value) ? "match" : null;
+    case "period":
+      return ref.kind === "period" && ref.value === draft.value ? "match" : null;
+    case "year":
+      return yearOf(ref) === draft.value ? "match" : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check every figure in `draftText` against `references`
+ * ([{ id, text }], e.g. sources as S1..Sn and notes as N).
+ *
+ * Each draft figure gets a status:
+ * - "matched":           the same value appears in a reference
+ * - "currency_mismatch": the amount appears, but in another currency
+ * - "unmatched":         no reference contains it
+ * and `matches`: [{ referenceId, raw, start, end }] (offsets into that
+ * reference's text). Options:
+ * - statements: split statements of the draft (api/lib/statements.js);
+ *   when given, each figure carries the `statementId` it falls in
+ */
+export function checkFigures(draftText, references = [], { statements } = {}) {
+  const refFigures = references.flatMap((ref) =>
+    extractFigures(ref.text).map((f) => ({ ...f, referenceId: ref.id }))
+  );
+
+  const figures = extractFigures(draftText).map((figure) => {
+    const results = refFigures
+      .map((ref) => ({ ref, result: compare(figure, ref) }))
+      .filter((r) => r.result);
+    const matches = results.filter((r) => r.result === "match");
+    const shown = matches.length > 0 ? matches : results;
+
+    const statement = Array.isArray(statements)
+      ? statements.find((s) => figure.start >= s.start && figure.start < s.end)
+      : null;
+
+    return {
+      ...figure,
+      ...(Array.isArray(statements) ? { statementId: statement ? statement.id : null } : {}),
+      status:
+        matches.length > 0 ? "matched" : results.length > 0 ? "currency_mismatch" : "unmatched",
+      matches: shown.map(({ ref }) => ({
+        referenceId: ref.referenceId,
+        raw: ref.raw,
+        start: ref.start,
+        end: ref.end,
+      })),
+    };
+  });
+
+  const byKind = {};
+  for (const f of figures) {
+    byKind[f.kind] = byKind[f.kind] || { total: 0, flagged: 0 };
+    byKind[f.kind].total += 1;
+    if (f.status !== "matched") byKind[f.kind].flagged += 1;
+  }
+
+  return {
+    figures,
+    summary: {
+      total: figures.length,
+      matched: figures.filter((f) => f.status === "matched").length,
+      flagged: figures.filter((f) => f.status !== "matched").length,
+      byKind,
+    },
+  };
+}
+
+/**
+ * References for checkFigures() from a request's `sources` (S1..Sn, the
+ * same IDs as /api/generate) and drafting `notes` (N).
+ */
+export function figureReferences({ sources, notes }) {
+  const refs = (Array.isArray(sources) ? sources : []).map((s, idx) => ({
+    id: `S${idx + 1}`,
+    text: typeof s?.text === "string" ? s.text : "",
+  }));
+  if (typeof notes === "string" && notes.trim()) refs.push({ id: "N", text: notes });
+  return refs;
+}
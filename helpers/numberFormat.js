@@ -0,0 +1,330 @@
+// helpers/numberFormat.js
+//
+// Currency and number normalisation for model output. One module owns the
+// currency tables and the rules for writing amounts, so the style-rule
+// engine (helpers/styleRules.js), and through it every endpoint's
+// post-processing (applyStyleGuide), and the figure checker
+// (helpers/figures.js) read numbers the same way.
+//
+// findCurrencyFixes()   symbols -> ISO codes, magnitude suffixes -> words,
+//                       ranges: "$10-15m" -> "USD 10-15 million",
+//                       "£2.5k" -> "GBP 2500", "10m CHF" -> "CHF 10 million"
+// findSeparatorFixes()  thousands separators per style guide (default
+//                       apostrophe: 5'500'000); calendar years are never
+//                       grouped, and only amounts (with a currency or
+//                       magnitude) get an automatic fix
+// normaliseNumbers()    both, applied to a text
+//
+// The find* functions return edits:
+//
+//   { start, end, match, replacement, message }
+//
+// with `replacement` null when the text should change but cannot be fixed
+// safely (an ambiguous symbol such as "¥").
+
+export const CURRENCY_CODES = [
+  "USD", "EUR", "GBP", "CHF", "JPY", "CNY", "HKD", "SGD", "AUD", "CAD",
+  "NZD", "SEK", "NOK", "DKK", "INR", "BRL",
+];
+
+// Symbol prefixes, longest first so "US$" wins over "$". null: ambiguous.
+export const CURRENCY_SYMBOLS = [
+  ["US$", "USD"],
+  ["HK$", "HKD"],
+  ["NZ$", "NZD"],
+  ["JP¥", "JPY"],
+  ["CN¥", "CNY"],
+  ["R$", "BRL"],
+  ["S$", "SGD"],
+  ["A$", "AUD"],
+  ["C$", "CAD"],
+  ["$", "USD"],
+  ["€", "EUR"],
+  ["£", "GBP"],
+  ["₹", "INR"],
+  ["¥", null], // JPY or CNY
+];
+
+// Magnitude suffixes and words, longest first. Single letters only count
+// directly after the digits ("10m", not "10 m").
+export const MAGNITUDES = [
+  ["trillion", 1e12, "trillion"],
+  ["billion", 1e9, "billion"],
+  ["million", 1e6, "million"],
+  ["thousand", 1e3, "thousand"],
+  ["trn", 1e12, "trillion"],
+  ["tn", 1e12, "trillion"],
+  ["bn", 1e9, "billion"],
+  ["mn", 1e6, "million"],
+  ["mm", 1e6, "million"],
+  ["b", 1e9, "billion"],
+  ["m", 1e6, "million"],
+  ["k", 1e3, "thousand"],
+];
+
+// Thousands separators in the wild: comma, apostrophes, no-break spaces.
+const SEPARATOR_CHARS = [",", "'", "’", "\u00a0", "\u202f"];
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Digits grouped in threes with `separator` ("5500000" -> "5'500'000").
+ * Decimals are left alone.
+ */
+export function groupThousands(number, separator = "'") {
+  const [int, dec] = number.split(".");
+  const grouped = int.replace(/\B(?=(\d{3})+(?!\d))/g, separator);
+  return dec === undefined ? grouped : `${grouped}.${dec}`;
+}
+
+function stripSeparators(number) {
+  return number.replace(/[,'’\u00a0\u202f]/g, "");
+}
+
+function isYear(digits) {
+  return /^(?:1[89]|2[01])\d{2}$/.test(digits);
+}
+
+// --- Currencies and magnitudes ---------------------------------------
+
+const AMOUNT = String.raw`\d{1,3}(?:[,'’\u00a0\u202f]\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?`;
+const PREFIX = [...CURRENCY_CODES, ...CURRENCY_SYMBOLS.map(([s]) => escapeRegExp(s))].join("|");
+// Case-insensitive alternatives without the "i" flag (currency codes are
+// upper case only): "m" -> "[mM]". Words, "bn" and "mn" may follow a space.
+const MAGNITUDE = MAGNITUDES.map(([m]) => {
+  const caseless = [...m].map((c) => `[${c}${c.toUpperCase()}]`).join("");
+  return m.length > 3 || m === "bn" || m === "mn" ? `\\s?${caseless}` : caseless;
+}).join("|");
+const FIRST_AMOUNT_RE = new RegExp(`^(?:(?:${PREFIX})\\s?)?(?:${AMOUNT})(?:${MAGNITUDE})?`, "u");
+
+// prefix? amount magnitude? (range: dash prefix? amount magnitude?)? suffix-code?
+const MONEY_RE = new RegExp(
+  `(?<![\\p{L}\\p{N}$€£¥₹])(?:(${PREFIX})\\s?)?` +
+    `(?<![\\d.,'’])(${AMOUNT})(?![\\d]|[.,]\\d)(${MAGNITUDE})?(?![\\p{L}\\p{N}])` +
+    `(?:(\\s?[-–]\\s?)(?:(${PREFIX})\\s?)?(${AMOUNT})(?![\\d]|[.,]\\d)(${MAGNITUDE})?(?![\\p{L}\\p{N}]))?` +
+    `(?:\\s(${CURRENCY_CODES.join("|")})(?![\\p{L}\\p{N}]))?`,
+  "gu"
+);
+
+function currencyFor(token, symbolCurrencies) {
+  if (!token) return undefined;
+  if (CURRENCY_CODES.includes(token)) return token;
+  if (symbolCurrencies && token in symbolCurrencies) return symbolCurrencies[token];
+  return CURRENCY_SYMBOLS.find(([s]) => s === token)?.[1] ?? null;
+}
+
+function magnitudeFor(suffix) {
+  if (!suffix) return null;
+  const key = suffix.trim().toLowerCase();
+  const entry = MAGNITUDES.find(([m]) => m === key);
+  return entry ? { factor: entry[1], word: entry[2] } : null;
+}
+
+// "2.5" + thousand -> "2500"; other magnitudes stay as words.
+function writeAmount(amount, magnitude) {
+  if (magnitude?.word === "thousand") {
+    const [int, dec = ""] = stripSeparators(amount).split(".");
+    return (int + dec.padEnd(3, "0").slice(0, 3) + (dec.length > 3 ? `.${dec.slice(3)}` : ""))
+      .replace(/^0+(?=\d)/, "");
+  }
+  return amount;
+}
+
+function writeSide(amount, magnitude) {
+  const written = writeAmount(amount, magnitude);
+  return magnitude && magnitude.word !== "thousand" ? `${written} ${magnitude.word}` : written;
+}
+
+/**
+ * Amounts with a currency: symbols become ISO codes placed before the
+ * amount, magnitude suffixes become words ("m" -> "million"; "k" is
+ * multiplied out), and ranges share one code and magnitude ("$10-15m" ->
+ * "USD 10-15 million"). Only "-" and "–" make a range: "from $5m to $7m"
+ * and "$10 to 20 people" keep their wording. Options:
+ * - symbolCurrencies: per-guide symbol overrides, e.g. { "$": "SGD", "¥": "JPY" }
+ *
+ * Amounts that already read "USD 10 million" produce no edit.
+ */
+export function findCurrencyFixes(text, { symbolCurrencies } = {}) {
+  const edits = [];
+
+  for (const m of (typeof text === "string" ? text : "").matchAll(MONEY_RE)) {
+    let [match, prefixA, amountA, magA, dash, prefixB, amountB, magB, suffix] = m;
+
+    // "$10m – 2025" is an amount followed by a year, not a range.
+    if (amountB !== undefined && !prefixB && !magB && (magA || isYear(amountB))) {
+      match = match.match(FIRST_AMOUNT_RE)[0];
+      [dash, amountB, suffix] = [undefined, undefined, undefined];
+    }
+
+    const codeA = currencyFor(prefixA, symbolCurrencies);
+    const codeB = currencyFor(prefixB, symbolCurrencies);
+    const codeSuffix = currencyFor(suffix, symbolCurrencies);
+    const stated = [codeA, codeB, codeSuffix].filter((c) => c !== undefined);
+
+    // Plain numbers, and ranges of plain numbers, are not amounts.
+    if (stated.length === 0) continue;
+
+    // A range needs one currency; "USD 5-EUR 6" is left alone.
+    const known = [...new Set(stated.filter(Boolean))];
+    if (known.length > 1) continue;
+
+    const end = m.index + match.length;
+    const code = known[0] || null;
+    if (!code) {
+      const symbol = [prefixA, prefixB].find((p) => p && currencyFor(p, symbolCurrencies) === null);
+      edits.push({
+        start: m.index,
+        end,
+        match,
+        replacement: null,
+        message: `Replace "${symbol}" with a currency code; the currency is ambiguous, so confirm it first.`,
+      });
+      continue;
+    }
+
+    const mA = magnitudeFor(magA);
+    const mB = magnitudeFor(magB);
+    let replacement;
+    if (amountB === undefined) {
+      replacement = `${code} ${writeSide(amountA, mA)}`;
+    } else if (!mA || (mB && mA.factor === mB.factor)) {
+      // "10-15m": the second side's magnitude covers both.
+      const shared = mB || mA;
+      const left = writeAmount(amountA, shared);
+      const right = writeSide(amountB, shared);
+      replacement = `${code} ${left}-${right}`;
+    } else {
+      replacement = `${code} ${writeSide(amountA, mA)}-${writeSide(amountB, mB)}`;
+    }
+
+    if (replacement === match) continue;
+
+    const parts = [];
+    if ([prefixA, prefixB].some((p) => p && !CURRENCY_CODES.includes(p)) || suffix) {
+      parts.push("use the currency code before the amount");
+    }
+    if ((mA && magA.trim() !== mA.word) || (mB && magB.trim() !== mB.word)) {
+      parts.push("write the magnitude out");
+    }
+    if (dash && dash !== "-") parts.push('write ranges with "-"');
+
+    edits.push({
+      start: m.index,
+      end,
+      match,
+      replacement,
+      message: `${parts.length > 0 ? `${parts[0][0].toUpperCase()}${parts.join("; ").slice(1)}: ` : ""}"${replacement}".`,
+    });
+  }
+
+  return edits;
+}
+
+// --- Thousands separators -------------------------------------------
+
+// Text around a number that makes it an amount: a currency before it
+// (also across a range, "USD 10,000-15,000"), or a magnitude or currency
+// code after it.
+const AMOUNT_BEFORE_RE = new RegExp(
+  `(?:${PREFIX})\\s?(?:(?:${AMOUNT})\\s?(?:-|–|to)\\s?)?$`,
+  "u"
+);
+const AMOUNT_AFTER_RE = new RegExp(
+  `^(?:(?:${MAGNITUDE})|\\s(?:${CURRENCY_CODES.join("|")}))(?![\\p{L}\\p{N}])`,
+  "u"
+);
+
+function isAmountAt(source, start, end) {
+  return (
+    AMOUNT_BEFORE_RE.test(source.slice(Math.max(0, start - 40), start)) ||
+    AMOUNT_AFTER_RE.test(source.slice(end, end + 12))
+  );
+}
+
+/**
+ * Numbers whose thousands separators do not match `thousandsSeparator`
+ * (default apostrophe). Grouped numbers with another separator are
+ * regrouped; ungrouped numbers of 5+ digits are grouped. 4-digit numbers
+ * are usually years and are only grouped when they follow a currency
+ * code or symbol ("USD 5500" -> "USD 5'500", "2025" stays).
+ *
+ * Only amounts get a replacement. Other numbers may be identifiers
+ * ("ID 123456", account or reference numbers), so their edits carry
+ * `replacement: null` and are left for the writer.
+ */
+export function findSeparatorFixes(text, { thousandsSeparator: sep = "'" } = {}) {
+  const source = typeof text === "string" ? text : "";
+  const edits = [];
+  const wrong = SEPARATOR_CHARS.filter((s) => s !== sep).map(escapeRegExp).join("|");
+  const currencyBefore = new RegExp(`(?:${PREFIX})\\s?$`);
+  const edit = (m, replacement, message) => {
+    const end = m.index + m[0].length;
+    const amount = isAmountAt(source, m.index, end);
+    return {
+      start: m.index,
+      end,
+      match: m[0],
+      replacement: amount ? replacement : null,
+      message: amount ? message : `${message} Check it is an amount, not an identifier, first.`,
+    };
+  };
+
+  // Grouped with a wrong separator: 1,500,000 / 12’500 / 12 500
+  const grouped = new RegExp(
+    `(?<![\\d.,'’\u00a0\u202f])\\d{1,3}(?:(?:${wrong})\\d{3})+(?![\\d'’]|[,\u00a0\u202f]\\d)`,
+    "g"
+  );
+  for (const m of source.matchAll(grouped)) {
+    const digits = stripSeparators(m[0]);
+
+    const replacement = groupThousands(digits, sep);
+    if (replacement === m[0]) continue;
+    edits.push(edit(m, replacement, `Use "${sep}" as the thousands separator.`));
+  }
+
+  // Ungrouped: 5+ digits, or 4 digits after a currency.
+  for (const m of source.matchAll(/(?<![\d.,'’\p{L}#+-])\d{4,}(?![\d\p{L}]|[.,'’]\d)/gu)) {
+    const isAmount = currencyBefore.test(source.slice(Math.max(0, m.index - 4), m.index));
+    if (m[0].length === 4 && !isAmount) continue;
+
+    edits.push(edit(m, groupThousands(m[0], sep), `Add "${sep}" thousands separators to large numbers.`));
+  }
+
+  return edits.sort((a, b) => a.start - b.start);
+}
+
+// --- Applying -------------------------------------------------------
+
+function applyEdits(text, edits) {
+  let out = text;
+  let cursor = Infinity;
+  for (const e of [...edits].sort((a, b) => b.start - a.start)) {
+    if (e.replacement === null || e.end > cursor) continue;
+    out = out.slice(0, e.start) + e.replacement + out.slice(e.end);
+    cursor = e.start;
+  }
+  return out;
+}
+
+/**
+ * Normalise every amount in `text`: currency codes and magnitudes first,
+ * then thousands separators. Options are those of findCurrencyFixes() and
+ * findSeparatorFixes().
+ *
+ * Returns { text, edits } (edits of both passes, each against the text it
+ * was applied to).
+ */
+export function normaliseNumbers(text, options = {}) {
+  const source = typeof text === "string" ? text : "";
+  const currencyEdits = findCurrencyFixes(source, options);
+  const afterCurrency = applyEdits(source, currencyEdits);
+  const separatorEdits = findSeparatorFixes(afterCurrency, options);
+
+  return {
+    text: applyEdits(afterCurrency, separatorEdits),
+    edits: [...currencyEdits, ...separatorEdits],
+  };
+}
@@ -1,14 +1,323 @@
 // helpers/promptRecipes.js
+//
+// Prompt recipes, one per output type. /api/generate resolves every entry
+// of `selectedTypes` to a recipe:
+//
+//   {
+//     label,          // human-readable name
+//     systemPrompt,   // role / voice for the model
+//     template,       // user prompt template (helpers/template.js, variables
+//                     // in RECIPE_TEMPLATE_VARIABLES); optional, defaults to
+//                     // DEFAULT_RECIPE_TEMPLATE
+//     task,           // one-line drafting task, available as {{task}}
+//     maxWords,       // default length when the request sends no maxWords
+//     temperature,
+//     structure,      // list of structure expectations, rendered as bullets
+//   }
+//
+// Built-in recipes live below. More can be added without code changes by
+// pointing PROMPT_RECIPES_FILE at a JSON file of the same shape keyed by
+// output type ({ "investor_letter": { ... } }); entries there replace
+// built-ins with the same key. Code can also call registerPromptRecipe().
+
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { templateVariables } from "./template.js";
+
+// Output type used when the request selects none.
+export const DEFAULT_OUTPUT_TYPE = "generic";
+
+const DEFAULT_TEMPERATURE = 0.4;
+
+// Values /api/generate passes to recipe templates (helpers/template.js).
+// Templates are checked against this list when a recipe is registered.
+//
+//   scenario       scenario description (string)
+//   facts          [{ label, value }] from the scenario's structured fields
+//   guidance       scenario drafting guidance (array of strings)
+//   disclosures    scenario disclosure reminders (array of strings)
+//   outputType     label of this recipe's output type
+//   outputTypes    labels of every selected output type (array)
+//   versionType, title, notes, task   strings ("" when not given)
+//   maxWords       target length (number or null)
+//   sources        [{ id, number, name, url, text }] (id: "S1", "S2", ...)
+//   webSources     [{ id, title, url, snippet }]
+//   structure      [{ label, heading, lines: [string] }], one entry per
+//                  output type that declares structure expectations;
+//                  heading is the label when there are several, else null
+export const RECIPE_TEMPLATE_VARIABLES = [
+  "scenario",
+  "facts",
+  "guidance",
+  "disclosures",
+  "outputType",
+  "outputTypes",
+  "versionType",
+  "title",
+  "notes",
+  "task",
+  "maxWords",
+  "sources",
+  "webSources",
+  "structure",
+];
+
+export const DEFAULT_RECIPE_TEMPLATE = `SCENARIO DESCRIPTION:
+{{scenario}}
+
+{{#if facts}}
+KEY FACTS (structured input from the writer; use these values exactly):
+| Field | Value |
+| --- | --- |
+{{#each facts}}
+| {{label}} | {{value}} |
+{{/each}}
+
+{{/if}}
+OUTPUT TYPES:
+{{outputTypes | join: ", "}}
+
+VERSION TYPE:
+{{versionType | default: "[not specified]"}}
+
+TITLE / HEADING:
+{{title | default: "[no explicit title provided]"}}
+
+DRAFTING NOTES FROM USER:
+{{notes | default: "[no additional drafting notes provided]"}}
+
+SOURCE EXCERPTS:
+{{#each sources}}
+SOURCE {{id}}: {{name}}{{#if url}} ({{url}}){{/if}}
+{{text | truncate: 1500 | default: "[no text excerpt provided]"}}
+
+{{else}}
+{{#unless webSources}}
+[no source excerpts were provided]
+
+{{/unless}}
+{{/each}}
+{{#if webSources}}
+The following web search results are public context only. If they conflict with the notes or the sources above, follow the notes and sources.
+
+{{#each webSources}}
+WEB SOURCE {{id}}: {{title}} ({{url}})
+{{snippet | truncate: 1000 | default: "[no snippet returned]"}}
+
+{{/each}}
+{{/if}}
+EXPECTED STRUCTURE:
+{{#each structure}}
+{{#if heading}}
+{{heading}}:
+{{/if}}
+{{#each lines}}
+- {{this}}
+{{/each}}
+{{else}}
+[no fixed structure; organise the text as the content requires]
+{{/each}}
+
+{{#if guidance}}
+SCENARIO GUIDANCE:
+{{#each guidance}}
+- {{this}}
+{{/each}}
+
+{{/if}}
+{{#if disclosures}}
+DISCLOSURE REMINDERS:
+{{#each disclosures}}
+- {{this}}
+{{/each}}
+
+{{/if}}
+INSTRUCTIONS:
+{{#if maxWords}}
+Aim for approximately {{maxWords}} words, but prefer clarity over hitting the exact word count.
+{{else}}
+Aim for a concise but complete draft.
+{{/if}}
+{{#if task}}
+{{task}}
+{{/if}}
+Do not invent specific numbers, dates, valuations or party names that are not mentioned in the key facts, notes or sources.
+If you need to generalise (for example, about performance or pipeline), keep the language high-level and clearly non-specific.
+Write in polished, professional business English suitable for sophisticated institutional investors.`;
 
 export const PROMPT_RECIPES = {
   generic: {
-    systemPrompt:
-      "You are an experienced investment writer who produces clear, neutral, institutional-grade text.",
-    templates: {
-      press_release:
-        "Write an investment-focused press release based on the following information.\\n\\nTitle: {{title}}\\n\\nNotes: {{notes}}\\n\\nSource text:\\n{{text}}\\n\\nScenario: {{scenario}}",
-      transaction_text:
-        "Write an internal transaction commentary based on the following information.\\n\\nNotes: {{notes}}\\n\\nSource text:\\n{{text}}\\n\\nScenario: {{scenario}}"
+    label: "General draft",
+    systemPrompt: [
+      "You are a specialist writer for private markets and asset management.",
+      "You write investor-facing text based on structured inputs: scenario, title, notes, output types, and attached source excerpts.",
+      "If there is any ambiguity, prioritise being accurate and transparent over sounding promotional.",
+    ].join("\n\n"),
+    task: "Use the information above to draft a single coherent piece of text that fits the scenario and output types.",
+    maxWords: null,
+    temperature: DEFAULT_TEMPERATURE,
+    structure: [],
+  },
+
+  press_release: {
+    label: "Press release",
+    systemPrompt: [
+      "You are an experienced investment writer who produces clear, neutral, institutional-grade press releases.",
+      "Press releases are public: every fact must be supported by the notes or sources, and nothing confidential may be disclosed.",
+    ].join("\n\n"),
+    task: "Write an investment-focused press release based on the information above.",
+    maxWords: 400,
+    temperature: 0.4,
+    structure: [
+      "A headline of one sentence stating what happened.",
+      "A lead paragraph covering who, what, when and (if given) where.",
+      "2-4 short body paragraphs with supporting detail and rationale.",
+      "Quotes only if they appear in the notes or sources; never invent a quote.",
+      'An "About" paragraph only if boilerplate is provided in the notes or sources.',
+    ],
+  },
+
+  transaction_text: {
+    label: "Transaction text",
+    systemPrompt: [
+      "You are an experienced investment writer who produces concise internal transaction commentary for investment committees and client teams.",
+      "The audience is internal: be factual and direct, and flag open points rather than smoothing them over.",
+    ].join("\n\n"),
+    task: "Write an internal transaction commentary based on the information above.",
+    maxWords: 250,
+    temperature: 0.3,
+    structure: [
+      "One opening paragraph summarising the transaction.",
+      "Key terms (parties, amount, structure, timing) as they appear in the notes or sources.",
+      "Investment rationale in 2-3 sentences.",
+      "Open points or next steps, if any are mentioned.",
+    ],
+  },
+};
+
+const RECIPES = new Map();
+
+function validateRecipe(id, recipe) {
+  const problems = [];
+  if (!recipe || typeof recipe !== "object") {
+    problems.push("recipe must be an object");
+  } else {
+    if (typeof recipe.systemPrompt !== "string" || !recipe.systemPrompt.trim()) {
+      problems.push("systemPrompt must be a non-empty string");
+    }
+    if (recipe.template !== undefined && typeof recipe.template !== "string") {
+      problems.push("template must be a string");
+    }
+    if (recipe.task !== undefined && typeof recipe.task !== "string") {
+      problems.push("task must be a string");
+    }
+    if (
+      recipe.maxWords != null &&
+      !(Number.isInteger(recipe.maxWords) && recipe.maxWords > 0)
+    ) {
+      problems.push("maxWords must be a positive integer");
+    }
+    if (
+      recipe.temperature !== undefined &&
+      !(typeof recipe.temperature === "number" && recipe.temperature >= 0 && recipe.temperature <= 2)
+    ) {
+      problems.push("temperature must be a number between 0 and 2");
+    }
+    if (
+      recipe.structure !== undefined &&
+      !(Array.isArray(recipe.structure) && recipe.structure.every((s) => typeof s === "string"))
+    ) {
+      problems.push("structure must be an array of strings");
     }
   }
-};
+
+  if (problems.length === 0 && recipe.template !== undefined) {
+    try {
+      const unknown = templateVariables(recipe.template).filter(
+        (name) => !RECIPE_TEMPLATE_VARIABLES.includes(name)
+      );
+      if (unknown.length > 0) {
+        problems.push(`template uses unknown variable(s): ${unknown.join(", ")}`);
+      }
+    } catch (err) {
+      problems.push(`template: ${err.message}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid prompt recipe "${id}": ${problems.join("; ")}`);
+  }
+}
+
+/**
+ * Add (or replace) the recipe for an output type.
+ */
+export function registerPromptRecipe(id, recipe) {
+  if (typeof id !== "string" || !id.trim()) {
+    throw new Error("A prompt recipe needs a string id");
+  }
+  validateRecipe(id, recipe);
+
+  RECIPES.set(id, {
+    id,
+    label: recipe.label || id,
+    systemPrompt: recipe.systemPrompt,
+    template: recipe.template || DEFAULT_RECIPE_TEMPLATE,
+    task: recipe.task || "",
+    maxWords: recipe.maxWords ?? null,
+    temperature: recipe.temperature ?? DEFAULT_TEMPERATURE,
+    structure: recipe.structure || [],
+  });
+}
+
+for (const [id, recipe] of Object.entries(PROMPT_RECIPES)) {
+  registerPromptRecipe(id, recipe);
+}
+
+// Recipes from PROMPT_RECIPES_FILE, read once at cold start so a broken
+// file fails loudly instead of on the first matching request.
+if (process.env.PROMPT_RECIPES_FILE) {
+  const file = path.resolve(process.cwd(), process.env.PROMPT_RECIPES_FILE);
+  const extra = JSON.parse(readFileSync(file, "utf8"));
+  for (const [id, recipe] of Object.entries(extra || {})) {
+    registerPromptRecipe(id, recipe);
+  }
+}
+
+export function listPromptRecipes() {
+  return [...RECIPES.values()].map(({ id, label, maxWords, temperature, structure }) => ({
+    id,
+    label,
+    maxWords,
+    temperature,
+    structure,
+  }));
+}
+
+/**
+ * Resolve output type IDs to recipes. An empty list resolves to the
+ * generic recipe.
+ *
+ * Throws an Error with code "unknown_output_type" (and `unknown`,
+ * `available` lists) when any ID has no recipe.
+ */
+export function resolvePromptRecipes(outputTypes) {
+  const ids =
+    Array.isArray(outputTypes) && outputTypes.length > 0
+      ? [...new Set(outputTypes)]
+      : [DEFAULT_OUTPUT_TYPE];
+
+  const unknown = ids.filter((id) => typeof id !== "string" || !RECIPES.has(id));
+  if (unknown.length > 0) {
+    const available = [...RECIPES.keys()];
+    const err = new Error(
+      `Unknown output type(s): ${unknown.join(", ")}. Available: ${available.join(", ")}`
+    );
+    err.code = "unknown_output_type";
+    err.unknown = unknown;
+    err.available = available;
+    throw err;
+  }
+
+  return ids.map((id) => RECIPES.get(id));
+}
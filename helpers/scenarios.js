@@ -0,0 +1,417 @@
+// helpers/scenarios.js
+//
+// Scenario registry. Each scenario declares:
+//
+//   {
+//     label, description,   // description goes into the prompt
+//     searchHint,           // extra terms for publicSearch queries
+//     fields: [             // structured facts the writer fills in
+//       { id, label, type, required?, options?, help? }
+//     ],
+//     guidance: [string],   // per-scenario drafting guidance
+//     disclosures: [string] // disclosure reminders
+//   }
+//
+// Field types:
+//   text     non-empty string
+//   number   finite number (numeric strings accepted)
+//   percent  number, rendered with "%"
+//   date     "YYYY-MM-DD"
+//   money    { amount, currency } with a 3-letter ISO currency code
+//   enum     one of `options`
+//
+// Built-ins live below; SCENARIOS_FILE can point at a JSON file of extra
+// scenarios keyed by ID (replacing built-ins with the same ID). The
+// registry is served by GET /api/scenarios so the frontend can build
+// its forms from it.
+
+import { readFileSync } from "node:fs";
+import path from "node:path";
+
+// Scenario used when the request names none.
+export const DEFAULT_SCENARIO_ID = "general";
+
+const FIELD_TYPES = ["text", "number", "percent", "date", "money", "enum"];
+const MAX_TEXT_CHARS = 500;
+
+export const SCENARIOS = {
+  general: {
+    label: "General communication",
+    description: "General private markets communication.",
+    searchHint: "",
+    fields: [],
+    guidance: [],
+    disclosures: [],
+  },
+
+  new_investment: {
+    label: "New investment",
+    description: "New direct investment announcement or description.",
+    searchHint: "investment",
+    fields: [
+      { id: "investeeName", label: "Investee name", type: "text", required: true },
+      { id: "investmentAmount", label: "Investment amount", type: "money" },
+      { id: "announcementDate", label: "Announcement date", type: "date" },
+      { id: "sector", label: "Sector", type: "text" },
+      { id: "region", label: "Region", type: "text" },
+      {
+        id: "transactionStatus",
+        label: "Transaction status",
+        type: "enum",
+        options: ["signed", "closed"],
+      },
+      { id: "coInvestors", label: "Co-investors", type: "text" },
+    ],
+    guidance: [
+      "Lead with the investee and what was agreed.",
+      "Describe the business in one or two neutral sentences before the investment rationale.",
+      "Keep the rationale to points supported by the notes or sources.",
+    ],
+    disclosures: [
+      "Do not state the investment amount or valuation unless it is given in the key facts.",
+      "If the transaction has signed but not closed, say it remains subject to customary closing conditions.",
+    ],
+  },
+
+  exit_realisation: {
+    label: "Exit / realisation",
+    description: "Direct investment exit or realisation update.",
+    searchHint: "exit sale",
+    fields: [
+      { id: "investeeName", label: "Investee name", type: "text", required: true },
+      {
+        id: "exitType",
+        label: "Exit type",
+        type: "enum",
+        options: ["full_sale", "partial_sale", "ipo", "recapitalisation"],
+        required: true,
+      },
+      { id: "buyer", label: "Buyer", type: "text" },
+      { id: "proceeds", label: "Proceeds", type: "money" },
+      { id: "closingDate", label: "Closing date", type: "date" },
+      { id: "holdingPeriodYears", label: "Holding period (years)", type: "number" },
+    ],
+    guidance: [
+      "State the exit route and counterparty first, then summarise the value created during ownership.",
+      "Describe value creation with the specific initiatives in the notes, not generic claims.",
+    ],
+    disclosures: [
+      "Do not quote returns (MOIC, IRR) unless they are given in the key facts or sources.",
+      "If the sale has not closed, say it remains subject to closing conditions.",
+    ],
+  },
+
+  revaluation: {
+    label: "Revaluation",
+    description: "Direct investment valuation or revaluation update.",
+    searchHint: "valuation",
+    fields: [
+      { id: "investeeName", label: "Investee name", type: "text", required: true },
+      { id: "valuationDate", label: "Valuation date", type: "date", required: true },
+      { id: "previousValue", label: "Previous value", type: "money" },
+      { id: "newValue", label: "New value", type: "money" },
+      { id: "changePercent", label: "Change", type: "percent" },
+      { id: "valuationBasis", label: "Valuation basis", type: "text" },
+    ],
+    guidance: [
+      "Give the valuation date and the direction of the change before the drivers.",
+      "Attribute the drivers (earnings, multiples, FX) only as described in the notes or sources.",
+    ],
+    disclosures: [
+      "Valuations are estimates: describe them as unaudited unless the sources say otherwise.",
+      "Do not present a revaluation as a realised gain.",
+    ],
+  },
+
+  new_fund_commitment: {
+    label: "New fund commitment",
+    description: "New fund commitment (LP committing capital to a fund).",
+    searchHint: "fund",
+    fields: [
+      { id: "fundName", label: "Fund name", type: "text", required: true },
+      { id: "manager", label: "Fund manager", type: "text" },
+      { id: "commitmentAmount", label: "Commitment amount", type: "money" },
+      { id: "strategy", label: "Strategy", type: "text" },
+      { id: "vintageYear", label: "Vintage year", type: "number" },
+      { id: "commitmentDate", label: "Commitment date", type: "date" },
+    ],
+    guidance: [
+      "Name the fund and manager first, then the strategy and how it fits the portfolio.",
+    ],
+    disclosures: [
+      "Do not state the commitment amount unless it is given in the key facts.",
+      "Do not imply future performance of the fund.",
+    ],
+  },
+
+  fund_capital_call: {
+    label: "Fund capital call",
+    description: "Fund capital call notice.",
+    searchHint: "fund",
+    fields: [
+      { id: "fundName", label: "Fund name", type: "text", required: true },
+      { id: "callAmount", label: "Call amount", type: "money", required: true },
+      { id: "dueDate", label: "Due date", type: "date", required: true },
+      { id: "callNumber", label: "Call number", type: "number" },
+      { id: "purpose", label: "Purpose of the call", type: "text" },
+      { id: "cumulativeCalledPercent", label: "Cumulative called", type: "percent" },
+    ],
+    guidance: [
+      "State the amount, due date and purpose of the call in the opening sentence.",
+      "Keep the notice factual and short; no market commentary.",
+    ],
+    disclosures: [
+      "Never include bank account or payment details in the draft; refer investors to the formal notice.",
+    ],
+  },
+
+  fund_distribution: {
+    label: "Fund distribution",
+    description: "Fund distribution or proceeds notice.",
+    searchHint: "fund distribution",
+    fields: [
+      { id: "fundName", label: "Fund name", type: "text", required: true },
+      { id: "distributionAmount", label: "Distribution amount", type: "money", required: true },
+      { id: "paymentDate", label: "Payment date", type: "date", required: true },
+      {
+        id: "distributionType",
+        label: "Distribution type",
+        type: "enum",
+        options: ["return_of_capital", "capital_gain", "income", "mixed"],
+      },
+      { id: "source", label: "Source of proceeds", type: "text" },
+    ],
+    guidance: [
+      "State the amount, payment date and source of the proceeds first.",
+    ],
+    disclosures: [
+      "Do not characterise the tax treatment of the distribution unless the sources do.",
+    ],
+  },
+};
+
+const REGISTRY = new Map();
+
+function validateScenario(id, scenario) {
+  const problems = [];
+  if (!scenario || typeof scenario !== "object") {
+    problems.push("scenario must be an object");
+  } else {
+    if (typeof scenario.description !== "string" || !scenario.description.trim()) {
+      problems.push("description must be a non-empty string");
+    }
+    for (const key of ["guidance", "disclosures"]) {
+      if (
+        scenario[key] !== undefined &&
+        !(Array.isArray(scenario[key]) && scenario[key].every((s) => typeof s === "string"))
+      ) {
+        problems.push(`${key} must be an array of strings`);
+      }
+    }
+    const fields = scenario.fields ?? [];
+    if (!Array.isArray(fields)) {
+      problems.push("fields must be an array");
+    } else {
+      const seen = new Set();
+      for (const field of fields) {
+        if (!field?.id || typeof field.id !== "string") {
+          problems.push("every field needs a string id");
+          continue;
+        }
+        if (seen.has(field.id)) problems.push(`duplicate field "${field.id}"`);
+        seen.add(field.id);
+        if (!FIELD_TYPES.includes(field.type)) {
+          problems.push(`field "${field.id}" has unknown type "${field.type}"`);
+        }
+        if (field.type === "enum" && !(Array.isArray(field.options) && field.options.length)) {
+          problems.push(`enum field "${field.id}" needs options`);
+        }
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid scenario "${id}": ${problems.join("; ")}`);
+  }
+}
+
+/**
+ * Add (or replace) a scenario.
+ */
+export function registerScenario(id, scenario) {
+  if (typeof id !== "string" || !id.trim()) {
+    throw new Error("A scenario needs a string id");
+  }
+  validateScenario(id, scenario);
+
+  REGISTRY.set(id, {
+    id,
+    label: scenario.label || id,
+    description: scenario.description,
+    searchHint: scenario.searchHint || "",
+    fields: (scenario.fields || []).map((f) => ({
+      id: f.id,
+      label: f.label || f.id,
+      type: f.type,
+      required: f.required === true,
+      ...(f.options ? { options: f.options } : {}),
+      ...(f.help ? { help: f.help } : {}),
+    })),
+    guidance: scenario.guidance || [],
+    disclosures: scenario.disclosures || [],
+  });
+}
+
+for (const [id, scenario] of Object.entries(SCENARIOS)) {
+  registerScenario(id, scenario);
+}
+
+// Read once at cold start, like PROMPT_RECIPES_FILE.
+if (process.env.SCENARIOS_FILE) {
+  const file = path.resolve(process.cwd(), process.env.SCENARIOS_FILE);
+  const extra = JSON.parse(readFileSync(file, "utf8"));
+  for (const [id, scenario] of Object.entries(extra || {})) {
+    registerScenario(id, scenario);
+  }
+}
+
+export function listScenarios() {
+  return [...REGISTRY.values()];
+}
+
+/**
+ * Look up a scenario. An empty ID resolves to the general scenario.
+ * Throws an Error with code "unknown_scenario" for unknown IDs.
+ */
+export function resolveScenario(id) {
+  const scenarioId = (typeof id === "string" && id.trim()) || DEFAULT_SCENARIO_ID;
+  if (!REGISTRY.has(scenarioId)) {
+    const err = new Error(
+      `Unknown scenario "${scenarioId}". Available: ${[...REGISTRY.keys()].join(", ")}`
+    );
+    err.code = "unknown_scenario";
+    throw err;
+  }
+  return REGISTRY.get(scenarioId);
+}
+
+// --- Field validation -------------------------------------------------
+
+function isBlank(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === "string" && !value.trim())
+  );
+}
+
+function toNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+    return Number(value.trim());
+  }
+  return null;
+}
+
+function isIsoDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+// Returns [normalisedValue, error].
+function checkField(field, value) {
+  switch (field.type) {
+    case "text": {
+      if (typeof value !== "string") return [null, "must be a string"];
+      const text = value.trim();
+      if (text.length > MAX_TEXT_CHARS) {
+        return [null, `must be at most ${MAX_TEXT_CHARS} characters`];
+      }
+      return [text, null];
+    }
+    case "number":
+    case "percent": {
+      const n = toNumber(value);
+      return n === null ? [null, "must be a number"] : [n, null];
+    }
+    case "date":
+      return isIsoDate(value) ? [value, null] : [null, "must be a date (YYYY-MM-DD)"];
+    case "money": {
+      const amount = toNumber(value?.amount);
+      const currency =
+        typeof value?.currency === "string" ? value.currency.trim().toUpperCase() : "";
+      if (amount === null || amount < 0) {
+        return [null, "amount must be a non-negative number"];
+      }
+      if (!/^[A-Z]{3}$/.test(currency)) {
+        return [null, "currency must be a 3-letter ISO code (e.g. USD)"];
+      }
+      return [{ amount, currency }, null];
+    }
+    case "enum":
+      return field.options.includes(value)
+        ? [value, null]
+        : [null, `must be one of: ${field.options.join(", ")}`];
+    default:
+      return [null, `has unsupported type "${field.type}"`];
+  }
+}
+
+/**
+ * Render a validated field value for the prompt.
+ */
+export function formatFieldValue(field, value) {
+  switch (field.type) {
+    case "percent":
+      return `${value}%`;
+    case "money":
+      return `${value.currency} ${value.amount}`;
+    case "enum":
+      return String(value).replace(/_/g, " ");
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Validate structured field values against a scenario. With
+ * `allowMissingFields`, required fields may be left out (the values that
+ * are sent are still checked).
+ *
+ * Returns { values, facts, errors }:
+ * - values: normalised values keyed by field ID
+ * - facts:  [{ id, label, value }] in field order, value formatted for prompts
+ * - errors: [{ field, message }] (missing required fields, bad types,
+ *           unknown field IDs)
+ */
+export function validateScenarioFields(scenario, input = {}, { allowMissingFields = false } = {}) {
+  const errors = [];
+  const values = {};
+  const facts = [];
+  const source = input && typeof input === "object" && !Array.isArray(input) ? input : {};
+
+  const known = new Set(scenario.fields.map((f) => f.id));
+  for (const key of Object.keys(source)) {
+    if (!known.has(key)) {
+      errors.push({ field: key, message: `is not a field of scenario "${scenario.id}"` });
+    }
+  }
+
+  for (const field of scenario.fields) {
+    const raw = source[field.id];
+    if (isBlank(raw)) {
+      if (field.required && !allowMissingFields) errors.push({ field: field.id, message: "is required" });
+      continue;
+    }
+    const [value, error] = checkField(field, raw);
+    if (error) {
+      errors.push({ field: field.id, message: error });
+      continue;
+    }
+    values[field.id] = value;
+    facts.push({ id: field.id, label: field.label, value: formatFieldValue(field, value) });
+  }
+
+  return { values, facts, errors };
+}
@@ -1,24 +1,74 @@
 // helpers/scoring.js
-
-import OpenAI from "openai";
+//
+// Draft quality score returned as `score` by /api/generate and
+// /api/rewrite. It combines the model rubric (scoreOutput) with the
+// heuristic signals from utils/scoreDraft.js:
+//
+//   {
+//     status,      // "scored" | "unscored"
+//     overall,     // 0-100, weighted mean of the dimensions; null when unscored
+//     dimensions: [
+//       { id, label, score, weight, source, reasons }
+//     ],           // score 0-1 (null when that component failed),
+//                  // source "model" | "heuristic", reasons as strings
+//     model,       // model that ran the rubric
+//     reason,      // why the draft is unscored (only when unscored)
+//   }
+//
+// There are no fallback numbers: if the rubric call fails or returns
+// unusable scores the draft is "unscored", and the heuristic dimension is
+// still listed for information. The rubric runs as the "scoring" task of
+// api/lib/llm.js.
+
+import { resolveLlm } from "../api/lib/llm.js";
+import { ReplayMissError } from "../api/lib/replay.js";
+import { extractAssistantText, safeJsonFromText } from "../api/lib/modelOutput.js";
+import { draftSignals } from "../utils/scoreDraft.js";
+
+// Longest draft excerpt sent to the rubric.
+const MAX_SCORED_CHARS = 12000;
+
+export const RUBRIC_DIMENSIONS = [
+  {
+    id: "clarity",
+    label: "Clarity",
+    weight: 0.2,
+    definition: "how clear and easy to follow the writing is.",
+  },
+  {
+    id: "accuracy",
+    label: "Accuracy",
+    weight: 0.25,
+    definition: "how well it stays faithful to the apparent facts and avoids exaggeration.",
+  },
+  {
+    id: "tone",
+    label: "Tone",
+    weight: 0.2,
+    definition: "how professional, appropriate, and aligned with institutional style it feels.",
+  },
+  {
+    id: "structure",
+    label: "Structure",
+    weight: 0.2,
+    definition: "how well-organised the content is (headings, flow, logical order).",
+  },
+];
+
+const HEURISTIC_WEIGHT = 0.15;
 
 /**
- * Ask the model to score an output against a simple rubric.
+ * Ask the model to score an output against the rubric.
  *
- * Returns an object:
- * {
- *   overall: number (0-100),
- *   clarity: number (0-1),
- *   accuracy: number (0-1),
- *   tone: number (0-1),
- *   structure: number (0-1)
- * }
+ * Resolves with { dimensions: { [id]: { score, reason } }, model }, scores
+ * 0-1. Throws when the call fails or any dimension comes back without a
+ * usable score.
  */
 export async function scoreOutput({
   outputText,
   scenario,
   outputType,
-  versionType
+  versionType,
 }) {
   const systemPrompt = `
 You are a strict but fair evaluator of investment-related written content.
@@ -28,19 +78,15 @@ You must respond ONLY with valid JSON and nothing else.
 Use this JSON schema:
 
 {
-  "overall": number between 0 and 100,
-  "clarity": number between 0 and 1,
-  "accuracy": number between 0 and 1,
-  "tone": number between 0 and 1,
-  "structure": number between 0 and 1
+${RUBRIC_DIMENSIONS.map(
+  (d) => `  "${d.id}": { "score": number between 0 and 1, "reason": "one sentence" }`
+).join(",\n")}
 }
 
 Definitions:
-- overall: holistic score combining the other dimensions.
-- clarity: how clear and easy to follow the writing is.
-- accuracy: how well it stays faithful to the apparent facts and avoids exaggeration.
-- tone: how professional, appropriate, and aligned with institutional style it feels.
-- structure: how well-organised the content is (headings, flow, logical order).
+${RUBRIC_DIMENSIONS.map((d) => `- ${d.id}: ${d.definition}`).join("\n")}
+
+Each reason must point at something specific in the content that explains the score.
 `;
 
   const userPrompt = `
@@ -52,76 +98,117 @@ You are scoring a piece of content generated for the following context:
 
 Here is the content to score:
 --------------------
-${outputText}
+${outputText.slice(0, MAX_SCORED_CHARS)}
 --------------------
 
 Return ONLY a JSON object following the schema, with no extra text.
 `;
 
-  try {
-    const client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-
-    const completion = await client.chat.completions.create({
-      model: "gpt-4o-mini",
-      temperature: 0,
-      max_completion_tokens: 300,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt }
-      ]
-    });
-
-    let raw = "{}";
-
-    if (
-      completion &&
-      completion.choices &&
-      Array.isArray(completion.choices) &&
-      completion.choices.length > 0 &&
-      completion.choices[0] &&
-      completion.choices[0].message &&
-      typeof completion.choices[0].message.content === "string"
-    ) {
-      raw = completion.choices[0].message.content.trim();
-    }
+  const { client, model } = resolveLlm("scoring");
+  const completion = await client.chat.completions.create({
+    model,
+    temperature: 0,
+    max_completion_tokens: 400,
+    messages: [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: userPrompt },
+    ],
+  });
+
+  const parsed = safeJsonFromText(extractAssistantText(completion.choices?.[0]?.message));
+  if (!parsed) {
+    throw new Error("Rubric response was not valid JSON.");
+  }
 
-    let parsed;
-    try {
-      parsed = JSON.parse(raw);
-    } catch {
-      const cleaned = raw.replace(/```json|```/g, "").trim();
-      parsed = JSON.parse(cleaned);
+  const dimensions = {};
+  const missing = [];
+  for (const { id } of RUBRIC_DIMENSIONS) {
+    const entry = parsed[id];
+    const score = entry && typeof entry === "object" ? entry.score : entry;
+    if (typeof score !== "number" || !Number.isFinite(score) || score < 0 || score > 1) {
+      missing.push(id);
+      continue;
     }
-
-    const overall =
-      typeof parsed.overall === "number" ? parsed.overall : 80;
-    const clarity =
-      typeof parsed.clarity === "number" ? parsed.clarity : 0.8;
-    const accuracy =
-      typeof parsed.accuracy === "number" ? parsed.accuracy : 0.75;
-    const tone =
-      typeof parsed.tone === "number" ? parsed.tone : 0.82;
-    const structure =
-      typeof parsed.structure === "number" ? parsed.structure : 0.8;
-
-    return {
-      overall,
-      clarity,
-      accuracy,
-      tone,
-      structure
+    dimensions[id] = {
+      score,
+      reason: typeof entry?.reason === "string" ? entry.reason.trim() : "",
     };
+  }
+  if (missing.length > 0) {
+    throw new Error(`Rubric response had no usable score for: ${missing.join(", ")}.`);
+  }
+
+  return { dimensions, model: completion.model || model };
+}
+
+/**
+ * Quality score for a finished draft (see the shape at the top of this
+ * file). A failed rubric call makes the draft "unscored"; only a missing
+ * replay recording (api/lib/replay.js) is thrown.
+ */
+export async function scoreDraftQuality(text, { scenario, outputType, versionType } = {}) {
+  const heuristics = draftSignals(text);
+  const heuristicDimension = {
+    id: "heuristics",
+    label: "Draft heuristics",
+    score: heuristics.score,
+    weight: HEURISTIC_WEIGHT,
+    source: "heuristic",
+    reasons: heuristics.signals.map(
+      (s) => `${s.reason} (${s.delta > 0 ? "+" : ""}${s.delta.toFixed(2)})`
+    ),
+  };
+
+  const unscored = (reason) => ({
+    status: "unscored",
+    overall: null,
+    dimensions: [
+      ...RUBRIC_DIMENSIONS.map(({ id, label, weight }) => ({
+        id,
+        label,
+        score: null,
+        weight,
+        source: "model",
+        reasons: [],
+      })),
+      heuristicDimension,
+    ],
+    model: null,
+    reason,
+  });
+
+  if (typeof text !== "string" || !text.trim()) {
+    return unscored("The draft is empty.");
+  }
+
+  let rubric;
+  try {
+    rubric = await scoreOutput({ outputText: text, scenario, outputType, versionType });
   } catch (err) {
+    if (err instanceof ReplayMissError) throw err;
     console.error("Error while scoring output:", err);
-    // Fallback: deterministic-ish but safe defaults
-    return {
-      overall: 85,
-      clarity: 0.8,
-      accuracy: 0.75,
-      tone: 0.82,
-      structure: 0.8
-    };
+    return unscored(`Model rubric failed: ${err.message || "unknown error"}`);
   }
+
+  const dimensions = [
+    ...RUBRIC_DIMENSIONS.map(({ id, label, weight }) => ({
+      id,
+      label,
+      score: rubric.dimensions[id].score,
+      weight,
+      source: "model",
+      reasons: rubric.dimensions[id].reason ? [rubric.dimensions[id].reason] : [],
+    })),
+    heuristicDimension,
+  ];
+
+  const totalWeight = dimensions.reduce((sum, d) => sum + d.weight, 0);
+  const weighted = dimensions.reduce((sum, d) => sum + d.score * d.weight, 0);
+
+  return {
+    status: "scored",
+    overall: Math.round((weighted / totalWeight) * 100),
+    dimensions,
+    model: rubric.model,
+  };
 }
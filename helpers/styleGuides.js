@@ -1,86 +1,382 @@
 // helpers/styleGuides.js
+//
+// Style guide registry. A guide is a set of rules keyed by a stable rule
+// ID and grouped into sections. Client guides `extend` another guide and
+// override or extend it rule by rule:
+//
+//   rules: {
+//     "numbers.thousands-separator": { text: "...", lint: { thousandsSeparator: "," } },
+//     "tone.third-person": false,                       // drop the rule
+//     "names.client-name": { section: "NAMES, TITLES & ENTITIES", text: "..." }, // new rule
+//   }
+//
+// A rule is { section, text, lint?, autoFix? }:
+// - text:    the instruction injected into prompts
+// - lint:    true or an options object when the rule is checked by the
+//            engine in helpers/styleRules.js (same rule ID); the number rules
+//            take helpers/numberFormat.js options, e.g. { thousandsSeparator: "," }
+//            or { symbolCurrencies: { "$": "SGD" } }
+// - autoFix: apply the engine's fixes to model output during post-processing
+//
+// resolveStyleGuide(id) flattens the chain into the only style instructions
+// generate / rewrite / query put into prompts, and applyStyleGuide() runs
+// the matching post-processing.
 
-export const DEFAULT_STYLE_GUIDE = `
-TONE & AUDIENCE
-- Write in a neutral, professional, institution-grade tone.
-- Assume a financially literate audience (investment professionals, client relationship teams, sophisticated investors).
-- Avoid marketing hype and exaggeration. Prefer measured, evidence-based language.
-- Use third-person voice by default (e.g., "the firm", "the company", "Partners Group").
-
-STRUCTURE & FLOW
-- Lead with the most important fact or outcome ("what happened") before supporting detail.
-- Use short paragraphs. Aim for 2–4 sentences per paragraph.
-- Within paragraphs, move from high-level context to more specific detail.
-- Use clear topic sentences and avoid long, meandering sentences.
-- Where appropriate, use short, readable lists (bullets) rather than dense blocks of text.
-
-LANGUAGE & STYLE
-- Use clear, concise sentences. Prefer plain language over jargon where possible.
-- When specialised terminology is required, use it precisely and consistently.
-- Avoid colloquial expressions, slang, or overly casual phrasing.
-- Avoid superlatives and subjective claims ("world-class", "best-in-class") unless directly supported by evidence and clearly attributed.
-- Do not invent facts or rationales that are not supported by the source material.
-
-NUMBERS & UNITS
-- Use numerals for all numbers above eleven.
-- Use numerals for any quantity that represents a measurable unit, regardless of size:
-  - Examples: 5 customers, 9 employees, 3 funds, 20 investments, 2 years, 6 months.
-- Use numerals for all ranges (e.g., 10–15, 3–5 years).
-- Use the apostrophe (’) as the thousands separator:
-  - 12’500
-  - 5’500’000
-- Do not use commas as thousands separators.
-- When the text spells out a number that clearly represents a measurable unit
-  (e.g., "five customers", "twenty employees"),
-  prefer a numeral instead:
-  - "five customers" → "5 customers"
-  - "twenty employees" → "20 employees"
-- Percentages should use numerals and the % symbol (e.g., 5%, 12.5%).
-
-CURRENCIES
-- When the source uses bare currency symbols ($, €, £) without codes, rewrite them into the proper currency code plus amount where the currency is clear:
-  - $10 million → USD 10 million
-  - €250’000 → EUR 250’000
-  - £5’500 → GBP 5’500
-- Do not guess the currency if it is ambiguous. In that case, preserve the symbol and amount without adding a code.
-- Write large amounts using a readable combination of numerals and words:
-  - EUR 1.2 billion, USD 350 million, GBP 25’000.
-
-PUNCTUATION & TYPOGRAPHY
-- Avoid em dashes (—). Use normal hyphens (-), commas, parentheses, or semicolons instead.
-- Do not use smart quotes (“ ” ‘ ’). Use straight quotes only:
-  - " " for double quotes
-  - ' ' for single quotes / apostrophes
-- Use standard sentence punctuation (., !, ?). Avoid multiple exclamation marks.
-- Use a single space after punctuation, not double spaces.
-
-NAMES, TITLES & ENTITIES
-- Use the full official name of companies, funds, and strategies on first mention.
-- Thereafter, you may use a shortened name or abbreviation if it is unambiguous.
-- Capitalise formal strategy names and product names consistently.
-- Job titles are capitalised when used with a name (e.g., "Managing Director Jane Smith") and lower-case when used generically ("the managing director").
-
-TEMPORAL REFERENCES
-- Prefer specific time references over vague ones where possible:
-  - "in 2023" instead of "recently"
-  - "over the last three years" instead of "in recent years", if the period is clear.
-- When referencing periods, keep formats consistent:
-  - "three-year period", "five-year track record", "12-month performance".
-
-RISK & UNCERTAINTY
-- Avoid overconfident or absolute statements about future performance.
-- When discussing outlook or expectations, use measured language:
-  - "is expected to", "aims to", "seeks to", "believes that", "intends to".
-- Do not disclose non-public performance metrics or highly sensitive information unless explicitly permitted by the brief.
-
-GENERAL CONSISTENCY
-- Apply these rules consistently across the entire text, even if the source material is inconsistent.
-- If the source is ambiguous or conflicting, prefer the simplest, most neutral phrasing.
-- When in doubt, prioritise clarity, factual accuracy, and alignment with professional institutional standards.
-`;
-
-// Optional: kept for future client-specific overrides.
-export const SAMPLE_CLIENT_STYLE_GUIDE = `
-This is a placeholder for a client-specific style guide.
-It can override or extend the DEFAULT_STYLE_GUIDE for a particular client or workspace.
-`;
+import { fixAll } from "./styleRules.js";
+
+export const DEFAULT_STYLE_GUIDE_ID = "default";
+
+const SECTION_ORDER = [
+  "TONE & AUDIENCE",
+  "STRUCTURE & FLOW",
+  "LANGUAGE & STYLE",
+  "NUMBERS & UNITS",
+  "CURRENCIES",
+  "PUNCTUATION & TYPOGRAPHY",
+  "NAMES, TITLES & ENTITIES",
+  "TEMPORAL REFERENCES",
+  "RISK & UNCERTAINTY",
+  "GENERAL CONSISTENCY",
+];
+
+const DEFAULT_GUIDE = {
+  id: DEFAULT_STYLE_GUIDE_ID,
+  name: "House style",
+  rules: {
+    // TONE & AUDIENCE
+    "tone.neutral": {
+      section: "TONE & AUDIENCE",
+      text: "Write in a neutral, professional, institution-grade tone.",
+    },
+    "tone.audience": {
+      section: "TONE & AUDIENCE",
+      text: "Assume a financially literate audience (investment professionals, client relationship teams, sophisticated investors).",
+    },
+    "tone.no-hype": {
+      section: "TONE & AUDIENCE",
+      text: "Avoid marketing hype and exaggeration. Prefer measured, evidence-based language.",
+    },
+    "tone.third-person": {
+      section: "TONE & AUDIENCE",
+      text: 'Use third-person voice by default (e.g., "the firm", "the company", "Partners Group").',
+    },
+
+    // STRUCTURE & FLOW
+    "structure.lead-with-outcome": {
+      section: "STRUCTURE & FLOW",
+      text: 'Lead with the most important fact or outcome ("what happened") before supporting detail.',
+    },
+    "structure.short-paragraphs": {
+      section: "STRUCTURE & FLOW",
+      text: "Use short paragraphs. Aim for 2-4 sentences per paragraph.",
+    },
+    "structure.general-to-specific": {
+      section: "STRUCTURE & FLOW",
+      text: "Within paragraphs, move from high-level context to more specific detail.",
+    },
+    "structure.topic-sentences": {
+      section: "STRUCTURE & FLOW",
+      text: "Use clear topic sentences and avoid long, meandering sentences.",
+    },
+    "structure.lists": {
+      section: "STRUCTURE & FLOW",
+      text: "Where appropriate, use short, readable lists (bullets) rather than dense blocks of text.",
+    },
+
+    // LANGUAGE & STYLE
+    "language.concise": {
+      section: "LANGUAGE & STYLE",
+      text: "Use clear, concise sentences. Prefer plain language over jargon where possible.",
+    },
+    "language.terminology": {
+      section: "LANGUAGE & STYLE",
+      text: "When specialised terminology is required, use it precisely and consistently.",
+    },
+    "language.no-colloquialisms": {
+      section: "LANGUAGE & STYLE",
+      text: "Avoid colloquial expressions, slang, or overly casual phrasing.",
+    },
+    "language.no-superlatives": {
+      section: "LANGUAGE & STYLE",
+      text: 'Avoid superlatives and subjective claims ("world-class", "best-in-class") unless directly supported by evidence and clearly attributed.',
+      lint: true,
+    },
+    "language.no-invented-facts": {
+      section: "LANGUAGE & STYLE",
+      text: "Do not invent facts or rationales that are not supported by the source material.",
+    },
+
+    // NUMBERS & UNITS
+    "numbers.numerals-above-eleven": {
+      section: "NUMBERS & UNITS",
+      text: "Use numerals for all numbers above eleven.",
+    },
+    "numbers.numerals-for-units": {
+      section: "NUMBERS & UNITS",
+      text: [
+        "Use numerals for any quantity that represents a measurable unit, regardless of size (5 customers, 9 employees, 3 funds, 20 investments, 2 years, 6 months).",
+        '  - "five customers" -> "5 customers"; "twenty employees" -> "20 employees"',
+      ].join("\n"),
+      lint: true,
+    },
+    "numbers.ranges": {
+      section: "NUMBERS & UNITS",
+      text: "Use numerals for all ranges (e.g., 10-15, 3-5 years).",
+    },
+    "numbers.thousands-separator": {
+      section: "NUMBERS & UNITS",
+      text: "Use the apostrophe (') as the thousands separator: 12'500, 5'500'000. Do not use commas as thousands separators.",
+      lint: { thousandsSeparator: "'" },
+      autoFix: true,
+    },
+    "numbers.no-year-separators": {
+      section: "NUMBERS & UNITS",
+      text: "Never put thousands separators in calendar years (2025, 1999).",
+    },
+    "numbers.percentages": {
+      section: "NUMBERS & UNITS",
+      text: "Percentages should use numerals and the % symbol (e.g., 5%, 12.5%).",
+    },
+
+    // CURRENCIES
+    "currency.codes-not-symbols": {
+      section: "CURRENCIES",
+      text: [
+        "When the source uses bare currency symbols ($, €, £) without codes, rewrite them into the currency code plus amount where the currency is clear:",
+        "  - $10 million -> USD 10 million; €250'000 -> EUR 250'000; £5'500 -> GBP 5'500",
+        "  - Write magnitudes out and give ranges one code: $10-15m -> USD 10-15 million; €1.2bn -> EUR 1.2 billion",
+        "Do not guess the currency if it is ambiguous. In that case, preserve the symbol and amount without adding a code.",
+      ].join("\n"),
+      lint: true,
+      autoFix: true,
+    },
+    "currency.large-amounts": {
+      section: "CURRENCIES",
+      text: "Write large amounts using a readable combination of numerals and words: EUR 1.2 billion, USD 350 million, GBP 25'000.",
+    },
+
+    // PUNCTUATION & TYPOGRAPHY
+    "punctuation.no-em-dash": {
+      section: "PUNCTUATION & TYPOGRAPHY",
+      text: "Avoid em dashes. Use normal hyphens (-), commas, parentheses, or semicolons instead.",
+      lint: true,
+      autoFix: true,
+    },
+    "punctuation.straight-quotes": {
+      section: "PUNCTUATION & TYPOGRAPHY",
+      text: "Do not use smart quotes. Use straight quotes only: \" \" for double quotes, ' ' for single quotes and apostrophes.",
+      lint: true,
+      autoFix: true,
+    },
+    "punctuation.sentence-punctuation": {
+      section: "PUNCTUATION & TYPOGRAPHY",
+      text: "Use standard sentence punctuation (., !, ?). Avoid multiple exclamation marks.",
+    },
+    "punctuation.single-space": {
+      section: "PUNCTUATION & TYPOGRAPHY",
+      text: "Use a single space after punctuation, not double spaces.",
+    },
+
+    // NAMES, TITLES & ENTITIES
+    "names.full-name-first": {
+      section: "NAMES, TITLES & ENTITIES",
+      text: "Use the full official name of companies, funds, and strategies on first mention. Thereafter, a shortened name or abbreviation is fine if unambiguous.",
+    },
+    "names.capitalisation": {
+      section: "NAMES, TITLES & ENTITIES",
+      text: "Capitalise formal strategy names and product names consistently.",
+    },
+    "names.job-titles": {
+      section: "NAMES, TITLES & ENTITIES",
+      text: 'Job titles are capitalised when used with a name (e.g., "Managing Director Jane Smith") and lower-case when used generically ("the managing director").',
+    },
+
+    // TEMPORAL REFERENCES
+    "temporal.specific": {
+      section: "TEMPORAL REFERENCES",
+      text: 'Prefer specific time references over vague ones where possible: "in 2023" instead of "recently"; "over the last three years" instead of "in recent years", if the period is clear.',
+    },
+    "temporal.consistent-formats": {
+      section: "TEMPORAL REFERENCES",
+      text: 'Keep period formats consistent: "three-year period", "five-year track record", "12-month performance".',
+    },
+
+    // RISK & UNCERTAINTY
+    "risk.no-overconfidence": {
+      section: "RISK & UNCERTAINTY",
+      text: "Avoid overconfident or absolute statements about future performance.",
+    },
+    "risk.measured-outlook": {
+      section: "RISK & UNCERTAINTY",
+      text: 'When discussing outlook or expectations, use measured language: "is expected to", "aims to", "seeks to", "believes that", "intends to".',
+    },
+    "risk.no-non-public-metrics": {
+      section: "RISK & UNCERTAINTY",
+      text: "Do not disclose non-public performance metrics or highly sensitive information unless explicitly permitted by the brief.",
+    },
+
+    // GENERAL CONSISTENCY
+    "general.consistency": {
+      section: "GENERAL CONSISTENCY",
+      text: "Apply these rules consistently across the entire text, even if the source material is inconsistent.",
+    },
+    "general.ambiguity": {
+      section: "GENERAL CONSISTENCY",
+      text: "If the source is ambiguous or conflicting, prefer the simplest, most neutral phrasing.",
+    },
+    "general.priorities": {
+      section: "GENERAL CONSISTENCY",
+      text: "When in doubt, prioritise clarity, factual accuracy, and alignment with professional institutional standards.",
+    },
+  },
+};
+
+// Example client guide: comma thousands separators and a client-specific
+// way of referring to the firm. Copy this shape for real client guides.
+export const SAMPLE_CLIENT_STYLE_GUIDE = {
+  id: "sample_client",
+  name: "Sample client",
+  extends: DEFAULT_STYLE_GUIDE_ID,
+  rules: {
+    "numbers.thousands-separator": {
+      text: "Use commas as the thousands separator: 12,500, 5,500,000.",
+      lint: { thousandsSeparator: "," },
+    },
+    "tone.third-person": {
+      text: 'Use third-person voice and refer to the firm as "the Manager".',
+    },
+    "names.fund-names": {
+      section: "NAMES, TITLES & ENTITIES",
+      text: 'Write fund names with the roman numeral vintage (e.g., "Fund IV", not "Fund 4").',
+    },
+  },
+};
+
+const STYLE_GUIDES = new Map();
+
+/**
+ * Add (or replace) a guide in the registry.
+ */
+export function registerStyleGuide(guide) {
+  if (!guide || typeof guide.id !== "string" || !guide.id) {
+    throw new Error("A style guide needs a string id");
+  }
+  if (guide.extends && !STYLE_GUIDES.has(guide.extends)) {
+    throw new Error(`Style guide "${guide.id}" extends unknown guide "${guide.extends}"`);
+  }
+  STYLE_GUIDES.set(guide.id, guide);
+}
+
+registerStyleGuide(DEFAULT_GUIDE);
+registerStyleGuide(SAMPLE_CLIENT_STYLE_GUIDE);
+
+export function listStyleGuides() {
+  return [...STYLE_GUIDES.values()].map((g) => ({
+    id: g.id,
+    name: g.name || g.id,
+    extends: g.extends || null,
+  }));
+}
+
+/**
+ * Render resolved rules as prompt text, grouped by section.
+ */
+function renderInstructions(rules) {
+  const bySection = new Map();
+  for (const [, rule] of rules) {
+    const section = rule.section || "GENERAL CONSISTENCY";
+    if (!bySection.has(section)) bySection.set(section, []);
+    bySection.get(section).push(`- ${rule.text}`);
+  }
+
+  const sections = [
+    ...SECTION_ORDER.filter((s) => bySection.has(s)),
+    ...[...bySection.keys()].filter((s) => !SECTION_ORDER.includes(s)),
+  ];
+
+  return sections
+    .map((section) => [section, ...bySection.get(section)].join("\n"))
+    .join("\n\n");
+}
+
+/**
+ * Flatten a guide and its `extends` chain.
+ *
+ * Returns {
+ *   id, name, chain,         // chain: base-first list of guide IDs
+ *   rules,                   // Map ruleId -> { section, text, lint, autoFix }
+ *   instructions,            // prompt text
+ *   lintOptions,             // options for helpers/styleRules.js lintText()/fixAll()
+ *   autoFixOptions,          // same, limited to rules with autoFix
+ * }
+ *
+ * Throws an Error with code "unknown_style_guide" for unknown IDs.
+ */
+export function resolveStyleGuide(id) {
+  const guideId = (typeof id === "string" && id.trim()) || DEFAULT_STYLE_GUIDE_ID;
+  if (!STYLE_GUIDES.has(guideId)) {
+    const err = new Error(
+      `Unknown style guide "${guideId}". Available: ${[...STYLE_GUIDES.keys()].join(", ")}`
+    );
+    err.code = "unknown_style_guide";
+    throw err;
+  }
+
+  const chain = [];
+  for (let g = STYLE_GUIDES.get(guideId); g; g = STYLE_GUIDES.get(g.extends)) {
+    if (chain.includes(g.id)) break; // defensive: ignore cycles
+    chain.unshift(g.id);
+  }
+
+  const rules = new Map();
+  for (const gid of chain) {
+    for (const [ruleId, override] of Object.entries(STYLE_GUIDES.get(gid).rules || {})) {
+      if (override === false || override?.enabled === false) {
+        rules.delete(ruleId);
+        continue;
+      }
+      const base = rules.get(ruleId) || {};
+      rules.set(ruleId, {
+        ...base,
+        ...override,
+        lint:
+          override.lint && typeof override.lint === "object" && typeof base.lint === "object"
+            ? { ...base.lint, ...override.lint }
+            : override.lint ?? base.lint,
+      });
+    }
+  }
+
+  const ruleOptions = {};
+  const lintIds = [];
+  const fixIds = [];
+  for (const [ruleId, rule] of rules) {
+    if (!rule.lint) continue;
+    lintIds.push(ruleId);
+    if (rule.autoFix) fixIds.push(ruleId);
+    if (typeof rule.lint === "object") ruleOptions[ruleId] = rule.lint;
+  }
+
+  const guide = STYLE_GUIDES.get(guideId);
+  return {
+    id: guideId,
+    name: guide.name || guideId,
+    chain,
+    rules,
+    instructions: renderInstructions(rules),
+    lintOptions: { ruleIds: lintIds, ruleOptions },
+    autoFixOptions: { ruleIds: fixIds, ruleOptions },
+  };
+}
+
+/**
+ * Post-process model output with the guide's auto-fixable rules.
+ */
+export function applyStyleGuide(text, resolvedGuide) {
+  if (!text || typeof text !== "string") return text;
+  const guide = resolvedGuide || resolveStyleGuide();
+  return fixAll(text, guide.autoFixOptions).text;
+}
+
+// Rendered default guide, kept for callers that want the plain text.
+export const DEFAULT_STYLE_GUIDE = resolveStyleGuide(DEFAULT_STYLE_GUIDE_ID).instructions;
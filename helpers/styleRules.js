@@ -0,0 +1,262 @@
+// helpers/styleRules.js
+//
+// Machine-readable versions of the DEFAULT_STYLE_GUIDE rules, plus a small
+// deterministic engine to lint a draft against them and apply auto-fixes.
+//
+// A rule is { id, section, description, severity, check(text, options) }.
+// check() returns violations:
+//
+// {
+//   ruleId, severity, message,
+//   start, end,          // UTF-16 offsets into the linted text (end exclusive)
+//   match,               // text.slice(start, end)
+//   fix: { replacement } | null
+// }
+
+import { findCurrencyFixes, findSeparatorFixes } from "./numberFormat.js";
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14,
+  fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70,
+  eighty: 80, ninety: 90,
+};
+
+// Nouns that count something measurable ("5 customers", "3 funds").
+const UNIT_NOUNS = [
+  "customers?", "clients?", "employees?", "staff", "people", "funds?",
+  "investments?", "companies", "company", "portfolio companies",
+  "businesses", "deals?", "transactions?", "years?", "months?", "weeks?",
+  "days?", "quarters?", "hours?", "countries", "country", "markets?",
+  "offices?", "locations?", "sites?", "sectors?", "regions?", "partners?",
+  "investors?", "assets?", "properties", "buildings?", "acquisitions?",
+  "add-ons?", "products?", "brands?", "stores?", "plants?", "facilities",
+  "facility", "percent", "percentage points?",
+];
+
+// Only phrases that are a claim on their own: words with neutral uses
+// ("a leading provider", "best efforts", "outstanding shares", "unique
+// identifier") are left out.
+export const SUPERLATIVES = [
+  "world-class", "best-in-class", "best-of-breed", "market-leading",
+  "industry-leading", "world-leading", "sector-leading", "unparalleled",
+  "unrivalled", "unrivaled", "unmatched", "unbeatable", "the finest",
+  "the greatest", "top-tier", "state-of-the-art", "cutting-edge",
+  "revolutionary", "game-changing", "second to none",
+];
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function violation(rule, start, match, message, replacement) {
+  return {
+    ruleId: rule.id,
+    severity: rule.severity,
+    message,
+    start,
+    end: start + match.length,
+    match,
+    fix: typeof replacement === "string" ? { replacement } : null,
+  };
+}
+
+// --- Rules ----------------------------------------------------------
+
+const thousandsSeparator = {
+  id: "numbers.thousands-separator",
+  section: "NUMBERS & UNITS",
+  description:
+    "Use the guide's thousands separator (default apostrophe: 5'500'000). Years are left alone; only amounts (with a currency or magnitude) are fixed automatically, since other numbers may be identifiers.",
+  severity: "error",
+  check(text, options = {}) {
+    return findSeparatorFixes(text, options).map((e) =>
+      violation(this, e.start, e.match, e.message, e.replacement)
+    );
+  },
+};
+
+const noEmDash = {
+  id: "punctuation.no-em-dash",
+  section: "PUNCTUATION & TYPOGRAPHY",
+  description:
+    "Avoid em dashes. Use hyphens, commas, parentheses or semicolons instead.",
+  severity: "error",
+  check(text) {
+    return [...text.matchAll(/\s*—\s*/g)].map((m) =>
+      violation(this, m.index, m[0], "Replace the em dash.", " - ")
+    );
+  },
+};
+
+const straightQuotes = {
+  id: "punctuation.straight-quotes",
+  section: "PUNCTUATION & TYPOGRAPHY",
+  description: 'Use straight quotes (" and \') instead of smart quotes.',
+  severity: "error",
+  check(text) {
+    return [...text.matchAll(/[“”„‟‘’‚‛]/g)].map((m) =>
+      violation(
+        this,
+        m.index,
+        m[0],
+        "Use straight quotes.",
+        /[“”„‟]/.test(m[0]) ? '"' : "'"
+      )
+    );
+  },
+};
+
+const numeralsForUnits = {
+  id: "numbers.numerals-for-units",
+  section: "NUMBERS & UNITS",
+  description:
+    'Use numerals for quantities of measurable units ("five customers" -> "5 customers").',
+  severity: "warning",
+  check(text) {
+    const tens = "twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety";
+    const units = "one|two|three|four|five|six|seven|eight|nine";
+    const word = `(?:(?:${tens})(?:[- ](?:${units}))?|${Object.keys(NUMBER_WORDS).join("|")})`;
+    const re = new RegExp(
+      `\\b(${word})\\s+(?=(?:${UNIT_NOUNS.join("|")})\\b)`,
+      "gi"
+    );
+
+    return [...text.matchAll(re)].map((m) => {
+      const parts = m[1].toLowerCase().split(/[- ]/);
+      const value = parts.reduce((sum, p) => sum + (NUMBER_WORDS[p] || 0), 0);
+      const spelled = m[1];
+      return violation(
+        this,
+        m.index,
+        spelled,
+        `Use a numeral: "${spelled}" -> "${value}".`,
+        String(value)
+      );
+    });
+  },
+};
+
+const currencyCodes = {
+  id: "currency.codes-not-symbols",
+  section: "CURRENCIES",
+  description:
+    "Write currency codes before the amount and magnitudes in words ($10-15m -> USD 10-15 million). Do not guess ambiguous currencies.",
+  severity: "error",
+  check(text, options = {}) {
+    return findCurrencyFixes(text, options).map((e) =>
+      violation(this, e.start, e.match, e.message, e.replacement ?? undefined)
+    );
+  },
+};
+
+const noSuperlatives = {
+  id: "language.no-superlatives",
+  section: "LANGUAGE & STYLE",
+  description:
+    'Avoid superlatives and subjective claims ("world-class", "best-in-class") unless supported and attributed.',
+  severity: "warning",
+  check(text) {
+    const re = new RegExp(
+      `(?<![\\w-])(?:${SUPERLATIVES.map(escapeRegExp).join("|")})(?![\\w-])`,
+      "gi"
+    );
+    return [...text.matchAll(re)].map((m) =>
+      violation(
+        this,
+        m.index,
+        m[0],
+        `"${m[0]}" is a superlative or subjective claim; remove it or attribute it to a source.`
+      )
+    );
+  },
+};
+
+export const STYLE_RULES = [
+  thousandsSeparator,
+  noEmDash,
+  straightQuotes,
+  numeralsForUnits,
+  currencyCodes,
+  noSuperlatives,
+];
+
+/**
+ * Rule catalogue without the check functions (safe to send as JSON).
+ */
+export function describeRules(rules = STYLE_RULES) {
+  return rules.map(({ id, section, description, severity }) => ({
+    id,
+    section,
+    description,
+    severity,
+  }));
+}
+
+/**
+ * Lint text against the rules. Options:
+ * - ruleIds: only run these rules
+ * - ruleOptions: per-rule options keyed by rule ID, e.g.
+ *   { "numbers.thousands-separator": { thousandsSeparator: "," } }
+ *   (resolved style guides provide these; see helpers/styleGuides.js)
+ */
+export function lintText(text, options = {}) {
+  const source = typeof text === "string" ? text : "";
+  const { ruleIds, ruleOptions = {}, rules = STYLE_RULES } = options;
+  const active = Array.isArray(ruleIds)
+    ? rules.filter((r) => ruleIds.includes(r.id))
+    : rules;
+
+  return active
+    .flatMap((rule) => rule.check(source, ruleOptions[rule.id] || {}))
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+/**
+ * Apply the fixes from `violations` to `text`. Overlapping fixes are
+ * resolved in favour of the one that starts first (ties: the longer one);
+ * the others are returned in `skipped`.
+ */
+export function applyFixes(text, violations) {
+  const fixable = violations
+    .filter((v) => v.fix)
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const applied = [];
+  const skipped = [];
+  let cursor = 0;
+  for (const v of fixable) {
+    if (v.start < cursor) {
+      skipped.push(v);
+      continue;
+    }
+    applied.push(v);
+    cursor = v.end;
+  }
+
+  let out = text;
+  for (const v of [...applied].reverse()) {
+    out = out.slice(0, v.start) + v.fix.replacement + out.slice(v.end);
+  }
+
+  return { text: out, applied, skipped };
+}
+
+/**
+ * Lint and fix repeatedly until nothing fixable is left (fixes can unlock
+ * each other, e.g. "$1,500,000" -> "USD 1,500,000" -> "USD 1'500'000").
+ */
+export function fixAll(text, options = {}, maxPasses = 4) {
+  let current = typeof text === "string" ? text : "";
+  const applied = [];
+
+  for (let pass = 0; pass < maxPasses; pass++) {
+    const result = applyFixes(current, lintText(current, options));
+    if (result.applied.length === 0) break;
+    applied.push(...result.applied);
+    current = result.text;
+  }
+
+  return { text: current, applied, remaining: lintText(current, options) };
+}
@@ -1,20 +1,462 @@
 // helpers/template.js
+//
+// Small logic-light template language for prompt recipes.
+//
+//   {{title}}                          value (dot paths: {{source.name}})
+//   {{notes | truncate: 200}}          filters, chained with |
+//   {{#if sources}}...{{else}}...{{/if}}
+//   {{#unless notes}}...{{/unless}}
+//   {{#each sources}}{{@number}}. {{name}}{{else}}none{{/each}}
+//   {{! comment }}
+//
+// Inside #each, names resolve against the current item first and then the
+// enclosing scopes; {{this}} is the item itself and {{@root.x}} always
+// reads the top-level values. Loop data: @index (0-based), @number
+// (1-based), @first, @last.
+//
+// Filters: upper, lower, trim, truncate: n[, suffix], date[: format],
+// default: value, join[: separator], json.
+// Date formats use YYYY, MMMM (January), MMM (Jan), MM, M, DD, D tokens,
+// or "iso" for YYYY-MM-DD; the default is "D MMMM YYYY".
+//
+// A line holding nothing but a block tag ({{#if}}, {{else}}, {{/each}},
+// ...) is dropped entirely, so block tags can sit on their own lines.
+//
+// Missing values render as "" unless { strict: true }, which throws a
+// TemplateError listing every missing variable.
 
-// Very simple token replacement: {{title}}, {{notes}}, {{text}}, {{scenario}}
-export function fillTemplate(template, values) {
-  let result = String(template);
-  const map = values || {};
-
-  for (const key in map) {
-    if (Object.prototype.hasOwnProperty.call(map, key)) {
-      const value =
-        map[key] === null || map[key] === undefined
-          ? ""
-          : String(map[key]);
-      const pattern = new RegExp("\\{\\{" + key + "\\}\\}", "g");
-      result = result.replace(pattern, value);
+const MONTHS = [
+  "January", "February", "March", "April", "May", "June", "July",
+  "August", "September", "October", "November", "December",
+];
+
+const BLOCK_HELPERS = new Set(["if", "unless", "each"]);
+const LOOP_DATA = new Set(["@index", "@number", "@first", "@last"]);
+
+export class TemplateError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = "TemplateError";
+    this.code = code; // "template_syntax" | "unknown_filter" | "missing_variable"
+    if (details !== undefined) this.details = details;
+  }
+}
+
+// --- Filters --------------------------------------------------------
+
+function toText(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.map(toText).join(", ");
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function formatDate(value, format = "D MMMM YYYY") {
+  if (value === null || value === undefined || value === "") return "";
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return toText(value);
+
+  const pattern = format === "iso" ? "YYYY-MM-DD" : String(format);
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth();
+  const d = date.getUTCDate();
+  const parts = {
+    YYYY: String(y),
+    MMMM: MONTHS[m],
+    MMM: MONTHS[m].slice(0, 3),
+    MM: String(m + 1).padStart(2, "0"),
+    M: String(m + 1),
+    DD: String(d).padStart(2, "0"),
+    D: String(d),
+  };
+  return pattern.replace(/YYYY|MMMM|MMM|MM|M|DD|D/g, (token) => parts[token]);
+}
+
+const FILTERS = {
+  upper: (v) => toText(v).toUpperCase(),
+  lower: (v) => toText(v).toLowerCase(),
+  trim: (v) => toText(v).trim(),
+  truncate: (v, n, suffix = "") => {
+    const text = toText(v);
+    const max = Number(n);
+    if (!Number.isFinite(max) || text.length <= max) return text;
+    return text.slice(0, Math.max(0, max)) + suffix;
+  },
+  date: (v, format) => formatDate(v, format),
+  default: (v, fallback = "") =>
+    v === null || v === undefined || v === "" || (Array.isArray(v) && v.length === 0)
+      ? fallback
+      : v,
+  join: (v, separator = ", ") =>
+    Array.isArray(v) ? v.map(toText).join(separator) : toText(v),
+  json: (v) => JSON.stringify(v ?? null),
+};
+
+// --- Parsing --------------------------------------------------------
+
+function tokenize(template) {
+  const tokens = [];
+  const re = /\{\{([\s\S]*?)\}\}/g;
+  let last = 0;
+  let m;
+
+  while ((m = re.exec(template))) {
+    if (m.index > last) {
+      tokens.push({ type: "text", value: template.slice(last, m.index) });
+    }
+    const inner = m[1].trim();
+    const pos = m.index;
+    if (inner.startsWith("!")) {
+      tokens.push({ type: "comment", pos });
+    } else if (inner.startsWith("#")) {
+      const [, helper, expr = ""] = /^#(\w+)\s*([\s\S]*)$/.exec(inner) || [];
+      tokens.push({ type: "open", helper, expr: expr.trim(), pos });
+    } else if (inner.startsWith("/")) {
+      tokens.push({ type: "close", helper: inner.slice(1).trim(), pos });
+    } else if (inner === "else") {
+      tokens.push({ type: "else", pos });
+    } else {
+      tokens.push({ type: "var", expr: inner, pos });
+    }
+    last = re.lastIndex;
+  }
+  if (last < template.length) {
+    tokens.push({ type: "text", value: template.slice(last) });
+  }
+
+  return stripStandaloneTags(tokens);
+}
+
+// Drop the whitespace and newline around block tags that sit alone on a line.
+function stripStandaloneTags(tokens) {
+  const isBlockTag = (t) => ["open", "close", "else", "comment"].includes(t.type);
+
+  // Decide on the original text first: stripping one tag's line must not
+  // change whether the next tag counts as standalone.
+  const standalone = tokens.map((token, i) => {
+    if (!isBlockTag(token)) return false;
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+
+    const startsLine =
+      !prev ||
+      (prev.type === "text" &&
+        (/\n[ \t]*$/.test(prev.value) || (i === 1 && /^[ \t]*$/.test(prev.value))));
+    const endsLine =
+      !next ||
+      (next.type === "text" &&
+        (/^[ \t]*\r?\n/.test(next.value) ||
+          (i === tokens.length - 2 && /^[ \t]*$/.test(next.value))));
+
+    return startsLine && endsLine;
+  });
+
+  tokens.forEach((token, i) => {
+    if (!standalone[i]) return;
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    if (prev) prev.value = prev.value.replace(/[ \t]*$/, "");
+    if (next) next.value = next.value.replace(/^[ \t]*(\r?\n)?/, "");
+  });
+
+  return tokens.filter(
+    (t) => t.type !== "comment" && !(t.type === "text" && t.value === "")
+  );
+}
+
+function parseLiteral(raw, pos) {
+  const arg = raw.trim();
+  const quoted = /^(["'])([\s\S]*)\1$/.exec(arg);
+  if (quoted) return quoted[2];
+  if (/^-?\d+(\.\d+)?$/.test(arg)) return Number(arg);
+  if (arg === "true" || arg === "false") return arg === "true";
+  throw new TemplateError(
+    "template_syntax",
+    `Filter arguments must be quoted strings, numbers or booleans (got ${arg} at ${pos})`
+  );
+}
+
+// Split on `sep` outside quotes.
+function splitOutsideQuotes(text, sep) {
+  const parts = [];
+  let current = "";
+  let quote = null;
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+      current += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      current += ch;
+    } else if (ch === sep) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+function parseExpression(expr, pos) {
+  const [pathPart, ...filterParts] = splitOutsideQuotes(expr, "|");
+  const path = pathPart.trim();
+
+  if (!/^(?:this|@root|@\w+|[\w$-]+)(?:\.[\w$-]+)*$/.test(path)) {
+    throw new TemplateError(
+      "template_syntax",
+      `Invalid expression "${expr}" at ${pos}`
+    );
+  }
+
+  const filters = filterParts.map((part) => {
+    const [name, args = ""] = splitOnce(part.trim(), ":");
+    if (!FILTERS[name]) {
+      throw new TemplateError("unknown_filter", `Unknown filter "${name}" at ${pos}`, {
+        available: Object.keys(FILTERS),
+      });
+    }
+    return {
+      name,
+      args: args.trim()
+        ? splitOutsideQuotes(args, ",").map((a) => parseLiteral(a, pos))
+        : [],
+    };
+  });
+
+  return { path: path.split("."), filters };
+}
+
+function splitOnce(text, sep) {
+  const idx = text.indexOf(sep);
+  return idx === -1 ? [text] : [text.slice(0, idx).trim(), text.slice(idx + 1)];
+}
+
+function parse(template) {
+  const tokens = tokenize(String(template ?? ""));
+  const root = { children: [] };
+  const stack = [root];
+  let current = root.children;
+
+  for (const token of tokens) {
+    switch (token.type) {
+      case "text":
+        current.push({ type: "text", value: token.value });
+        break;
+      case "var":
+        current.push({ type: "var", ...parseExpression(token.expr, token.pos) });
+        break;
+      case "open": {
+        if (!BLOCK_HELPERS.has(token.helper) || !token.expr) {
+          throw new TemplateError(
+            "template_syntax",
+            `Unknown or empty block "{{#${token.helper || ""} ${token.expr}}}" at ${token.pos}`
+          );
+        }
+        const node = {
+          type: token.helper,
+          ...parseExpression(token.expr, token.pos),
+          children: [],
+          alternate: [],
+          pos: token.pos,
+        };
+        current.push(node);
+        stack.push(node);
+        current = node.children;
+        break;
+      }
+      case "else": {
+        const block = stack[stack.length - 1];
+        if (block === root || current === block.alternate) {
+          throw new TemplateError("template_syntax", `Unexpected {{else}} at ${token.pos}`);
+        }
+        current = block.alternate;
+        break;
+      }
+      case "close": {
+        const block = stack.pop();
+        if (block === root || block.type !== token.helper) {
+          throw new TemplateError(
+            "template_syntax",
+            `Unexpected {{/${token.helper}}} at ${token.pos}`
+          );
+        }
+        const parent = stack[stack.length - 1];
+        current =
+          parent === root
+            ? root.children
+            : parent.alternate.includes(block)
+              ? parent.alternate
+              : parent.children;
+        break;
+      }
+      default:
+        break;
     }
   }
 
-  return result;
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(
+      "template_syntax",
+      `Unclosed {{#${open.type}}} at ${open.pos}`
+    );
+  }
+
+  return root.children;
+}
+
+// --- Rendering ------------------------------------------------------
+
+const MISSING = Symbol("missing");
+
+function hasOwn(value, key) {
+  return value !== null && typeof value === "object" && Object.hasOwn(value, key);
+}
+
+function lookup(path, scopes) {
+  const [head, ...rest] = path;
+  let value;
+
+  if (head === "this") {
+    value = scopes[scopes.length - 1].value;
+  } else if (head === "@root") {
+    value = scopes[0].value;
+  } else if (head.startsWith("@")) {
+    const loop = [...scopes].reverse().find((s) => s.data);
+    if (!loop || !LOOP_DATA.has(head)) return MISSING;
+    value = loop.data[head];
+  } else {
+    const scope = [...scopes].reverse().find((s) => hasOwn(s.value, head));
+    if (!scope) return MISSING;
+    value = scope.value[head];
+  }
+
+  for (const key of rest) {
+    if (!hasOwn(value, key)) return MISSING;
+    value = value[key];
+  }
+  return value;
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+function evaluate(node, scopes, missing) {
+  let value = lookup(node.path, scopes);
+  if (value === MISSING) {
+    missing.add(node.path.join("."));
+    value = undefined;
+  }
+  for (const { name, args } of node.filters) {
+    value = FILTERS[name](value, ...args);
+  }
+  return value;
+}
+
+function renderNodes(nodes, scopes, missing) {
+  let out = "";
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case "text":
+        out += node.value;
+        break;
+      case "var":
+        out += toText(evaluate(node, scopes, missing));
+        break;
+      case "if":
+      case "unless": {
+        const truthy = isTruthy(evaluate(node, scopes, missing));
+        const branch = truthy === (node.type === "if") ? node.children : node.alternate;
+        out += renderNodes(branch, scopes, missing);
+        break;
+      }
+      case "each": {
+        const value = evaluate(node, scopes, missing);
+        const items = Array.isArray(value) ? value : [];
+        if (items.length === 0) {
+          out += renderNodes(node.alternate, scopes, missing);
+          break;
+        }
+        items.forEach((item, index) => {
+          const data = {
+            "@index": index,
+            "@number": index + 1,
+            "@first": index === 0,
+            "@last": index === items.length - 1,
+          };
+          out += renderNodes(node.children, [...scopes, { value: item, data }], missing);
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return out;
+}
+
+// --- Public API -----------------------------------------------------
+
+/**
+ * Parse a template once; render it many times.
+ * Throws TemplateError ("template_syntax" / "unknown_filter") on bad input.
+ */
+export function compileTemplate(template) {
+  const ast = parse(template);
+
+  return {
+    variables: collectVariables(ast),
+    render(values, { strict = false } = {}) {
+      const missing = new Set();
+      const out = renderNodes(ast, [{ value: values || {} }], missing);
+      if (strict && missing.size > 0) {
+        throw new TemplateError(
+          "missing_variable",
+          `Missing template variable(s): ${[...missing].join(", ")}`,
+          { missing: [...missing] }
+        );
+      }
+      return out;
+    },
+  };
+}
+
+function collectVariables(nodes, depth = 0, found = new Set()) {
+  for (const node of nodes) {
+    if (node.type === "text") continue;
+
+    const [head, next] = node.path;
+    if (head === "@root" && next) found.add(next);
+    else if (depth === 0 && head !== "this" && !head.startsWith("@")) found.add(head);
+
+    if (node.children) {
+      collectVariables(node.children, depth + (node.type === "each" ? 1 : 0), found);
+      collectVariables(node.alternate, depth, found);
+    }
+  }
+  return found;
+}
+
+/**
+ * Top-level variable names a template reads, sorted. Names used inside
+ * {{#each}} blocks are item fields and are not listed, except when read
+ * through @root.
+ */
+export function templateVariables(template) {
+  return [...compileTemplate(template).variables].sort();
+}
+
+/**
+ * Render a template against `values`.
+ * Options: { strict } - throw on missing variables instead of rendering "".
+ */
+export function fillTemplate(template, values, options = {}) {
+  return compileTemplate(template).render(values, options);
 }
@@ -0,0 +1,318 @@
+// scripts/eval.js
+//
+// Offline evaluation harness: runs the golden cases in eval/golden.json
+// through the real handlers (/api/generate, /api/rewrite,
+// /api/analyse-statements, /api/query), measures the output and compares
+// the run with a baseline run, so prompt and model changes can be judged
+// before they ship.
+//
+//   npm run eval -- [options]
+//
+//   --llm recorded|live   recorded (default): model calls are replayed
+//                         from eval/recordings/<caseId>/ (REPLAY_MODE=replay,
+//                         see api/lib/replay.js); no network, no API keys.
+//                         live: calls the providers configured for
+//                         api/lib/llm.js.
+//   --record              with --llm live: save the case's calls as its
+//                         new recordings (REPLAY_MODE=record), replacing
+//                         the old ones when the case runs without error
+//   --case <id>           only run this case (repeatable)
+//   --baseline <file>     run to compare with (default eval/baseline.json)
+//   --save-baseline       write this run to the baseline file
+//   --out <file>          also write this run to <file>
+//
+// Each draft is measured with the heuristic score (utils/scoreDraft.js),
+// the house style linter for the case's style guide and the case's
+// expected facts and forbidden phrases; analysis cases check expected
+// verdicts (eval/lib/metrics.js). Web search always uses the fixture
+// provider so runs stay comparable.
+//
+// Recordings are keyed by the full request, so any change to a prompt or
+// its parameters is a replay miss (a case error naming the prompt) until
+// the case is re-recorded.
+//
+// Exits with 1 when a case errors, or when the run regresses against the
+// baseline (or, without a baseline, when a case fails).
+
+import { readFile, writeFile, mkdir, rm, rename } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { measureDraft, checkVerdicts } from "../eval/lib/metrics.js";
+import { compareRuns } from "../eval/lib/compare.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const GOLDEN_FILE = path.join(ROOT, "eval/golden.json");
+const RECORDINGS_DIR = path.join(ROOT, "eval/recordings");
+const DEFAULT_BASELINE = path.join(ROOT, "eval/baseline.json");
+
+// Run file format version (not the golden suite's version).
+const RUN_FORMAT = 1;
+
+const HANDLERS = {
+  generate: "../api/generate.js",
+  rewrite: "../api/rewrite.js",
+  "analyse-statements": "../api/analyse-statements.js",
+  query: "../api/query.js",
+};
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT" && fallback !== undefined) return fallback;
+    throw new Error(`Could not read ${path.relative(ROOT, file)}: ${err.message}`);
+  }
+}
+
+async function writeJson(file, data) {
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+// Call a pipeline handler in-process with a minimal req/res pair.
+async function invoke(handler, body) {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    end() {
+      return this;
+    },
+  };
+  await handler({ method: "POST", headers: {}, body, query: {} }, res);
+  return res;
+}
+
+function caseOutputs(testCase, body) {
+  const expect = testCase.expect || {};
+
+  if (testCase.endpoint === "analyse-statements") {
+    return [{ name: "statements", verdicts: checkVerdicts(body.statements, expect.verdicts) }];
+  }
+
+  const drafts =
+    testCase.endpoint === "rewrite"
+      ? [{ name: "draft", text: body.text }]
+      : testCase.endpoint === "query"
+      ? [{ name: "answer", text: body.answer }]
+      : Array.isArray(body.drafts)
+      ? body.drafts.map((d) => ({ name: d.outputType, text: d.draftText }))
+      : [{ name: "draft", text: body.draftText }];
+
+  return drafts.map(({ name, text }) => ({
+    name,
+    metrics: measureDraft(text, {
+      styleGuideId: testCase.request?.styleGuideId,
+      facts: expect.facts,
+      forbidden: expect.forbidden,
+    }),
+  }));
+}
+
+function outputProblems({ name, metrics, verdicts }) {
+  const problems = [];
+  if (metrics) {
+    for (const fact of metrics.facts.missing) problems.push(`${name}: missing fact "${fact}"`);
+    for (const phrase of metrics.forbidden) problems.push(`${name}: contains "${phrase}"`);
+  }
+  for (const v of verdicts || []) {
+    if (!v.ok) {
+      problems.push(`${name}: "${v.statement}" is ${v.actual || "not found"}, expected ${v.expected}`);
+    }
+  }
+  return problems;
+}
+
+function caseResult(testCase, res) {
+  const base = { id: testCase.id, endpoint: testCase.endpoint };
+
+  if (res.body?.code === "replay_miss") {
+    return {
+      ...base,
+      status: "error",
+      error: `${res.body.error.replace(/ Record it .*$/, "")} Re-record with --llm live --record.`,
+      outputs: [],
+      problems: [],
+    };
+  }
+  if (res.statusCode !== 200 || !res.body || res.body.ok === false) {
+    const detail = res.body?.details ? ` (${JSON.stringify(res.body.details)})` : "";
+    return {
+      ...base,
+      status: "error",
+      error: `HTTP ${res.statusCode}: ${res.body?.error || "no response body"}${detail}`,
+      outputs: [],
+      problems: [],
+    };
+  }
+
+  const outputs = caseOutputs(testCase, res.body);
+  const problems = outputs.flatMap(outputProblems);
+  return { ...base, status: problems.length ? "fail" : "pass", outputs, problems };
+}
+
+// Run one case with REPLAY_DIR pointing at its recordings. New recordings
+// go to a scratch folder that only replaces the old one on success.
+async function runCase(testCase, handler, { record }) {
+  const caseDir = path.join(RECORDINGS_DIR, testCase.id);
+  const scratchDir = `${caseDir}.recording`;
+  if (record) await rm(scratchDir, { recursive: true, force: true });
+  process.env.REPLAY_DIR = record ? scratchDir : caseDir;
+
+  const result = caseResult(testCase, await invoke(handler, testCase.request || {}));
+
+  if (record) {
+    if (result.status === "error") {
+      await rm(scratchDir, { recursive: true, force: true });
+    } else {
+      await rm(caseDir, { recursive: true, force: true });
+      await rename(scratchDir, caseDir).catch((err) => {
+        // A case without model calls records nothing.
+        if (err.code !== "ENOENT") throw err;
+      });
+    }
+  }
+  return result;
+}
+
+function describeOutput(output) {
+  if (output.verdicts) {
+    const met = output.verdicts.filter((v) => v.ok).length;
+    return `${output.name}: verdicts ${met}/${output.verdicts.length}`;
+  }
+  const m = output.metrics;
+  return (
+    `${output.name}: heuristic ${m.heuristic.toFixed(2)}, style ${m.style.violations}, ` +
+    `facts ${m.facts.found}/${m.facts.expected}, ${m.words} words`
+  );
+}
+
+function printRun(run) {
+  console.log(`Golden suite v${run.suite.version}, llm: ${run.llm}, ${run.cases.length} case(s)`);
+  for (const c of run.cases) {
+    console.log(`  ${c.status.toUpperCase().padEnd(5)} ${c.id}`);
+    if (c.error) console.log(`        ${c.error}`);
+    for (const output of c.outputs) console.log(`        ${describeOutput(output)}`);
+    for (const problem of c.problems) console.log(`        ! ${problem}`);
+  }
+}
+
+function printComparison(comparison, baselineFile) {
+  const { regressions, improvements, added, removed } = comparison;
+  const describe = (e) =>
+    `${e.caseId}${e.output ? `/${e.output}` : ""}: ${e.metric} ${e.before} -> ${e.after}`;
+
+  console.log(`\nCompared with ${path.relative(ROOT, baselineFile)}:`);
+  console.log(`  ${regressions.length} regression(s)`);
+  regressions.forEach((e) => console.log(`    - ${describe(e)}`));
+  console.log(`  ${improvements.length} improvement(s)`);
+  improvements.forEach((e) => console.log(`    + ${describe(e)}`));
+  if (added.length) console.log(`  new cases: ${added.join(", ")}`);
+  if (removed.length) console.log(`  cases missing from this run: ${removed.join(", ")}`);
+}
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      llm: { type: "string", default: "recorded" },
+      record: { type: "boolean", default: false },
+      case: { type: "string", multiple: true },
+      baseline: { type: "string" },
+      "save-baseline": { type: "boolean", default: false },
+      out: { type: "string" },
+    },
+  });
+
+  const mode = args.llm;
+  if (mode !== "recorded" && mode !== "live") {
+    throw new Error(`--llm must be "recorded" or "live", not "${mode}"`);
+  }
+  if (args.record && mode !== "live") {
+    throw new Error("--record needs --llm live");
+  }
+
+  const golden = await readJson(GOLDEN_FILE);
+  const unknown = (args.case || []).filter((id) => !golden.cases.some((c) => c.id === id));
+  if (unknown.length > 0) throw new Error(`Unknown case(s): ${unknown.join(", ")}`);
+  const cases = args.case ? golden.cases.filter((c) => args.case.includes(c.id)) : golden.cases;
+
+  // The handlers read their required environment when they load, so the
+  // mode has to be set before they are imported (replay needs no keys).
+  process.env.WEB_SEARCH_PROVIDER = "fixture";
+  if (mode === "recorded") process.env.REPLAY_MODE = "replay";
+  else if (args.record) process.env.REPLAY_MODE = "record";
+  else delete process.env.REPLAY_MODE;
+
+  const handlers = {};
+  for (const [endpoint, modulePath] of Object.entries(HANDLERS)) {
+    handlers[endpoint] = (await import(modulePath)).default;
+  }
+
+  const results = [];
+  for (const testCase of cases) {
+    if (!handlers[testCase.endpoint]) {
+      results.push({
+        id: testCase.id,
+        endpoint: testCase.endpoint,
+        status: "error",
+        error: `Unknown endpoint "${testCase.endpoint}"`,
+        outputs: [],
+        problems: [],
+      });
+      continue;
+    }
+    results.push(await runCase(testCase, handlers[testCase.endpoint], { record: args.record }));
+  }
+
+  const run = {
+    format: RUN_FORMAT,
+    suite: { version: golden.version },
+    llm: mode,
+    cases: results,
+  };
+  printRun(run);
+
+  const baselineFile = path.resolve(args.baseline || DEFAULT_BASELINE);
+  const baseline = await readJson(baselineFile, null);
+  let comparison = null;
+  if (baseline) {
+    if (baseline.suite?.version !== run.suite.version) {
+      console.log(
+        `\nNote: the baseline is from golden suite v${baseline.suite?.version}; cases are compared by ID.`
+      );
+    }
+    comparison = compareRuns(run, baseline);
+    printComparison(comparison, baselineFile);
+  } else {
+    console.log(`\nNo baseline at ${path.relative(ROOT, baselineFile)}; nothing to compare.`);
+  }
+
+  if (args.out) await writeJson(path.resolve(args.out), run);
+  if (args["save-baseline"]) {
+    await writeJson(baselineFile, run);
+    console.log(`Saved this run as the baseline (${path.relative(ROOT, baselineFile)}).`);
+  }
+
+  const errored = run.cases.some((c) => c.status === "error");
+  const failed = comparison
+    ? comparison.regressions.length > 0
+    : run.cases.some((c) => c.status === "fail");
+  process.exitCode = errored || failed ? 1 : 0;
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exitCode = 1;
+});
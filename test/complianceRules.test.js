@@ -0,0 +1,86 @@
+// test/complianceRules.test.js
+//
+// The deterministic rules in helpers/complianceRules.js, run the way
+// /api/compliance-check runs them: over the split statements of a draft.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkCompliance } from "../helpers/complianceRules.js";
+import { splitStatements } from "../api/lib/statements.js";
+
+function ruleIds(text) {
+  return checkCompliance(text, splitStatements(text)).map((f) => f.ruleId);
+}
+
+function matches(text, ruleId) {
+  return checkCompliance(text, splitStatements(text))
+    .filter((f) => f.ruleId === ruleId)
+    .map((f) => f.match);
+}
+
+const SUPERLATIVE = "compliance.unattributed-superlative";
+const PERFORMANCE = "compliance.performance-claim";
+const FORWARD = "compliance.forward-looking-unhedged";
+
+test("superlatives are flagged unless attributed to a source", () => {
+  assert.deepEqual(matches("We delivered market-leading returns.", SUPERLATIVE), ["market-leading"]);
+  assert.deepEqual(matches("Ranked market-leading by Preqin in 2024.", SUPERLATIVE), []);
+  assert.deepEqual(matches("According to Preqin, a market-leading manager.", SUPERLATIVE), []);
+});
+
+test('"per" is not an attribution', () => {
+  assert.deepEqual(
+    matches("The fund delivered market-leading returns of 12% per annum.", SUPERLATIVE),
+    ["market-leading"]
+  );
+  assert.deepEqual(matches("A market-leading dividend per share.", SUPERLATIVE), [
+    "market-leading",
+  ]);
+});
+
+test('"ranked" and "named" only attribute with a source after them', () => {
+  assert.deepEqual(
+    matches("We named a new CFO to lead our market-leading finance team.", SUPERLATIVE),
+    ["market-leading"]
+  );
+  assert.deepEqual(
+    matches("Our market-leading team ranked the assets internally.", SUPERLATIVE),
+    ["market-leading"]
+  );
+  assert.deepEqual(
+    matches("The market-leading team was named manager of the year by PEI.", SUPERLATIVE),
+    []
+  );
+});
+
+test('"returned" is a performance claim only with a figure', () => {
+  assert.deepEqual(matches("Capital was returned to investors in March.", PERFORMANCE), []);
+  assert.deepEqual(matches("The fund returned 12% last year.", PERFORMANCE), ["returned 12%"]);
+  assert.deepEqual(matches("Fund I returned a net 2.1x to investors.", PERFORMANCE), [
+    "returned a net 2.1x",
+  ]);
+  assert.deepEqual(
+    ruleIds("The fund returned 12%. Past performance is not a reliable indicator of future results."),
+    []
+  );
+});
+
+test('scheduled facts with "will" are not forward-looking claims', () => {
+  for (const text of [
+    "The capital call will be due on 15 March.",
+    "The annual meeting will be held in London.",
+    "Distributions will be paid quarterly.",
+    "The fee will be payable on closing.",
+  ]) {
+    assert.deepEqual(matches(text, FORWARD), [], text);
+  }
+  assert.deepEqual(matches("The fund will deliver strong returns.", FORWARD), ["will"]);
+});
+
+test("absolute future claims get a measured rewording", () => {
+  const [flag] = checkCompliance(
+    "The fund will double in value.",
+    splitStatements("The fund will double in value.")
+  ).filter((f) => f.ruleId === FORWARD);
+  assert.equal(flag.suggestion, "The fund may double in value.");
+});
@@ -0,0 +1,72 @@
+// test/diff.test.js
+//
+// Word diff in api/lib/diff.js, including the paragraph fallback for long
+// texts that were rewritten throughout.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffWords } from "../api/lib/diff.js";
+
+// Rebuild both texts from the ops, which must give back the inputs.
+function replay(ops, after) {
+  return {
+    before: ops.filter((o) => o.op !== "insert").map((o) => o.text).join(""),
+    after: ops
+      .filter((o) => o.op !== "delete")
+      .map((o) => (o.op === "insert" ? o.text : after.slice(o.afterStart, o.afterEnd)))
+      .join(""),
+  };
+}
+
+test("a replaced word is one delete and one insert", () => {
+  const ops = diffWords("The fund closed in 2019.", "The fund launched in 2019.");
+  assert.deepEqual(
+    ops.map((o) => [o.op, o.text]),
+    [
+      ["equal", "The fund "],
+      ["delete", "closed"],
+      ["insert", "launched"],
+      ["equal", " in 2019."],
+    ]
+  );
+});
+
+test("re-wrapping is not a change, but a paragraph break is", () => {
+  assert.deepEqual(
+    diffWords("One two\nthree.", "One two three.").map((o) => o.op),
+    ["equal"]
+  );
+  assert.deepEqual(
+    diffWords("One two three.", "One two\n\nthree.").map((o) => o.op),
+    ["equal", "delete", "insert", "equal"]
+  );
+});
+
+test("ops cover both texts", () => {
+  const before = "Alpine Growth Fund II closed at USD 20 million.\n\nIt invests in Europe.";
+  const after =
+    "Alpine Growth Fund II closed at USD 25 million in 2019.\n\nIt invests across Europe.";
+  assert.deepEqual(replay(diffWords(before, after), after), { before, after });
+});
+
+test("long texts rewritten throughout fall back to paragraphs, quickly", () => {
+  const paragraph = (seed, i) =>
+    Array.from({ length: 80 }, (_, j) => `w${(seed * 7919 + i * 104729 + j * 31) % 5003}`)
+      .join(" ");
+  const text = (seed) =>
+    Array.from({ length: 100 }, (_, i) =>
+      i === 50 ? "Unchanged paragraph." : paragraph(seed, i)
+    ).join("\n\n");
+  const before = text(1);
+  const after = text(2);
+
+  const started = Date.now();
+  const ops = diffWords(before, after);
+  assert.ok(Date.now() - started < 5000);
+
+  assert.deepEqual(replay(ops, after), { before, after });
+  assert.ok(ops.some((o) => o.op === "equal" && o.text.includes("Unchanged paragraph.")));
+  // Whole paragraphs, not thousands of word ops.
+  assert.ok(ops.length < 300);
+  assert.ok(ops.every((o) => o.op === "equal" || /^\s*w\d+/.test(o.text)));
+});
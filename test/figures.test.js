@@ -0,0 +1,25 @@
+// test/figures.test.js
+//
+// Figure extraction in helpers/figures.js.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractFigures } from "../helpers/figures.js";
+
+function values(text) {
+  return extractFigures(text).map((f) => [f.kind, f.raw, f.value]);
+}
+
+test("magnitude letters and words scale the amount", () => {
+  assert.deepEqual(values("USD 5m."), [["money", "USD 5m", 5000000]]);
+  assert.deepEqual(values("EUR 5 m"), [["money", "EUR 5 m", 5000000]]);
+  assert.deepEqual(values("10 bn"), [["number", "10 bn", 10000000000]]);
+  assert.deepEqual(values("5 million sq ft"), [["number", "5 million", 5000000]]);
+});
+
+test("units that start with a magnitude letter are not magnitudes", () => {
+  assert.deepEqual(values("5 m2 of office space"), [["number", "5", 5]]);
+  assert.deepEqual(values("5 m² of office space"), [["number", "5", 5]]);
+  assert.deepEqual(values("5 M sq ft of logistics space"), [["number", "5", 5]]);
+  assert.deepEqual(values("5m sq ft"), [["number", "5", 5]]);
+});
@@ -0,0 +1,127 @@
+// test/numberFormat.test.js
+//
+// Unit tests for helpers/numberFormat.js and the style guide wiring that
+// applies it to model output (applyStyleGuide).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  findCurrencyFixes,
+  findSeparatorFixes,
+  groupThousands,
+  normaliseNumbers,
+} from "../helpers/numberFormat.js";
+import { resolveStyleGuide, applyStyleGuide } from "../helpers/styleGuides.js";
+
+const normalised = (text, options) => normaliseNumbers(text, options).text;
+
+test("currency symbols become ISO codes before the amount", () => {
+  assert.equal(normalised("$250"), "USD 250");
+  assert.equal(normalised("S$5m"), "SGD 5 million");
+  assert.equal(normalised("€2.5bn"), "EUR 2.5 billion");
+  assert.equal(normalised("£40m"), "GBP 40 million");
+  assert.equal(normalised("CHF 10m"), "CHF 10 million");
+  assert.equal(normalised("10m CHF"), "CHF 10 million");
+  assert.equal(normalised("JPY 500m"), "JPY 500 million");
+  assert.equal(normalised("USD 10 million"), "USD 10 million");
+});
+
+test("ambiguous symbols are flagged but not fixed", () => {
+  const [edit] = findCurrencyFixes("¥300m");
+  assert.equal(edit.match, "¥300m");
+  assert.equal(edit.replacement, null);
+  assert.equal(normalised("¥300m"), "¥300m");
+  assert.equal(normalised("¥300m", { symbolCurrencies: { "¥": "JPY" } }), "JPY 300 million");
+});
+
+test("magnitude suffixes are written out; thousands are multiplied out", () => {
+  assert.equal(normalised("$10m"), "USD 10 million");
+  assert.equal(normalised("$1.2bn"), "USD 1.2 billion");
+  assert.equal(normalised("EUR 3mn"), "EUR 3 million");
+  assert.equal(normalised("£250k"), "GBP 250'000");
+  assert.equal(normalised("£2.5k"), "GBP 2'500");
+});
+
+test("ranges share one currency code and magnitude", () => {
+  assert.equal(normalised("$10-15m"), "USD 10-15 million");
+  assert.equal(normalised("€10m-€15m"), "EUR 10-15 million");
+  assert.equal(normalised("$10m–$1bn"), "USD 10 million-1 billion");
+  assert.equal(normalised("USD 5-EUR 6"), "USD 5-EUR 6");
+  // An amount followed by a year is not a range.
+  assert.equal(normalised("$10m to 2025"), "USD 10 million to 2025");
+  assert.equal(normalised("$10m – 2025"), "USD 10 million – 2025");
+});
+
+test('"to" does not make a range', () => {
+  assert.equal(
+    normalised("EBITDA rose from USD 5 million to USD 7 million."),
+    "EBITDA rose from USD 5 million to USD 7 million."
+  );
+  assert.equal(
+    normalised("Revenue grew from $5m to $7m."),
+    "Revenue grew from USD 5 million to USD 7 million."
+  );
+  assert.equal(normalised("We paid $10 to 20 people."), "We paid USD 10 to 20 people.");
+  assert.equal(normalised("USD 10 to 15 million"), "USD 10 to 15 million");
+});
+
+test("calendar years are left alone", () => {
+  const text = "Founded in 1999, the fund closed in 2025 and reported for 2024.";
+  assert.equal(normalised(text), text);
+  assert.equal(normalised(text, { thousandsSeparator: "," }), text);
+  assert.deepEqual(findSeparatorFixes("In 2025 the fund raised more."), []);
+});
+
+test("four-digit amounts after a currency are grouped", () => {
+  assert.equal(normalised("USD 5500"), "USD 5'500");
+  assert.equal(normalised("USD 5500", { thousandsSeparator: "," }), "USD 5,500");
+});
+
+test("the thousands separator follows the option", () => {
+  assert.equal(groupThousands("5500000"), "5'500'000");
+  assert.equal(groupThousands("5500000.25", ","), "5,500,000.25");
+  assert.equal(normalised("USD 1,500,000"), "USD 1'500'000");
+  assert.equal(normalised("USD 1'500'000", { thousandsSeparator: "," }), "USD 1,500,000");
+  assert.equal(normalised("EUR 1,500,000-2,000,000"), "EUR 1'500'000-2'000'000");
+  assert.equal(normalised("1,500 million"), "1'500 million");
+});
+
+test("numbers that are not amounts are flagged but never rewritten", () => {
+  const text = "ID 123456, account 12,345,678.";
+  const edits = findSeparatorFixes(text);
+  assert.equal(edits.length, 2);
+  assert.ok(edits.every((e) => e.replacement === null));
+  assert.equal(normalised(text), text);
+});
+
+test("each style guide applies its own separator", () => {
+  const text = "The fund raised $1,500,000 and USD 2500000 in 2025.";
+  assert.equal(
+    applyStyleGuide(text, resolveStyleGuide("default")),
+    "The fund raised USD 1'500'000 and USD 2'500'000 in 2025."
+  );
+  assert.equal(
+    applyStyleGuide(text, resolveStyleGuide("sample_client")),
+    "The fund raised USD 1,500,000 and USD 2,500,000 in 2025."
+  );
+});
+
+test("running the fixer twice changes nothing", () => {
+  const samples = [
+    "$10-15m, S$5m, €2.5bn, £250k, 10m CHF, JPY 500m and ¥300m in 2025.",
+    "USD 1,500,000 and EUR 5500 for ID 123456.",
+  ];
+  for (const options of [{}, { thousandsSeparator: "," }]) {
+    for (const sample of samples) {
+      const once = normaliseNumbers(sample, options);
+      const twice = normaliseNumbers(once.text, options);
+      assert.equal(twice.text, once.text);
+      assert.ok(twice.edits.every((e) => e.replacement === null));
+    }
+  }
+  for (const id of ["default", "sample_client"]) {
+    const guide = resolveStyleGuide(id);
+    const once = applyStyleGuide(samples[0], guide);
+    assert.equal(applyStyleGuide(once, guide), once);
+  }
+});
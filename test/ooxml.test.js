@@ -0,0 +1,59 @@
+// test/ooxml.test.js
+//
+// Package opening in api/lib/documents/ooxml.js, mainly the zip bomb
+// guard, which must count inflated bytes rather than trust the sizes the
+// archive declares.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { zipSync, strToU8 } from "fflate";
+import { openPackage } from "../api/lib/documents/ooxml.js";
+import { extractDocx } from "../api/lib/documents/docx.js";
+
+const DOCUMENT_XML =
+  '<?xml version="1.0" encoding="UTF-8"?>' +
+  '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+  "<w:body><w:p><w:r><w:t>Fund II closed at USD 20 million.</w:t></w:r></w:p></w:body>" +
+  "</w:document>";
+
+// Overwrite the uncompressed size of every entry, in both the local file
+// headers and the central directory, the way a hostile archive would.
+function falsifySizes(zip, size) {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  for (let i = 0; i + 4 <= zip.length; i++) {
+    const sig = view.getUint32(i, true);
+    if (sig === 0x04034b50) view.setUint32(i + 22, size, true);
+    if (sig === 0x02014b50) view.setUint32(i + 24, size, true);
+  }
+  return zip;
+}
+
+test("a small package opens and parses", () => {
+  const zip = zipSync({
+    "word/document.xml": strToU8(DOCUMENT_XML),
+    "word/media/image1.png": new Uint8Array(64),
+  });
+  const pkg = openPackage(Buffer.from(zip));
+  assert.equal(pkg.has("word/document.xml"), true);
+  assert.equal(pkg.has("word/media/image1.png"), false);
+  assert.match(extractDocx(Buffer.from(zip)).text, /USD 20 million/);
+});
+
+test("stored (uncompressed) parts are read too", () => {
+  const zip = zipSync({ "word/document.xml": strToU8(DOCUMENT_XML) }, { level: 0 });
+  assert.match(extractDocx(Buffer.from(zip)).text, /USD 20 million/);
+});
+
+test("a part that inflates past the cap is refused even with a falsified size", () => {
+  const zip = falsifySizes(
+    zipSync({ "word/document.xml": new Uint8Array(100 * 1024 * 1024) }, { level: 9 }),
+    1024
+  );
+  assert.throws(() => openPackage(Buffer.from(zip)), { code: "document_too_large" });
+});
+
+test("files that are not zips are unreadable", () => {
+  assert.throws(() => openPackage(Buffer.from("PK not really a zip")), {
+    code: "document_unreadable",
+  });
+});
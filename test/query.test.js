@@ -0,0 +1,114 @@
+// test/query.test.js
+//
+// Conversation handling in /api/query when the history summary cannot be
+// made: the request still gets an answer, with the older turns dropped.
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { registerLlmProvider } from "../api/lib/llm.js";
+import { ReplayMissError } from "../api/lib/replay.js";
+
+const saved = {
+  LLM_ASK_PROVIDER: process.env.LLM_ASK_PROVIDER,
+  REPLAY_MODE: process.env.REPLAY_MODE,
+};
+
+let summarise = async () => "Summary.";
+registerLlmProvider("query-test", {
+  createClient: () => ({
+    chat: {
+      completions: {
+        create: async ({ model, messages }) => {
+          if (messages[0].content.startsWith("You summarise")) {
+            return { model, choices: [{ message: { content: await summarise() } }] };
+          }
+          const answer = {
+            answer: "USD 20 million.",
+            confidence: 0.8,
+            confidenceReason: "Stated in the conversation.",
+            references: [],
+          };
+          return { model, choices: [{ message: { content: JSON.stringify(answer) } }] };
+        },
+      },
+    },
+  }),
+});
+process.env.LLM_ASK_PROVIDER = "query-test";
+delete process.env.REPLAY_MODE;
+
+// Imported after the provider is set, so the handler's required
+// environment is the test provider's (none).
+const { default: queryHandler } = await import("../api/query.js");
+
+after(() => {
+  for (const [key, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+function invoke(body) {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    setHeader() {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    end() {
+      return this;
+    },
+  };
+  return queryHandler({ method: "POST", headers: {}, body }, res).then(() => res);
+}
+
+const history = [1, 2, 3, 4].map((n) => ({
+  question: `What did Fund ${n} raise?`,
+  answer: `Fund ${n} raised USD ${n * 10} million. `.repeat(20),
+}));
+const request = {
+  question: "And the fund before that?",
+  history,
+  historyTokenBudget: 300,
+  summariseHistory: true,
+};
+
+test("older turns are summarised when the summary call works", async () => {
+  summarise = async () => "Funds 1-4 raised USD 10, 20, 30 and 40 million.";
+  const res = await invoke(request);
+  assert.equal(res.statusCode, 200);
+  // The summary's share of the budget leaves no room for a full turn.
+  assert.deepEqual(res.body.meta.conversation.summarised, [0, 1, 2, 3]);
+  assert.equal(res.body.meta.conversation.summaryFailed, undefined);
+});
+
+test("a failed summary drops the older turns instead of failing the request", async () => {
+  summarise = async () => {
+    throw new Error("upstream timeout");
+  };
+  const res = await invoke(request);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.answer, "USD 20 million.");
+
+  const { conversation } = res.body.meta;
+  assert.equal(conversation.summaryFailed, true);
+  assert.equal(conversation.summary, null);
+  assert.deepEqual(conversation.summarised, []);
+  assert.deepEqual(conversation.used, [3]);
+  assert.deepEqual(conversation.dropped, [0, 1, 2]);
+});
+
+test("replay misses in the summary call still fail the request", async () => {
+  summarise = async () => {
+    throw new ReplayMissError("llm", "abc", "summary");
+  };
+  const res = await invoke(request);
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.code, "replay_miss");
+});
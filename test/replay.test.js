@@ -0,0 +1,112 @@
+// test/replay.test.js
+//
+// Unit tests for the record/replay layer (api/lib/replay.js) and the
+// replayable model client built on it (api/lib/llm.js).
+
+import { test, beforeEach, afterEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import {
+  replayMode,
+  recordingKey,
+  replayable,
+  ReplayMissError,
+} from "../api/lib/replay.js";
+import { resolveLlm, registerLlmProvider } from "../api/lib/llm.js";
+
+const saved = { REPLAY_MODE: process.env.REPLAY_MODE, REPLAY_DIR: process.env.REPLAY_DIR };
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(path.join(os.tmpdir(), "replay-test-"));
+  process.env.REPLAY_DIR = dir;
+  delete process.env.REPLAY_MODE;
+});
+
+afterEach(() => rm(dir, { recursive: true, force: true }));
+
+after(() => {
+  for (const [key, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+test("replayMode accepts record, replay and off, and rejects typos", () => {
+  assert.equal(replayMode(), null);
+  process.env.REPLAY_MODE = "off";
+  assert.equal(replayMode(), null);
+  process.env.REPLAY_MODE = " Replay ";
+  assert.equal(replayMode(), "replay");
+  process.env.REPLAY_MODE = "recrod";
+  assert.throws(() => replayMode(), /Unknown REPLAY_MODE/);
+});
+
+test("recording keys ignore key order, line endings and empty fields", () => {
+  const a = recordingKey("llm", { model: "m", messages: [{ role: "user", content: "Hi\r\n" }] });
+  const b = recordingKey("llm", { messages: [{ content: "Hi", role: "user" }], model: "m", seed: null });
+  assert.equal(a, b);
+  assert.notEqual(a, recordingKey("llm", { model: "m", messages: [{ role: "user", content: "Hello" }] }));
+  assert.notEqual(a, recordingKey("search", { model: "m", messages: [{ role: "user", content: "Hi" }] }));
+});
+
+test("record saves a response that replay serves without calling out", async () => {
+  const request = { provider: "stub", query: "Alpine Growth Fund III" };
+  process.env.REPLAY_MODE = "record";
+  const recorded = await replayable("search", request, async () => ({ results: [{ url: "https://example.com" }] }));
+
+  process.env.REPLAY_MODE = "replay";
+  const replayed = await replayable("search", request, () => assert.fail("replay must not call out"));
+  assert.deepEqual(replayed, recorded);
+});
+
+test("replay of an unrecorded request is a replay_miss error", async () => {
+  process.env.REPLAY_MODE = "replay";
+  await assert.rejects(
+    replayable("search", { query: "never recorded" }, async () => ({})),
+    (err) => err instanceof ReplayMissError && err.status === 500 && err.code === "replay_miss"
+  );
+});
+
+test("model calls replay as completions and as streams", async () => {
+  let calls = 0;
+  registerLlmProvider("replay-test", {
+    createClient: () => ({
+      chat: {
+        completions: {
+          create: async ({ model }) => {
+            calls += 1;
+            return {
+              model,
+              choices: [{ message: { content: "Recorded answer." }, finish_reason: "stop" }],
+              usage: { total_tokens: 3 },
+            };
+          },
+        },
+      },
+    }),
+  });
+  process.env.LLM_ASK_PROVIDER = "replay-test";
+  try {
+    const params = { model: "test-model", messages: [{ role: "user", content: "Question?" }] };
+
+    process.env.REPLAY_MODE = "record";
+    await resolveLlm("ask").client.chat.completions.create(params);
+
+    process.env.REPLAY_MODE = "replay";
+    const { client } = resolveLlm("ask");
+    const completion = await client.chat.completions.create(params);
+    assert.equal(completion.choices[0].message.content, "Recorded answer.");
+
+    let streamed = "";
+    for await (const chunk of await client.chat.completions.create({ ...params, stream: true })) {
+      streamed += chunk.choices[0]?.delta?.content || "";
+    }
+    assert.equal(streamed, "Recorded answer.");
+    assert.equal(calls, 1);
+  } finally {
+    delete process.env.LLM_ASK_PROVIDER;
+  }
+});
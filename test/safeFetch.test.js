@@ -0,0 +1,167 @@
+// test/safeFetch.test.js
+//
+// The SSRF guard in api/lib/safeFetch.js: the address policy, URL checks,
+// and the redirect and size limits of safeFetch() itself.
+//
+// Loopback is (rightly) refused by the guard, so the fetch tests point a
+// made-up hostname at a local server by swapping the `lookup` the guard
+// hands to http.request. The address policy itself is tested directly.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import dns from "node:dns";
+import zlib from "node:zlib";
+import { isBlockedAddress, parseTarget, safeFetch } from "../api/lib/safeFetch.js";
+
+test("loopback, private, link-local and reserved addresses are blocked", () => {
+  for (const address of [
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.16.0.1",
+    "192.168.1.1",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "224.0.0.1",
+    "::1",
+    "::",
+    "fe80::1",
+    "fc00::1",
+    "fd12:3456::1",
+  ]) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+});
+
+test("IPv4 wrapped in IPv6 is checked as IPv4", () => {
+  for (const address of [
+    "::ffff:127.0.0.1", // mapped
+    "::ffff:7f00:1",
+    "0:0:0:0:0:ffff:a00:1",
+    "::127.0.0.1", // compatible
+    "::7f00:1",
+    "::a9fe:a9fe",
+    "64:ff9b::10.0.0.1", // NAT64
+    "2002:7f00:0001::", // 6to4
+    "2002:0808:0808::1",
+    "2001:0:4136:e378:8000:63bf:3fff:fdd2", // Teredo
+  ]) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  assert.equal(isBlockedAddress("::ffff:8.8.8.8"), false);
+  assert.equal(isBlockedAddress("64:ff9b::8.8.8.8"), false);
+});
+
+test("public addresses and non-IPs", () => {
+  assert.equal(isBlockedAddress("8.8.8.8"), false);
+  assert.equal(isBlockedAddress("2606:4700::1111"), false);
+  assert.equal(isBlockedAddress("2001:4860:4860::8888"), false);
+  assert.equal(isBlockedAddress("example.com"), true);
+});
+
+test("parseTarget checks the scheme and IP literals, and resolves redirects", () => {
+  assert.equal(parseTarget("https://example.com/a").href, "https://example.com/a");
+  assert.equal(parseTarget("/b", new URL("https://example.com/a")).href, "https://example.com/b");
+  assert.throws(() => parseTarget("not a url"), { code: "invalid_url" });
+  assert.throws(() => parseTarget("file:///etc/passwd"), { code: "unsupported_scheme" });
+  assert.throws(() => parseTarget("ftp://example.com"), { code: "unsupported_scheme" });
+  for (const url of [
+    "http://127.0.0.1/",
+    "http://[::1]/",
+    "http://[::127.0.0.1]/",
+    "http://[::ffff:169.254.169.254]/",
+    "http://[2002:7f00:1::]/",
+    "http://169.254.169.254/latest/meta-data",
+  ]) {
+    assert.throws(() => parseTarget(url), { code: "blocked_address" }, url);
+  }
+});
+
+// --- safeFetch against a local server ---------------------------------
+
+const HOST = "fetch-test.example";
+let server;
+let base;
+const originalRequest = http.request;
+const originalLookup = dns.lookup;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const hop = /^\/hop\/(\d+)$/.exec(req.url);
+    if (hop) {
+      res.writeHead(302, { Location: `/hop/${Number(hop[1]) + 1}` });
+      return res.end();
+    }
+    if (req.url === "/big") {
+      res.writeHead(200, { "Content-Type": "text/plain" });
+      return res.end("x".repeat(5000));
+    }
+    if (req.url === "/bomb") {
+      res.writeHead(200, { "Content-Type": "text/plain", "Content-Encoding": "gzip" });
+      return res.end(zlib.gzipSync("x".repeat(100000)));
+    }
+    if (req.url === "/internal") {
+      res.writeHead(302, { Location: "http://169.254.169.254/latest/meta-data" });
+      return res.end();
+    }
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    res.end("<p>ok</p>");
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://${HOST}:${server.address().port}`;
+
+  // Send HOST to the local server; every other name keeps the real guard.
+  http.request = (target, options, callback) => {
+    if (target.hostname !== HOST) return originalRequest(target, options, callback);
+    const lookup = (hostname, opts, cb) =>
+      opts.all ? cb(null, [{ address: "127.0.0.1", family: 4 }]) : cb(null, "127.0.0.1", 4);
+    return originalRequest(target, { ...options, lookup }, callback);
+  };
+});
+
+after(() => {
+  http.request = originalRequest;
+  dns.lookup = originalLookup;
+  server.close();
+});
+
+test("a plain fetch returns the decoded body", async () => {
+  const res = await safeFetch(`${base}/`);
+  assert.equal(res.status, 200);
+  assert.equal(res.contentType, "text/html");
+  assert.equal(res.body, "<p>ok</p>");
+});
+
+test("redirects are followed up to the limit", async () => {
+  const res = await safeFetch(`${base}/hop/0`, { maxRedirects: 5 }).catch((err) => err);
+  assert.equal(res.code, "too_many_redirects");
+  assert.equal(res.details.redirects.length, 5);
+
+  await assert.rejects(safeFetch(`${base}/hop/0`, { maxRedirects: 0 }), {
+    code: "too_many_redirects",
+  });
+});
+
+test("a redirect to a blocked address is refused", async () => {
+  await assert.rejects(safeFetch(`${base}/internal`), { code: "blocked_address" });
+});
+
+test("bodies over the byte cap are refused, also after decompression", async () => {
+  await assert.rejects(safeFetch(`${base}/big`, { maxBytes: 1000 }), {
+    code: "response_too_large",
+  });
+  await assert.rejects(safeFetch(`${base}/bomb`, { maxBytes: 10000 }), {
+    code: "response_too_large",
+  });
+});
+
+test("hostnames that resolve to private addresses are blocked", async () => {
+  dns.lookup = (hostname, options, callback) =>
+    callback(null, [{ address: "10.0.0.5", family: 4 }]);
+  try {
+    await assert.rejects(safeFetch("http://intranet.example/"), { code: "blocked_address" });
+  } finally {
+    dns.lookup = originalLookup;
+  }
+});
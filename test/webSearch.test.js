@@ -0,0 +1,60 @@
+// test/webSearch.test.js
+//
+// Provider resolution in api/lib/webSearch.js and its use by
+// /api/web-search, where the provider name comes from the request body.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveSearchProvider, listSearchProviders } from "../api/lib/webSearch.js";
+import webSearchHandler from "../api/web-search.js";
+
+function invoke(body) {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    setHeader() {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    end() {
+      return this;
+    },
+  };
+  return webSearchHandler({ method: "POST", headers: {}, body }, res).then(() => res);
+}
+
+test("known providers resolve by name", () => {
+  assert.deepEqual(listSearchProviders().sort(), ["fixture", "openai", "tavily"]);
+  assert.equal(resolveSearchProvider(" fixture "), "fixture");
+});
+
+test("Object.prototype member names are unknown providers", () => {
+  for (const name of ["__proto__", "constructor", "toString", "hasOwnProperty"]) {
+    assert.throws(() => resolveSearchProvider(name), { code: "unknown_search_provider" });
+  }
+});
+
+test("a non-string provider is rejected with a clear message", () => {
+  assert.throws(() => resolveSearchProvider(42), {
+    code: "unknown_search_provider",
+    message: "Web search provider must be a string",
+  });
+});
+
+test("/api/web-search answers bad provider names with a 400", async () => {
+  for (const provider of ["__proto__", "toString", ["fixture"], { name: "fixture" }]) {
+    const res = await invoke({ query: "Alpine Growth Fund", provider });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, "invalid_request");
+    assert.doesNotMatch(res.body.error, /is not a function/);
+  }
+
+  const ok = await invoke({ query: "Alpine Growth Fund", provider: "fixture" });
+  assert.equal(ok.statusCode, 200);
+  assert.equal(ok.body.provider, "fixture");
+});
@@ -10,79 +10,101 @@
 // - Presence of years / percentages / numbers (mild positive signal)
 // - Red-flag phrases that usually indicate "bad" AI output
 //
-// IMPORTANT: This function is async only so it fits the existing `await scoreDraft(...)`
-// call sites in /api/generate and /api/rewrite.
+// draftSignals() returns the score together with the signals behind it;
+// helpers/scoring.js combines it with the model rubric for the `score` on
+// /api/generate and /api/rewrite responses.
 
-export async function scoreDraft(text, model) {
-  if (!text || typeof text !== "string") {
-    return 0.4; // slightly below neutral if we have nothing
-  }
+const RED_FLAG_PHRASES = [
+  "as an ai language model",
+  "lorem ipsum",
+  "placeholder text",
+  "cannot browse the internet",
+  "i do not have access to real-time data",
+];
 
-  const raw = text.trim();
-  if (!raw) return 0.4;
+/**
+ * Heuristic score (0-1) and the signals that moved it away from the
+ * neutral 0.5: [{ id, delta, reason }].
+ */
+export function draftSignals(text) {
+  const raw = typeof text === "string" ? text.trim() : "";
+  if (!raw) {
+    // slightly below neutral if we have nothing
+    return {
+      score: 0.4,
+      signals: [{ id: "empty", delta: -0.1, reason: "The draft is empty." }],
+    };
+  }
 
   const words = raw.split(/\s+/).filter(Boolean);
   const wordCount = words.length;
   const sentenceCount = (raw.match(/[.!?]+/g) || []).length;
   const paragraphCount = raw.split(/\n{2,}/).filter(Boolean).length || 1;
 
-  let score = 0.5; // start from neutral
+  const signals = [];
+  const signal = (id, delta, reason) => signals.push({ id, delta, reason });
 
   // --- Length factor ---------------------------------------------------------
   // Penalise extremely short or very long drafts, reward "reasonable" length.
   if (wordCount < 50) {
-    score -= 0.15;
+    signal("length", -0.15, `Very short draft (${wordCount} words).`);
   } else if (wordCount < 150) {
-    score -= 0.05;
+    signal("length", -0.05, `Short draft (${wordCount} words).`);
   } else if (wordCount > 1200) {
-    score -= 0.05;
+    signal("length", -0.05, `Very long draft (${wordCount} words).`);
   } else {
-    score += 0.05;
+    signal("length", 0.05, `Reasonable length (${wordCount} words).`);
   }
 
   // --- Structure factor ------------------------------------------------------
   // A few sentences and multiple paragraphs is usually better than one blob.
-  if (sentenceCount >= 4) score += 0.05;
-  if (sentenceCount >= 8) score += 0.03;
-  if (paragraphCount >= 2) score += 0.05;
-  if (paragraphCount >= 4) score += 0.02;
+  if (sentenceCount >= 8) {
+    signal("sentences", 0.08, `${sentenceCount} sentences.`);
+  } else if (sentenceCount >= 4) {
+    signal("sentences", 0.05, `${sentenceCount} sentences.`);
+  }
+  if (paragraphCount >= 4) {
+    signal("paragraphs", 0.07, `${paragraphCount} paragraphs.`);
+  } else if (paragraphCount >= 2) {
+    signal("paragraphs", 0.05, `${paragraphCount} paragraphs.`);
+  }
 
   // --- Content hints ---------------------------------------------------------
   const lower = raw.toLowerCase();
 
   // Mild positive signals: years / percentages / numeric detail
-  if (/\b\d{4}\b/.test(raw)) score += 0.03; // likely years
-  if (/\b\d+(\.\d+)?%/.test(raw)) score += 0.03; // percentages
-  if (/\b\d{1,3}(,\d{3})+\b/.test(raw)) score += 0.03; // large formatted numbers
+  if (/\b\d{4}\b/.test(raw)) signal("years", 0.03, "Mentions specific years.");
+  if (/\b\d+(\.\d+)?%/.test(raw)) signal("percentages", 0.03, "Includes percentages.");
+  if (/\b\d{1,3}(,\d{3})+\b/.test(raw)) {
+    signal("numbers", 0.03, "Includes formatted figures.");
+  }
 
   // Mild positive if it uses headings / bullets
   if (/^#+\s/m.test(raw) || /(?:^|\n)\s*[-*•]\s+/m.test(raw)) {
-    score += 0.02;
+    signal("formatting", 0.02, "Uses headings or bullet points.");
   }
 
   // --- Red flags -------------------------------------------------------------
   // Very rough, but catches some obviously bad patterns.
-  const redFlagPhrases = [
-    "as an ai language model",
-    "lorem ipsum",
-    "placeholder text",
-    "cannot browse the internet",
-    "i do not have access to real-time data",
-  ];
-
-  if (redFlagPhrases.some((p) => lower.includes(p))) {
-    score -= 0.3;
+  const redFlag = RED_FLAG_PHRASES.find((p) => lower.includes(p));
+  if (redFlag) {
+    signal("red-flag", -0.3, `Contains the phrase "${redFlag}".`);
   }
 
   // Overuse of ALL CAPS can be a mild negative signal.
   const capsMatches = raw.match(/[A-Z]{4,}/g);
   if (capsMatches && capsMatches.length > 10) {
-    score -= 0.05;
+    signal("all-caps", -0.05, `${capsMatches.length} all-caps words.`);
   }
 
   // --- Clamp to [0, 1] -------------------------------------------------------
+  let score = signals.reduce((sum, s) => sum + s.delta, 0.5); // start from neutral
   if (!Number.isFinite(score)) score = 0.5;
 
   score = Math.max(0, Math.min(1, score));
-  return score;
+  return { score: Math.round(score * 100) / 100, signals };
+}
+
+export async function scoreDraft(text, model) {
+  return draftSignals(text).score;
 }